@@ -11,10 +11,56 @@ const path = require('path');
 const chalk = require('chalk');
 
 // Import the compiled library
-const { convertCompose, validateComposeFile, INFO } = require('../lib/index');
+const {
+  convertComposeFiles,
+  validateComposeFile,
+  parseComposeYAMLWithSourceMap,
+  mergeComposeFiles,
+  findSourceLocation,
+  formatDiagnostic,
+  formatBuildScript,
+  loadNodeClasses,
+  INFO,
+} = require('../lib/index');
 
 const program = new Command();
 
+// Collect repeatable options into an array
+function collect(value, previous) {
+  return previous.concat([value]);
+}
+
+// Parse repeated `ip=name` pairs into a host IP -> host_network map
+function parseHostNetworks(pairs) {
+  return Object.fromEntries(pairs.map(pair => {
+    const separator = pair.lastIndexOf('=');
+    if (separator <= 0 || separator === pair.length - 1) {
+      throw new Error(`Invalid --host-network '${pair}', expected <ip>=<name>`);
+    }
+    return [pair.slice(0, separator).replace(/^\[|\]$/g, ''), pair.slice(separator + 1)];
+  }));
+}
+
+function parseDeviceNames(pairs) {
+  return Object.fromEntries(pairs.map(pair => {
+    const separator = pair.indexOf('=');
+    if (separator <= 0 || separator === pair.length - 1) {
+      throw new Error(`Invalid --device-name '${pair}', expected <driver-or-kind>=<vendor/type>`);
+    }
+    return [pair.slice(0, separator), pair.slice(separator + 1)];
+  }));
+}
+
+function parseRegistryAuth(pairs) {
+  return pairs.map(pair => {
+    const separator = pair.indexOf('=');
+    if (separator <= 0 || separator === pair.length - 1) {
+      throw new Error(`Invalid --registry-auth '${pair}', expected <registry-prefix>=<secret-path>`);
+    }
+    return { registry: pair.slice(0, separator), path: pair.slice(separator + 1) };
+  });
+}
+
 program
   .name('compose2hcl')
   .description('Convert Docker Compose files to Nomad HCL')
@@ -25,8 +71,30 @@ program
   .command('convert')
   .alias('c')
   .description('Convert Docker Compose file to Nomad HCL')
-  .argument('<input>', 'Input Docker Compose file path')
+  .argument('[input]', 'Input Docker Compose file path')
+  .option('-f, --file <file>', 'Compose file, repeat to merge overrides in order', collect, [])
   .option('-o, --output <file>', 'Output HCL file path')
+  .option('--env-file <file>', 'Env file used for interpolation instead of .env (repeatable)', collect, [])
+  .option('--profile <name>', 'Enable a Compose profile (repeatable, combined with COMPOSE_PROFILES)', collect, [])
+  .option('--project-directory <dir>', 'Project directory (defaults to the first file\'s directory)')
+  .option('--env-file-mode <mode>', 'Service env_file handling (inline|template)', 'inline')
+  .option('--host-network <ip=name>', 'Map ports published on a host IP to a Nomad host_network (repeatable)', collect, [])
+  .option('--bind-mounts <mode>', 'Bind mount handling (mount|host-volume)', 'mount')
+  .option('--depends-on-strategy <strategy>', 'How depends_on is enforced (consul|nomad|none)', 'consul')
+  .option('--connect', 'Connect services through Consul Connect upstreams')
+  .option('--grouping <strategy>', 'Task group packing (per-service|single-group|auto)', 'per-service')
+  .option('--batch-one-shots', 'Run one-shot services (restart: "no", no ports) in a batch job')
+  .option('--device-name <key=name>', 'Nomad device for a device driver or generic resource kind (repeatable)', collect, [])
+  .option('--secrets-backend <backend>', 'Secrets backend (vault-kv2|vault-kv1|nomad-variables|inline-file)', 'vault-kv2')
+  .option('--secrets-path <template>', 'Secret path template ({secret}, {service}, {job}, {group}, {task})')
+  .option('--secrets-key <template>', 'Secret key template ({secret}, {service})')
+  .option('--cpu-resource <field>', 'Reserve service CPUs as cpu (MHz), cores (whole cores) or auto (cores for whole CPUs)')
+  .option('--node-classes <file>', 'JSON file of node class CPU profiles ({"<class>": {"mhzPerCore": 2400, "cores": 16}})')
+  .option('--registry <registry>', 'Registry images of build-only services are pushed to')
+  .option('--build-tag <tag>', 'Tag of images built for services without an image', 'latest')
+  .option('--build-plan <file>', 'Write the docker build/push commands to a shell script (or JSON plan for .json)')
+  .option('--registry-auth <prefix=path>', 'Read credentials of a registry prefix from a secrets backend path (repeatable)', collect, [])
+  .option('--output-dir <dir>', 'Write each job to its own file in this directory')
   .option('-j, --job-name <name>', 'Nomad job name', 'docker-compose')
   .option('-n, --namespace <namespace>', 'Nomad namespace', 'default')
   .option('-r, --region <region>', 'Nomad region', 'global')
@@ -45,18 +113,23 @@ program
       console.log(chalk.blue('🐳 Compose2HCL - Docker Compose to Nomad HCL Converter'));
       console.log(chalk.gray(`Version: ${INFO.version}\n`));
 
-      // Check input file
-      if (!fs.existsSync(input)) {
-        console.error(chalk.red(`❌ Input file not found: ${input}`));
+      const inputs = [...(input ? [input] : []), ...options.file];
+      if (inputs.length === 0) {
+        console.error(chalk.red('❌ No input file given. Pass a path or use -f <file>.'));
         process.exit(1);
       }
 
-      if (options.verbose) {
-        console.log(chalk.gray(`📂 Reading: ${input}`));
-      }
+      // Check input files
+      for (const file of inputs) {
+        if (!fs.existsSync(file)) {
+          console.error(chalk.red(`❌ Input file not found: ${file}`));
+          process.exit(1);
+        }
 
-      // Read compose file
-      const composeContent = fs.readFileSync(input, 'utf8');
+        if (options.verbose) {
+          console.log(chalk.gray(`📂 Reading: ${file}`));
+        }
+      }
 
       // Parse datacenters
       const datacenters = options.datacenters.split(',').map(dc => dc.trim());
@@ -76,6 +149,25 @@ program
           cpu: parseInt(options.cpu),
           memory: parseInt(options.memory),
         },
+        projectDirectory: options.projectDirectory,
+        envFiles: options.envFile,
+        profiles: options.profile,
+        envFileMode: options.envFileMode,
+        hostNetworks: parseHostNetworks(options.hostNetwork),
+        bindMounts: options.bindMounts,
+        dependsOnStrategy: options.dependsOnStrategy,
+        connect: options.connect,
+        grouping: options.grouping,
+        batchOneShots: options.batchOneShots,
+        deviceNames: parseDeviceNames(options.deviceName),
+        secretsBackend: options.secretsBackend,
+        secretsPath: options.secretsPath,
+        secretsKey: options.secretsKey,
+        cpuResource: options.cpuResource,
+        nodeClasses: options.nodeClasses ? loadNodeClasses(options.nodeClasses) : undefined,
+        registry: options.registry,
+        buildTag: options.buildTag,
+        registryAuth: parseRegistryAuth(options.registryAuth),
       };
 
       if (options.verbose) {
@@ -86,13 +178,14 @@ program
 
       // Convert
       console.log(chalk.yellow('🔄 Converting Docker Compose to Nomad HCL...'));
-      const result = await convertCompose(composeContent, conversionOptions);
+      // Interpolate from the shell, kept out of the verbose options dump above
+      const result = await convertComposeFiles(inputs, { ...conversionOptions, environment: process.env });
 
       // Handle errors
       if (result.errors.length > 0) {
         console.log(chalk.red('\n❌ Conversion Errors:'));
-        result.errors.forEach(error => {
-          console.log(chalk.red(`  • ${error}`));
+        result.diagnostics.filter(diagnostic => diagnostic.severity === 'error').forEach(error => {
+          console.log(chalk.red(`  • ${formatDiagnostic(error)}`));
         });
         process.exit(1);
       }
@@ -100,8 +193,18 @@ program
       // Show warnings
       if (result.warnings.length > 0) {
         console.log(chalk.yellow('\n⚠️  Warnings:'));
-        result.warnings.forEach(warning => {
-          console.log(chalk.yellow(`  • ${warning}`));
+        result.diagnostics.filter(diagnostic => diagnostic.severity === 'warning').forEach(warning => {
+          console.log(chalk.yellow(`  • ${formatDiagnostic(warning)}`));
+        });
+        console.log();
+      }
+
+      // Show notes explaining resource and other conversion decisions
+      const notes = result.diagnostics.filter(diagnostic => diagnostic.severity === 'info');
+      if (notes.length > 0) {
+        console.log(chalk.cyan('\nℹ️  Notes:'));
+        notes.forEach(note => {
+          console.log(chalk.cyan(`  • ${formatDiagnostic(note)}`));
         });
         console.log();
       }
@@ -115,7 +218,18 @@ program
       }
 
       // Write output
-      if (options.output) {
+      if (options.outputDir) {
+        const outputDir = path.resolve(options.outputDir);
+        fs.mkdirSync(outputDir, { recursive: true });
+        for (const [jobName, jobHcl] of Object.entries(result.jobs)) {
+          const jobPath = path.join(outputDir, options.format === 'json' ? `${jobName}.json` : `${jobName}.nomad.hcl`);
+          fs.writeFileSync(
+            jobPath,
+            options.format === 'json' ? JSON.stringify({ job: { [jobName]: result.nomadJob.job[jobName] } }, null, 2) : jobHcl
+          );
+          console.log(chalk.green(`✅ Successfully converted to: ${jobPath}`));
+        }
+      } else if (options.output) {
         const outputPath = path.resolve(options.output);
         fs.writeFileSync(outputPath, output);
         console.log(chalk.green(`✅ Successfully converted to: ${outputPath}`));
@@ -124,10 +238,21 @@ program
         console.log(output);
       }
 
+      // Write the build plan
+      if (options.buildPlan) {
+        const planPath = path.resolve(options.buildPlan);
+        if (planPath.endsWith('.json')) {
+          fs.writeFileSync(planPath, JSON.stringify(result.buildPlan, null, 2));
+        } else {
+          fs.writeFileSync(planPath, formatBuildScript(result.buildPlan), { mode: 0o755 });
+        }
+        console.log(chalk.green(`✅ Build plan for ${result.buildPlan.builds.length} image(s) written to: ${planPath}`));
+      }
+
       // Show stats
       if (options.verbose) {
         const stats = {
-          inputSize: composeContent.length,
+          inputSize: inputs.reduce((size, file) => size + fs.statSync(file).size, 0),
           outputSize: output.length,
           services: Object.keys(result.nomadJob.job).length,
           warnings: result.warnings.length,
@@ -168,24 +293,28 @@ program
 
       // Read and validate
       const composeContent = fs.readFileSync(input, 'utf8');
-      const { load } = require('js-yaml');
-      const composeData = load(composeContent);
+      const { compose, sourceMap } = parseComposeYAMLWithSourceMap(composeContent, input);
+      const composeData = mergeComposeFiles([compose]);
       
       const result = validateComposeFile(composeData);
+      const locate = diagnostic => formatDiagnostic({
+        ...diagnostic,
+        ...(diagnostic.path ? findSourceLocation(diagnostic.path, [{ file: input, sourceMap }]) : { file: input }),
+      });
 
       if (result.isValid) {
         console.log(chalk.green('✅ Docker Compose file is valid'));
       } else {
         console.log(chalk.red('❌ Docker Compose file has errors:'));
-        result.errors.forEach(error => {
-          console.log(chalk.red(`  • ${error}`));
+        result.diagnostics.filter(diagnostic => diagnostic.severity === 'error').forEach(error => {
+          console.log(chalk.red(`  • ${locate(error)}`));
         });
       }
 
       if (result.warnings.length > 0) {
         console.log(chalk.yellow('\n⚠️  Warnings:'));
-        result.warnings.forEach(warning => {
-          console.log(chalk.yellow(`  • ${warning}`));
+        result.diagnostics.filter(diagnostic => diagnostic.severity === 'warning').forEach(warning => {
+          console.log(chalk.yellow(`  • ${locate(warning)}`));
         });
       }
 
@@ -262,6 +391,54 @@ program
     console.log(chalk.white('Convert with specific datacenter and region:'));
     console.log(chalk.gray('  compose2hcl convert docker-compose.yml -d "dc1,dc2" -r us-west\n'));
     
+    console.log(chalk.white('Merge a production override file:'));
+    console.log(chalk.gray('  compose2hcl convert -f docker-compose.yml -f docker-compose.prod.yml\n'));
+    
+    console.log(chalk.white('Interpolate variables from a specific env file:'));
+    console.log(chalk.gray('  compose2hcl convert docker-compose.yml --env-file .env.prod\n'));
+    
+    console.log(chalk.white('Include services of the debug profile:'));
+    console.log(chalk.gray('  compose2hcl convert docker-compose.yml --profile debug\n'));
+
+    console.log(chalk.white('Render service env_file values into a Nomad template:'));
+    console.log(chalk.gray('  compose2hcl convert docker-compose.yml --env-file-mode template\n'));
+
+    console.log(chalk.white('Publish ports bound to 10.0.0.5 on the "private" host network:'));
+    console.log(chalk.gray('  compose2hcl convert docker-compose.yml --host-network 10.0.0.5=private\n'));
+
+    console.log(chalk.white('Mount bind paths through Nomad host volumes:'));
+    console.log(chalk.gray('  compose2hcl convert docker-compose.yml --bind-mounts host-volume\n'));
+
+    console.log(chalk.white('Wait for depends_on services through Nomad service discovery:'));
+    console.log(chalk.gray('  compose2hcl convert docker-compose.yml --depends-on-strategy nomad\n'));
+
+    console.log(chalk.white('Reach other services through Consul Connect upstreams:'));
+    console.log(chalk.gray('  compose2hcl convert docker-compose.yml --connect\n'));
+
+    console.log(chalk.white('Keep sidecar services in the task group of the service they attach to:'));
+    console.log(chalk.gray('  compose2hcl convert docker-compose.yml --grouping auto\n'));
+
+    console.log(chalk.white('Write system, batch and periodic jobs to separate files:'));
+    console.log(chalk.gray('  compose2hcl convert docker-compose.yml --batch-one-shots --output-dir jobs/\n'));
+
+    console.log(chalk.white('Reserve Swarm generic resources as Nomad devices:'));
+    console.log(chalk.gray('  compose2hcl convert docker-compose.yml --device-name FPGA=xilinx/fpga\n'));
+
+    console.log(chalk.white('Read secrets from Nomad Variables instead of Vault:'));
+    console.log(chalk.gray('  compose2hcl convert docker-compose.yml --secrets-backend nomad-variables\n'));
+
+    console.log(chalk.white('Reserve whole CPU cores instead of MHz:'));
+    console.log(chalk.gray('  compose2hcl convert docker-compose.yml --cpu-resource cores\n'));
+
+    console.log(chalk.white('Size CPUs for the cluster\'s node classes and explain the decisions:'));
+    console.log(chalk.gray('  compose2hcl convert docker-compose.yml --node-classes node-classes.json\n'));
+
+    console.log(chalk.white('Build and push images of build-only services, then run the job:'));
+    console.log(chalk.gray('  compose2hcl convert docker-compose.yml --registry registry.example.com/team --build-plan build.sh -o job.nomad.hcl\n'));
+
+    console.log(chalk.white('Pull from a private registry with credentials from Vault:'));
+    console.log(chalk.gray('  compose2hcl convert docker-compose.yml --registry-auth registry.example.com=secret/data/registries/example\n'));
+    
     console.log(chalk.white('Convert with custom resources:'));
     console.log(chalk.gray('  compose2hcl convert docker-compose.yml --cpu 200 --memory 256\n'));
     
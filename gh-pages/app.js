@@ -133,12 +133,15 @@ class Compose2HCLApp {
     
     // Show status
     const messages = [];
+    const diagnostics = result.diagnostics || [];
+    const errors = diagnostics.filter(diagnostic => diagnostic.severity === 'error');
+    const warnings = diagnostics.filter(diagnostic => diagnostic.severity === 'warning');
     
     if (result.errors && result.errors.length > 0) {
       messages.push({
         type: 'error',
         title: 'Errors:',
-        items: result.errors
+        items: errors.length > 0 ? errors : result.errors
       });
     }
     
@@ -146,7 +149,7 @@ class Compose2HCLApp {
       messages.push({
         type: 'warning',
         title: 'Warnings:',
-        items: result.warnings
+        items: warnings.length > 0 ? warnings : result.warnings
       });
     }
     
@@ -270,7 +273,7 @@ class Compose2HCLApp {
       if (message.items && message.items.length > 0) {
         html += '<ul>';
         message.items.forEach(item => {
-          html += `<li>${this.escapeHtml(item)}</li>`;
+          html += `<li>${this.formatStatusItem(item)}</li>`;
         });
         html += '</ul>';
       }
@@ -280,6 +283,43 @@ class Compose2HCLApp {
     
     statusContent.innerHTML = html;
     statusSection.style.display = 'block';
+
+    statusContent.querySelectorAll('.diagnostic-location').forEach(link => {
+      link.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.goToSource(Number(link.dataset.line), Number(link.dataset.column));
+      });
+    });
+  }
+
+  formatStatusItem(item) {
+    // Plain messages, or diagnostics carrying the line/column they refer to
+    if (typeof item === 'string') {
+      return this.escapeHtml(item);
+    }
+
+    let html = '';
+    if (item.line) {
+      html += `<a href="#" class="diagnostic-location" data-line="${item.line}" data-column="${item.column || 1}">`;
+      html += `Line ${item.line}, column ${item.column || 1}</a> `;
+    }
+    if (item.path) {
+      html += `<code>${this.escapeHtml(item.path)}</code> `;
+    }
+    return html + this.escapeHtml(item.message);
+  }
+
+  goToSource(line, column) {
+    const input = document.getElementById('compose-input');
+    const lines = input.value.split('\n');
+    const lineStart = lines.slice(0, line - 1).reduce((offset, text) => offset + text.length + 1, 0);
+    const lineText = lines[line - 1] || '';
+
+    input.focus();
+    input.setSelectionRange(lineStart + column - 1, lineStart + lineText.length);
+
+    const lineHeight = parseFloat(getComputedStyle(input).lineHeight) || 18;
+    input.scrollTop = Math.max(0, (line - 3) * lineHeight);
   }
 
   hideStatus() {
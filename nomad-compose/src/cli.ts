@@ -34,6 +34,7 @@ program
   .option('--timeout <ms>', 'Deployment timeout in milliseconds (default: 300000)')
   .option('-f, --force', 'Force deployment even if validation fails')
   .option('--check-health', 'Check job health after deployment')
+  .option('--node-profiles', 'Size service CPUs from the node classes read from /v1/nodes')
   .option('-o, --output <file>', 'Save converted HCL to file')
   .action(async (file, options) => {
     try {
@@ -78,6 +79,7 @@ program
         timeout: options.timeout ? parseInt(options.timeout) : undefined,
         force: options.force,
         checkHealth: options.checkHealth,
+        nodeProfiles: options.nodeProfiles,
       };
 
       spinner.start('Deploying Docker Compose file...');
@@ -102,7 +104,7 @@ program
         // Save HCL to file if requested
         if (options.output && result.jobId) {
           try {
-            const hclResult = await deploymentService.convertComposeFile(composePath);
+            const hclResult = await deploymentService.convertComposeFile(composePath, { nodeProfiles: options.nodeProfiles });
             if (hclResult.success && hclResult.hcl) {
               await deploymentService.saveHclToFile(hclResult.hcl, options.output);
               console.log(chalk.green(`HCL saved to: ${options.output}`));
@@ -132,6 +134,7 @@ program
   .description('Convert Docker Compose file to Nomad HCL without deploying')
   .option('-o, --output <file>', 'Output file for HCL (default: stdout)')
   .option('--format <format>', 'Output format: hcl, json, yaml (default: hcl)')
+  .option('--node-profiles', 'Size service CPUs from the node classes read from /v1/nodes')
   .action(async (file, options) => {
     try {
       const globalOpts = program.opts();
@@ -142,7 +145,7 @@ program
         process.exit(1);
       }
 
-      // Initialize Nomad client (we don't need it for conversion, but keeping consistent)
+      // Initialize Nomad client (only used for conversion with --node-profiles)
       const nomadClient = new NomadClient({
         address: globalOpts.address || 'http://localhost:4646',
         token: globalOpts.token,
@@ -154,7 +157,7 @@ program
       const deploymentService = new DeploymentService(nomadClient);
 
       const spinner = ora('Converting Docker Compose to Nomad HCL...').start();
-      const result = await deploymentService.convertComposeFile(composePath);
+      const result = await deploymentService.convertComposeFile(composePath, { nodeProfiles: options.nodeProfiles });
 
       if (result.success && result.hcl) {
         spinner.succeed('Conversion completed successfully');
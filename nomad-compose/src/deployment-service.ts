@@ -1,8 +1,10 @@
 import { readFile, writeFile, ensureDir, pathExists } from 'fs-extra';
 import { join, dirname, basename } from 'path';
 import { NomadClient } from './nomad-client';
+import { nodeClassProfiles } from './node-profiles';
 import { DeployOptions, DeployResult } from './types/nomad-client';
 import { convertCompose, validateComposeFile } from 'compose2hcl';
+import type { ConversionOptions } from 'compose2hcl';
 
 export class DeploymentService {
   private nomadClient: NomadClient;
@@ -42,8 +44,8 @@ export class DeploymentService {
       }
 
       // Convert to Nomad HCL
-      const conversion = convertCompose(composeContent);
-      if (!conversion.success) {
+      const conversion = await convertCompose(composeContent, await this.conversionOptions(options));
+      if (conversion.errors.length > 0) {
         result.errors.push(...conversion.errors);
         result.message = 'Failed to convert Docker Compose to Nomad HCL';
         return result;
@@ -111,8 +113,8 @@ export class DeploymentService {
       }
 
       // Convert to Nomad HCL
-      const conversion = convertCompose(composeContent);
-      if (!conversion.success) {
+      const conversion = await convertCompose(composeContent, await this.conversionOptions(options));
+      if (conversion.errors.length > 0) {
         result.errors.push(...conversion.errors);
         result.message = 'Failed to convert Docker Compose to Nomad HCL';
         return result;
@@ -155,7 +157,10 @@ export class DeploymentService {
   /**
    * Convert a Docker Compose file to Nomad HCL without deploying
    */
-  async convertComposeFile(composeFilePath: string): Promise<{ success: boolean; hcl?: string; errors: string[]; warnings: string[] }> {
+  async convertComposeFile(
+    composeFilePath: string,
+    options: Pick<DeployOptions, 'nodeProfiles'> = {}
+  ): Promise<{ success: boolean; hcl?: string; errors: string[]; warnings: string[] }> {
     try {
       const composeContent = await readFile(composeFilePath, 'utf-8');
       const validation = validateComposeFile(composeContent);
@@ -168,9 +173,9 @@ export class DeploymentService {
         };
       }
 
-      const conversion = convertCompose(composeContent);
+      const conversion = await convertCompose(composeContent, await this.conversionOptions(options));
       return {
-        success: conversion.success,
+        success: conversion.errors.length === 0,
         hcl: conversion.hcl,
         errors: conversion.errors,
         warnings: conversion.warnings,
@@ -184,6 +189,19 @@ export class DeploymentService {
     }
   }
 
+  /**
+   * Conversion options for a deployment, with the CPU profiles of the cluster's
+   * node classes when `nodeProfiles` is set
+   */
+  private async conversionOptions(options: Pick<DeployOptions, 'nodeProfiles'>): Promise<ConversionOptions> {
+    if (!options.nodeProfiles) {
+      return {};
+    }
+
+    const nodes = await this.nomadClient.getNodes({ resources: true });
+    return { nodeClasses: nodeClassProfiles(nodes) };
+  }
+
   /**
    * Save the converted HCL to a file
    */
@@ -1,6 +1,7 @@
 // Main exports for the nomad-compose package
 export { NomadClient } from './nomad-client';
 export { DeploymentService } from './deployment-service';
+export { nodeClassProfiles } from './node-profiles';
 export type {
   NomadClientConfig,
   NomadJobSubmission,
@@ -8,6 +9,7 @@ export type {
   NomadAllocation,
   NomadEvaluation,
   NomadNode,
+  NomadNodeResources,
   DeployOptions,
   DeployResult,
 } from './types/nomad-client';
@@ -57,8 +59,8 @@ export async function convertComposeToHCL(composeContent: string) {
     throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
   }
   
-  const conversion = convertCompose(composeContent);
-  if (!conversion.success) {
+  const conversion = await convertCompose(composeContent);
+  if (conversion.errors.length > 0) {
     throw new Error(`Conversion failed: ${conversion.errors.join(', ')}`);
   }
   
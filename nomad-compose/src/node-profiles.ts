@@ -0,0 +1,28 @@
+import type { NodeClassProfile } from 'compose2hcl';
+import { NomadNode } from './types/nomad-client';
+
+/**
+ * Build node class CPU profiles from nodes listed with `resources=true`.
+ * Each class takes the fastest core and the largest core count of its ready
+ * nodes, so services sized from it are not under-reserved on any of them.
+ * Nodes without a class are grouped under the empty class name.
+ */
+export function nodeClassProfiles(nodes: NomadNode[]): Record<string, NodeClassProfile> {
+  const profiles: Record<string, NodeClassProfile> = {};
+
+  for (const node of nodes) {
+    const cpu = node.NodeResources?.Cpu;
+    if (node.Status !== 'ready' || !cpu?.CpuShares || !cpu.TotalCpuCores) {
+      continue;
+    }
+
+    const mhzPerCore = Math.floor(cpu.CpuShares / cpu.TotalCpuCores);
+    const profile = profiles[node.NodeClass];
+    profiles[node.NodeClass] = {
+      mhzPerCore: Math.max(profile?.mhzPerCore ?? 0, mhzPerCore),
+      cores: Math.max(profile?.cores ?? 0, cpu.TotalCpuCores),
+    };
+  }
+
+  return profiles;
+}
@@ -121,11 +121,12 @@ export class NomadClient {
   }
 
   /**
-   * Get all nodes
+   * Get all nodes, with their CPU and memory resources when `resources` is set
    */
-  async getNodes(options: { region?: string } = {}): Promise<NomadNode[]> {
+  async getNodes(options: { region?: string; resources?: boolean } = {}): Promise<NomadNode[]> {
     const params = new URLSearchParams({
       region: options.region || this.config.region || 'global',
+      ...(options.resources && { resources: 'true' }),
     });
 
     const response: AxiosResponse<NomadNode[]> = await this.client.get(`/v1/nodes?${params}`);
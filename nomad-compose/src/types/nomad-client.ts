@@ -70,6 +70,16 @@ export interface NomadNode {
   Version: string;
   CreateTime: number;
   ModifyTime: number;
+  /** Only returned when nodes are listed with `resources=true` */
+  NodeResources?: NomadNodeResources;
+}
+
+export interface NomadNodeResources {
+  Cpu?: {
+    /** Total compute of the node in MHz */
+    CpuShares: number;
+    TotalCpuCores?: number;
+  };
 }
 
 export interface DeployOptions {
@@ -78,6 +88,8 @@ export interface DeployOptions {
   timeout?: number;
   force?: boolean;
   checkHealth?: boolean;
+  /** Size service CPUs with the CPU profiles of the cluster's node classes */
+  nodeProfiles?: boolean;
 }
 
 export interface DeployResult {
@@ -8,6 +8,18 @@ jest.mock('compose2hcl', () => ({
   validateComposeFile: jest.fn(),
 }));
 
+// A compose2hcl ConversionResult, which reports failures through `errors`
+const conversionResult = (overrides: Record<string, unknown> = {}) => ({
+  hcl: 'job "web" { ... }',
+  nomadJob: { job: {} },
+  warnings: [],
+  errors: [],
+  diagnostics: [],
+  jobs: {},
+  buildPlan: { directory: '.', builds: [] },
+  ...overrides,
+});
+
 // Mock fs-extra
 jest.mock('fs-extra', () => ({
   readFile: jest.fn(),
@@ -60,12 +72,7 @@ describe('DeploymentService', () => {
         warnings: [],
       });
 
-      convertCompose.mockReturnValue({
-        success: true,
-        hcl: 'job "web" { ... }',
-        errors: [],
-        warnings: [],
-      });
+      convertCompose.mockResolvedValue(conversionResult());
 
       mockNomadClient.submitJob.mockResolvedValue({
         ID: 'job-123',
@@ -107,12 +114,7 @@ describe('DeploymentService', () => {
         warnings: [],
       });
 
-      convertCompose.mockReturnValue({
-        success: false,
-        hcl: '',
-        errors: ['Conversion failed'],
-        warnings: [],
-      });
+      convertCompose.mockResolvedValue(conversionResult({ hcl: '', errors: ['Conversion failed'] }));
 
       const result = await deploymentService.deployComposeFile('docker-compose.yml');
 
@@ -131,12 +133,7 @@ describe('DeploymentService', () => {
         warnings: [],
       });
 
-      convertCompose.mockReturnValue({
-        success: true,
-        hcl: 'job "web" { ... }',
-        errors: [],
-        warnings: [],
-      });
+      convertCompose.mockResolvedValue(conversionResult());
 
       const options: DeployOptions = { dryRun: true };
       const result = await deploymentService.deployComposeFile('docker-compose.yml', options);
@@ -155,12 +152,7 @@ describe('DeploymentService', () => {
         warnings: [],
       });
 
-      convertCompose.mockReturnValue({
-        success: true,
-        hcl: 'job "web" { ... }',
-        errors: [],
-        warnings: [],
-      });
+      convertCompose.mockResolvedValue(conversionResult());
 
       mockNomadClient.submitJob.mockResolvedValue({
         ID: 'job-123',
@@ -198,12 +190,7 @@ describe('DeploymentService', () => {
         warnings: [],
       });
 
-      convertCompose.mockReturnValue({
-        success: true,
-        hcl: 'job "web" { ... }',
-        errors: [],
-        warnings: [],
-      });
+      convertCompose.mockResolvedValue(conversionResult());
 
       mockNomadClient.submitJob.mockResolvedValue({
         ID: 'job-123',
@@ -240,17 +227,52 @@ describe('DeploymentService', () => {
         warnings: [],
       });
 
-      convertCompose.mockReturnValue({
-        success: true,
-        hcl: 'job "web" { ... }',
+      convertCompose.mockResolvedValue(conversionResult());
+
+      const result = await deploymentService.convertComposeFile('docker-compose.yml');
+
+      expect(result.success).toBe(true);
+      expect(result.hcl).toBe('job "web" { ... }');
+    });
+
+    it('should report conversion errors', async () => {
+      const { validateComposeFile, convertCompose } = require('compose2hcl');
+
+      validateComposeFile.mockReturnValue({
+        isValid: true,
         errors: [],
         warnings: [],
       });
 
+      convertCompose.mockResolvedValue(conversionResult({ errors: ["Service 'web' has no image"] }));
+
       const result = await deploymentService.convertComposeFile('docker-compose.yml');
 
-      expect(result.success).toBe(true);
-      expect(result.hcl).toBe('job "web" { ... }');
+      expect(result.success).toBe(false);
+      expect(result.errors).toEqual(["Service 'web' has no image"]);
+    });
+
+    it('should convert with the node class CPU profiles when asked', async () => {
+      const { validateComposeFile, convertCompose } = require('compose2hcl');
+      
+      validateComposeFile.mockReturnValue({
+        isValid: true,
+        errors: [],
+        warnings: [],
+      });
+
+      convertCompose.mockResolvedValue(conversionResult());
+
+      mockNomadClient.getNodes.mockResolvedValue([
+        { NodeClass: 'compute', Status: 'ready', NodeResources: { Cpu: { CpuShares: 38400, TotalCpuCores: 16 } } },
+      ] as any);
+
+      await deploymentService.convertComposeFile('docker-compose.yml', { nodeProfiles: true });
+
+      expect(mockNomadClient.getNodes).toHaveBeenCalledWith({ resources: true });
+      expect(convertCompose).toHaveBeenCalledWith(mockComposeContent, {
+        nodeClasses: { compute: { mhzPerCore: 2400, cores: 16 } },
+      });
     });
 
     it('should handle validation errors during conversion', async () => {
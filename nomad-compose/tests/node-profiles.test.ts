@@ -0,0 +1,31 @@
+import { nodeClassProfiles } from '../src/node-profiles';
+import { NomadNode } from '../src/types/nomad-client';
+
+describe('nodeClassProfiles', () => {
+  const node = (NodeClass: string, CpuShares: number, TotalCpuCores: number, Status = 'ready') =>
+    ({ NodeClass, Status, NodeResources: { Cpu: { CpuShares, TotalCpuCores } } }) as NomadNode;
+
+  it('should take the fastest core and largest core count of each class', () => {
+    const profiles = nodeClassProfiles([
+      node('compute', 38400, 16),
+      node('compute', 20800, 8),
+      node('edge', 8000, 4),
+      node('', 4000, 2),
+    ]);
+
+    expect(profiles).toEqual({
+      compute: { mhzPerCore: 2600, cores: 16 },
+      edge: { mhzPerCore: 2000, cores: 4 },
+      '': { mhzPerCore: 2000, cores: 2 },
+    });
+  });
+
+  it('should skip nodes that are not ready or lack CPU resources', () => {
+    const profiles = nodeClassProfiles([
+      node('compute', 38400, 16, 'down'),
+      { NodeClass: 'edge', Status: 'ready' } as NomadNode,
+    ]);
+
+    expect(profiles).toEqual({});
+  });
+});
@@ -114,6 +114,17 @@ describe('NomadClient', () => {
     });
   });
 
+  describe('getNodes', () => {
+    it('should request node resources when asked', async () => {
+      const mockGet = jest.fn().mockResolvedValue({ data: [] });
+      (nomadClient as any).client = { get: mockGet };
+
+      await nomadClient.getNodes({ resources: true });
+      
+      expect(mockGet).toHaveBeenCalledWith('/v1/nodes?region=test-region&resources=true');
+    });
+  });
+
   describe('stopJob', () => {
     it('should stop a job successfully', async () => {
       const mockDelete = jest.fn().mockResolvedValue({});
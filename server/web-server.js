@@ -16,10 +16,30 @@ const PORT = process.env.PORT || 3000;
 app.use(express.json({ limit: '10mb' }));
 app.use(express.static(path.join(__dirname, '../web')));
 
+/**
+ * Conversion options for untrusted request content: only the UI settings are
+ * taken from the request, everything reaching the server's environment is fixed
+ */
+function conversionOptions(requested) {
+  const { jobName, namespace, region, datacenters, priority, networkMode, resourceDefaults, skipValidation } = requested || {};
+  return {
+    jobName,
+    namespace,
+    region,
+    datacenters,
+    priority,
+    networkMode,
+    resourceDefaults,
+    skipValidation,
+    environment: {},
+    fileAccess: false,
+  };
+}
+
 // API endpoint for conversion
 app.post('/api/convert', async (req, res) => {
   try {
-    const { composeContent, options = {} } = req.body;
+    const { composeContent, options } = req.body;
     
     if (!composeContent) {
       return res.status(400).json({
@@ -28,7 +48,7 @@ app.post('/api/convert', async (req, res) => {
     }
 
     // Convert
-    const result = await convertCompose(composeContent, options);
+    const result = await convertCompose(composeContent, conversionOptions(options));
     
     res.json({
       success: true,
@@ -36,6 +56,7 @@ app.post('/api/convert', async (req, res) => {
       nomadJob: result.nomadJob,
       warnings: result.warnings,
       errors: result.errors,
+      diagnostics: result.diagnostics,
     });
 
   } catch (error) {
@@ -132,8 +153,11 @@ app.get('/', (req, res) => {
                     output.value = result.hcl;
                     
                     let messages = [];
+                    const located = result.diagnostics.map(diagnostic =>
+                        (diagnostic.line ? 'line ' + diagnostic.line + ', column ' + diagnostic.column + ': ' : '') + diagnostic.message);
                     if (result.warnings.length > 0) {
-                        messages.push('<p class="warning">Warnings: ' + result.warnings.join(', ') + '</p>');
+                        messages.push('<p class="warning">Warnings: ' + located.filter((_, index) =>
+                            result.diagnostics[index].severity === 'warning').join(', ') + '</p>');
                     }
                     messages.push('<p class="success">✅ Conversion successful!</p>');
                     
@@ -1,8 +1,44 @@
-import { load as loadYAML } from 'js-yaml';
-import { DockerComposeFile, Service as ComposeService } from './types/compose';
-import { NomadJob, JobSpec, TaskGroup, Task, Constraint, ConstraintOperator } from './types/nomad';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { isDeepStrictEqual } from 'util';
+import { DependsOnConfig, DeviceRequest, DockerComposeFile, Port as ComposePort, Service as ComposeService, Volume as ComposeVolume } from './types/compose';
+import {
+  NomadJob,
+  JobSpec,
+  TaskGroup,
+  Task,
+  Template,
+  Constraint,
+  ConstraintOperator,
+  Device,
+  Network,
+  Port as NomadPort,
+  PropagationMode,
+  Resources,
+  Spread,
+  Update,
+  Upstream,
+  Volume as NomadVolume,
+  VolumeMount,
+} from './types/nomad';
 import { validateComposeFile } from './validation/compose-validator';
 import { generateHCL } from './generators/hcl-generator';
+import { BuildPlan, PLANNED_BUILD_FIELDS, ServiceBuild, planServiceBuild } from './generators/build-plan';
+import { ComposeParseError, parseComposeYAMLWithSourceMap } from './loader/compose-parser';
+import { mergeComposeFiles } from './loader/compose-merger';
+import { Environment, interpolateCompose } from './loader/interpolation';
+import { parseEnvFile, resolveEnvironment } from './loader/env-file';
+import { resolveIncludes } from './loader/include-resolver';
+import { resolveExtends } from './loader/extends-resolver';
+import { parseProfileList, selectProfiles } from './loader/profiles';
+import { isWithinDirectory } from './loader/relative-paths';
+import { NodeClassProfile } from './loader/node-classes';
+import { SourceDocument, SourceLocation, findSourceLocation, formatPath } from './loader/source-map';
+import { Diagnostic, DiagnosticCollector } from './validation/diagnostics';
+import { PortMapping, PortSpecError, parsePortSpec } from './parsers/port-parser';
+import { parseHealthcheckTest } from './parsers/healthcheck-parser';
+import { VolumeSpecError, parseByteSize, parseTmpfsSpec, parseVolumeSpec } from './parsers/volume-parser';
 
 export interface ConversionOptions {
   jobName?: string;
@@ -18,6 +54,104 @@ export interface ConversionOptions {
     cpu?: number;
     memory?: number;
   };
+  /** Directory relative paths and the default `.env` file are resolved against */
+  projectDirectory?: string;
+  /**
+   * Whether `include`, `extends`, `env_file` and `.env` files and `inline-file` secrets
+   * may be read from disk (defaults to true).
+   * Turn it off for untrusted compose content, such as requests to a server.
+   */
+  fileAccess?: boolean;
+  /** Env files used for interpolation instead of the project `.env` */
+  envFiles?: string[];
+  /**
+   * Variables used for interpolation, overriding env file values. Defaults to none:
+   * pass `process.env` explicitly to interpolate from the shell.
+   */
+  environment?: Environment;
+  /** Active Compose profiles, combined with `COMPOSE_PROFILES` */
+  profiles?: string[];
+  /**
+   * How service `env_file` values reach the task: `inline` writes them into `env {}`,
+   * `template` renders them into `secrets/.env` with `env = true`
+   */
+  envFileMode?: 'inline' | 'template';
+  /** Nomad client `host_network` names, keyed by the host IP ports are published on */
+  hostNetworks?: Record<string, string>;
+  /** How bind mounts are converted: docker `mount` blocks or Nomad host volumes */
+  bindMounts?: 'mount' | 'host-volume';
+  /** How `depends_on` is enforced: prestart tasks polling Consul or Nomad services, or not at all */
+  dependsOnStrategy?: 'consul' | 'nomad' | 'none';
+  /** Connect services sharing a network through Consul Connect upstreams */
+  connect?: boolean;
+  /** How services are packed into task groups */
+  grouping?: 'per-service' | 'single-group' | 'auto';
+  /** Run one-shot services (`restart: "no"` without ports) in a batch job */
+  batchOneShots?: boolean;
+  /**
+   * Nomad device names (`vendor/type[/model]`) keyed by Compose device driver or
+   * generic resource kind, in addition to the built-in NVIDIA GPU names
+   */
+  deviceNames?: Record<string, string>;
+  /**
+   * Where task templates read service secrets from. `inline-file` embeds the
+   * secret's file or environment value in the job, for development only.
+   */
+  secretsBackend?: SecretsBackend;
+  /**
+   * Path of a secret in the backend (the file to read for `inline-file`). `{secret}`
+   * and `{service}` are replaced at conversion time, `{job}`, `{group}` and `{task}`
+   * at runtime. Defaults to `secret/data/{secret}` (kv2), `secret/{secret}` (kv1)
+   * or `nomad/jobs/{job}` (Nomad Variables).
+   */
+  secretsPath?: string;
+  /** Key of the secret value at the path: `value` for Vault, `{secret}` for Nomad Variables */
+  secretsKey?: string;
+  /**
+   * Whether service CPUs are reserved as `cpu` (MHz, shared), `cores` (whole dedicated
+   * cores) or `auto`: `cores` for whole CPUs, `cpu` otherwise. Defaults to `auto`
+   * when node classes are given, `cpu` otherwise.
+   */
+  cpuResource?: 'cpu' | 'cores' | 'auto';
+  /**
+   * CPU profiles of the cluster's node classes, used to convert CPUs to MHz instead
+   * of assuming 1000 MHz per core. Services pinned with `x-nomad.node_class` use their
+   * class, others the fastest one so they are not under-reserved anywhere.
+   */
+  nodeClasses?: Record<string, NodeClassProfile>;
+  /**
+   * Registry the images of services with only a `build` section are pushed to,
+   * as `<registry>/<project>-<service>:<buildTag>`
+   */
+  registry?: string;
+  /** Tag of the images built for services without an `image` (defaults to `latest`) */
+  buildTag?: string;
+  /**
+   * Credentials of private registries, in addition to the compose file's
+   * `x-nomad.registry_auth`. An image uses the longest matching registry prefix.
+   */
+  registryAuth?: RegistryAuth[];
+}
+
+export type SecretsBackend = 'vault-kv2' | 'vault-kv1' | 'nomad-variables' | 'inline-file';
+
+/**
+ * Where the docker driver reads the credentials of a private registry from. They
+ * are rendered into the task environment by a template, never written into the job.
+ */
+export interface RegistryAuth {
+  /** Registry hostname, optionally followed by a path, the images it applies to start with */
+  registry: string;
+  /** Path of the credentials; `{job}`, `{group}` and `{task}` are replaced at runtime */
+  path: string;
+  /** Vault KV or Nomad Variables, defaulting to the secrets backend */
+  backend?: Exclude<SecretsBackend, 'inline-file'>;
+  /** Key of the username at the path (defaults to `username`) */
+  usernameKey?: string;
+  /** Key of the password at the path (defaults to `password`) */
+  passwordKey?: string;
+  /** Pull anonymously when the credentials are rejected */
+  softFail?: boolean;
 }
 
 export interface ConversionResult {
@@ -25,12 +159,101 @@ export interface ConversionResult {
   nomadJob: NomadJob;
   warnings: string[];
   errors: string[];
+  /** Every warning and error, with the file, line, column and JSON path it refers to when known */
+  diagnostics: Diagnostic[];
+  /** HCL of each job on its own, keyed by job name, for `nomad job run` */
+  jobs: Record<string, string>;
+  /** Commands building and pushing the images of services with a `build` section */
+  buildPlan: BuildPlan;
+}
+
+interface ComposeDocument {
+  content: string;
+  fileName?: string;
+}
+
+/**
+ * Group volumes, task volume mounts and docker `mount` blocks of a service
+ */
+interface ServiceVolumes {
+  volumes: Record<string, NomadVolume>;
+  volumeMounts: Record<string, VolumeMount>;
+  mounts: Record<string, any>[];
+  constraints: Constraint[];
+}
+
+/** Docker bind propagation to Nomad volume_mount propagation_mode */
+const PROPAGATION_MODES: Record<string, PropagationMode> = {
+  private: 'private',
+  rprivate: 'private',
+  slave: 'host-to-task',
+  rslave: 'host-to-task',
+  shared: 'bidirectional',
+  rshared: 'bidirectional',
+};
+
+/** Environment keys whose whole value may be a bare service hostname */
+const HOST_KEY = /HOST|ADDR|SERVER/i;
+
+/** Swarm node attributes with a Nomad node attribute equivalent */
+const SWARM_NODE_ATTRIBUTES: Record<string, string> = {
+  'node.id': '${node.unique.id}',
+  'node.hostname': '${node.unique.name}',
+  'node.platform.os': '${attr.kernel.name}',
+  'node.platform.arch': '${attr.cpu.arch}',
+};
+
+/** Swarm (`uname -m`) architectures to Nomad's Go architectures */
+const SWARM_ARCHITECTURES: Record<string, string> = { x86_64: 'amd64', aarch64: 'arm64', armv7l: 'arm', i386: '386' };
+
+/** Nomad device names of Compose device drivers and generic resource kinds (lower case) */
+const DEVICE_NAMES: Record<string, string> = {
+  gpu: 'nvidia/gpu',
+  nvidia: 'nvidia/gpu',
+  'nvidia-gpu': 'nvidia/gpu',
+};
+
+/** Default path and key templates of the secrets backends */
+const SECRETS_BACKENDS: Record<SecretsBackend, { path: string; key: string }> = {
+  'vault-kv2': { path: 'secret/data/{secret}', key: 'value' },
+  'vault-kv1': { path: 'secret/{secret}', key: 'value' },
+  'nomad-variables': { path: 'nomad/jobs/{job}', key: '{secret}' },
+  'inline-file': { path: '', key: '' },
+};
+
+/** Task environment variables holding the runtime path placeholders */
+const RUNTIME_PLACEHOLDERS: Record<string, string> = {
+  // Periodic and dispatched children read the variables of their parent job
+  job: '(or (env "NOMAD_JOB_PARENT_ID") (env "NOMAD_JOB_ID"))',
+  group: '(env "NOMAD_GROUP_NAME")',
+  task: '(env "NOMAD_TASK_NAME")',
+};
+
+/** Image of the prestart tasks waiting for dependencies */
+const WAIT_IMAGE = 'curlimages/curl:8.10.1';
+
+/**
+ * A Nomad port label with the Compose port it was converted from
+ */
+interface ServicePort {
+  label: string;
+  port: NomadPort;
+  mapping: PortMapping;
 }
 
 export class Compose2HCLConverter {
   private options: Required<ConversionOptions>;
-  private warnings: string[] = [];
-  private errors: string[] = [];
+  private diagnostics = new DiagnosticCollector();
+  private sources: SourceDocument[] = [];
+  private projectDirectory = '';
+  private projectName = '';
+  private environment: Environment = {};
+  private builds: Record<string, ServiceBuild> = {};
+  /** Port labels only published over udp, per service */
+  private udpPorts: Record<string, string[]> = {};
+  /** Task environment before Connect rewrote hostnames, per service */
+  private directEnv: Record<string, Record<string, string>> = {};
+  private registryAuth: RegistryAuth[] = [];
 
   constructor(options: ConversionOptions = {}) {
     this.options = {
@@ -47,6 +270,27 @@ export class Compose2HCLConverter {
         cpu: options.resourceDefaults?.cpu || 100,
         memory: options.resourceDefaults?.memory || 128,
       },
+      projectDirectory: options.projectDirectory || '',
+      fileAccess: options.fileAccess !== false,
+      envFiles: options.envFiles || [],
+      environment: options.environment || {},
+      profiles: options.profiles || [],
+      envFileMode: options.envFileMode || 'inline',
+      hostNetworks: options.hostNetworks || {},
+      bindMounts: options.bindMounts || 'mount',
+      dependsOnStrategy: options.dependsOnStrategy || 'consul',
+      connect: options.connect || false,
+      grouping: options.grouping || 'per-service',
+      batchOneShots: options.batchOneShots || false,
+      deviceNames: options.deviceNames || {},
+      secretsBackend: options.secretsBackend || 'vault-kv2',
+      secretsPath: options.secretsPath || '',
+      secretsKey: options.secretsKey || '',
+      cpuResource: options.cpuResource || (options.nodeClasses ? 'auto' : 'cpu'),
+      nodeClasses: options.nodeClasses || {},
+      registry: (options.registry || '').replace(/\/+$/, ''),
+      buildTag: options.buildTag || 'latest',
+      registryAuth: options.registryAuth || [],
     };
   }
 
@@ -54,21 +298,87 @@ export class Compose2HCLConverter {
    * Convert Docker Compose YAML to Nomad HCL
    */
   async convert(composeContent: string): Promise<ConversionResult> {
-    this.warnings = [];
-    this.errors = [];
+    return this.convertDocuments([{ content: composeContent }], this.options.projectDirectory || process.cwd());
+  }
+
+  /**
+   * Convert several Docker Compose files to Nomad HCL.
+   * Files are merged in order, later files overriding earlier ones.
+   */
+  async convertFiles(filePaths: string[]): Promise<ConversionResult> {
+    this.diagnostics = new DiagnosticCollector();
+    this.sources = [];
+
+    if (filePaths.length === 0) {
+      return this.failedResult('No Docker Compose files given');
+    }
+
+    const documents: ComposeDocument[] = [];
+    for (const filePath of filePaths) {
+      try {
+        documents.push({ content: fs.readFileSync(filePath, 'utf8'), fileName: filePath });
+      } catch (error) {
+        return this.failedResult(`Failed to read '${filePath}': ${error instanceof Error ? error.message : String(error)}`);
+      }
+    }
+
+    const projectDirectory = this.options.projectDirectory || path.dirname(path.resolve(filePaths[0]!));
+    return this.convertDocuments(documents, projectDirectory);
+  }
+
+  /**
+   * Parse, merge, validate and convert one or more compose documents
+   */
+  private async convertDocuments(documents: ComposeDocument[], projectDirectory: string): Promise<ConversionResult> {
+    this.diagnostics = new DiagnosticCollector();
+    this.sources = [];
+    this.builds = {};
+    this.udpPorts = {};
+    this.directEnv = {};
 
     try {
-      // Parse YAML
-      const composeData = this.parseCompose(composeContent);
+      const environment = this.options.fileAccess
+        ? resolveEnvironment(projectDirectory, this.options.envFiles, this.options.environment)
+        : { ...this.options.environment };
+      this.projectDirectory = projectDirectory;
+      this.environment = environment;
+
+      // Parse YAML, interpolate variables, load includes and merge override files
+      const mergedCompose = mergeComposeFiles(
+        documents.map(document => {
+          const compose = this.interpolate(this.parseCompose(document.content, document.fileName), environment, document.fileName);
+          return this.resolveIncludes(compose, document.fileName, projectDirectory);
+        })
+      );
+
+      // Resolve service extends
+      const extendsResult = resolveExtends(mergedCompose, { projectDirectory, environment, fileAccess: this.options.fileAccess });
+      extendsResult.warnings.forEach(warning => this.diagnostics.warning(warning));
+      extendsResult.errors.forEach(error => this.diagnostics.error(error));
+
+      // Leave out services of inactive profiles
+      const activeProfiles = [...new Set([...this.options.profiles, ...parseProfileList(environment.COMPOSE_PROFILES)])];
+      const profileResult = selectProfiles(extendsResult.compose, activeProfiles);
+      profileResult.warnings.forEach(warning => this.diagnostics.warning(warning));
+      profileResult.errors.forEach(error => this.diagnostics.error(error));
+      const composeData = profileResult.compose;
+
+      const loadErrors = this.diagnostics.errors.length;
+      if (loadErrors > 0) {
+        throw new Error(`Loading failed: ${loadErrors} error(s) while loading the compose project`);
+      }
+
+      if (composeData.version && !this.isSupportedVersion(composeData.version)) {
+        this.diagnostics.warning(`Docker Compose version '${composeData.version}' may not be fully supported`, 'version');
+      }
       
       // Validate if not skipped
       if (!this.options.skipValidation) {
         const validationResult = validateComposeFile(composeData);
-        this.warnings.push(...validationResult.warnings);
-        this.errors.push(...validationResult.errors);
+        this.diagnostics.diagnostics.push(...validationResult.diagnostics);
         
-        if (this.errors.length > 0) {
-          throw new Error(`Validation failed: ${this.errors.join(', ')}`);
+        if (this.diagnostics.errors.length > 0) {
+          throw new Error(`Validation failed: ${this.diagnostics.errors.join(', ')}`);
         }
       }
 
@@ -80,45 +390,92 @@ export class Compose2HCLConverter {
         includeComments: this.options.includeComments,
       });
 
-      return {
-        hcl,
-        nomadJob,
-        warnings: this.warnings,
-        errors: this.errors,
-      };
+      return this.createResult(hcl, nomadJob);
     } catch (error) {
-      const errorMessage = error instanceof Error ? error.message : String(error);
-      this.errors.push(errorMessage);
-      
-      return {
-        hcl: `# ERROR: ${errorMessage}`,
-        nomadJob: { job: {} },
-        warnings: this.warnings,
-        errors: this.errors,
-      };
+      const location = error instanceof ComposeParseError ? error.location : undefined;
+      return this.failedResult(error instanceof Error ? error.message : String(error), location);
     }
   }
 
   /**
-   * Parse Docker Compose YAML content
+   * Build the result returned when conversion cannot complete
    */
-  private parseCompose(content: string): DockerComposeFile {
-    try {
-      const parsed = loadYAML(content) as DockerComposeFile;
-      
-      if (!parsed || typeof parsed !== 'object') {
-        throw new Error('Invalid YAML structure');
-      }
+  private failedResult(errorMessage: string, location?: SourceLocation): ConversionResult {
+    this.diagnostics.diagnostics.push({ severity: 'error', message: errorMessage, ...location });
+    return this.createResult(`# ERROR: ${errorMessage}`, { job: {} });
+  }
 
-      // Handle version field
-      if (parsed.version && !this.isSupportedVersion(parsed.version)) {
-        this.warnings.push(`Docker Compose version '${parsed.version}' may not be fully supported`);
-      }
+  /**
+   * Build the conversion result, resolving the source location of every diagnostic
+   */
+  private createResult(hcl: string, nomadJob: NomadJob): ConversionResult {
+    const jobs: Record<string, string> = {};
+    for (const [jobName, jobSpec] of Object.entries(nomadJob.job)) {
+      jobs[jobName] = generateHCL({ job: { [jobName]: jobSpec } }, { includeComments: this.options.includeComments });
+    }
+
+    const diagnostics = this.diagnostics.diagnostics.map(diagnostic => {
+      if (!diagnostic.path || diagnostic.line !== undefined) return diagnostic;
+      const location = findSourceLocation(diagnostic.path, this.sources, diagnostic.file);
+      return location ? { ...diagnostic, ...location } : diagnostic;
+    });
 
-      return parsed;
+    return {
+      hcl,
+      nomadJob,
+      warnings: this.diagnostics.warnings,
+      errors: this.diagnostics.errors,
+      diagnostics,
+      jobs,
+      buildPlan: { directory: this.projectDirectory, builds: Object.values(this.builds) },
+    };
+  }
+
+  /**
+   * Parse Docker Compose YAML content, keeping its source map for diagnostics
+   */
+  private parseCompose(content: string, fileName?: string): DockerComposeFile {
+    try {
+      const { compose, sourceMap } = parseComposeYAMLWithSourceMap(content, fileName);
+      this.sources.push({ file: fileName, sourceMap });
+      return compose;
     } catch (error) {
-      throw new Error(`Failed to parse YAML: ${error instanceof Error ? error.message : String(error)}`);
+      const source = fileName ? ` '${fileName}'` : '';
+      const location = error instanceof ComposeParseError ? error.location : undefined;
+      throw new ComposeParseError(`Failed to parse YAML${source}: ${error instanceof Error ? error.message : String(error)}`, location);
+    }
+  }
+
+  /**
+   * Interpolate variables, recording missing required ones as errors and unset ones as warnings
+   */
+  private interpolate(compose: DockerComposeFile, environment: Environment, fileName?: string): DockerComposeFile {
+    const result = interpolateCompose(compose, environment);
+    for (const issue of result.warnings) {
+      this.diagnostics.diagnostics.push({ severity: 'warning', message: issue.message, path: issue.path, file: fileName });
+    }
+    for (const issue of result.errors) {
+      this.diagnostics.diagnostics.push({ severity: 'error', message: issue.message, path: issue.path, file: fileName });
     }
+    return result.compose;
+  }
+
+  /**
+   * Merge the resources of `include:`d files into the model
+   */
+  private resolveIncludes(
+    compose: DockerComposeFile,
+    fileName: string | undefined,
+    projectDirectory: string
+  ): DockerComposeFile {
+    const result = resolveIncludes(
+      compose,
+      { projectDirectory, environment: this.options.environment, fileAccess: this.options.fileAccess },
+      fileName ? [path.resolve(fileName)] : []
+    );
+    result.warnings.forEach(warning => this.diagnostics.warning(warning));
+    result.errors.forEach(error => this.diagnostics.error(error));
+    return result.compose;
   }
 
   /**
@@ -134,6 +491,8 @@ export class Compose2HCLConverter {
    */
   private convertToNomadJob(compose: DockerComposeFile): NomadJob {
     const jobName = compose.name || this.options.jobName;
+    this.projectName = jobName;
+    this.registryAuth = this.collectRegistryAuth(compose);
     
     const jobSpec: JobSpec = {
       id: jobName,
@@ -156,6 +515,24 @@ export class Compose2HCLConverter {
       }
     }
 
+    // Task group each service ends up in
+    const plan = compose.services ? this.planTaskGroups(compose, jobName) : new Map<string, string>();
+
+    // Order task groups after the services they depend on
+    if (compose.services) {
+      this.convertDependencies(compose, jobSpec, plan);
+    }
+
+    // Replace the shared Compose network with Connect upstreams
+    if (compose.services && this.options.connect) {
+      this.convertConnect(compose, jobSpec, plan);
+    }
+
+    // Pack services sharing a task group together
+    if (compose.services) {
+      jobSpec.group = this.mergeTaskGroups(compose, jobSpec.group!, plan);
+    }
+
     // Add global constraints from compose extensions
     if (compose.x?.nomad?.constraints) {
       const constraints = compose.x.nomad.constraints;
@@ -167,7 +544,157 @@ export class Compose2HCLConverter {
       }
     }
 
-    return { job: { [jobName]: jobSpec } };
+    return compose.services ? this.splitJobs(compose, jobSpec, plan) : { job: { [jobName]: jobSpec } };
+  }
+
+  /**
+   * Split the task groups into jobs by type: `deploy.mode: global` services run in
+   * a system job, one-shots (with `batchOneShots`) in a batch job, and services with
+   * `x-nomad.cron` or ofelia job labels in one periodic job each
+   */
+  private splitJobs(compose: DockerComposeFile, jobSpec: JobSpec, plan: Map<string, string>): NomadJob {
+    const jobName = jobSpec.name!;
+    const jobs: Record<string, JobSpec> = {};
+    const jobFor = (name: string, type: JobSpec['type'], periodic?: string): JobSpec => {
+      jobs[name] = jobs[name] || {
+        ...jobSpec,
+        id: name,
+        name,
+        type,
+        ...(periodic ? { periodic: { cron: periodic, prohibit_overlap: true } } : {}),
+        group: {},
+      };
+      return jobs[name]!;
+    };
+
+    // Keep the service job first
+    jobFor(jobName, 'service');
+
+    for (const [groupName, members] of partitionGroups(plan)) {
+      const group = jobSpec.group![groupName];
+      if (!group) continue;
+
+      const types = members.map(member => this.getJobType(compose.services![member]!));
+      const type = types[0]!;
+      if (types.some(other => other !== type)) {
+        this.diagnostics.warning(
+          `Services of task group '${groupName}' need different job types (${[...new Set(types)].join(', ')}) - using ${type}`,
+          formatPath(['services', members[0]!])
+        );
+      }
+
+      const path = formatPath(['services', members[0]!, 'deploy']);
+      if (type === 'system') {
+        delete group.count;
+        if (group.update?.canary) {
+          this.diagnostics.warning(`Service '${members[0]}' update order 'start-first' needs canaries, which system jobs do not support`, path);
+          delete group.update.canary;
+          delete group.update.auto_promote;
+        }
+        jobFor(`${jobName}-system`, 'system').group![groupName] = group;
+      } else if (type === 'batch' || type === 'periodic') {
+        delete group.update;
+        const cron = compose.services![members[0]!]!['x-nomad']?.cron;
+        const job = type === 'batch' ? jobFor(`${jobName}-batch`, 'batch') : jobFor(`${jobName}-${groupName}`, 'batch', cron);
+        job.group![groupName] = group;
+      } else {
+        jobs[jobName]!.group![groupName] = group;
+      }
+    }
+
+    this.convertOfeliaJobs(compose, jobSpec, plan, jobFor);
+
+    if (Object.keys(jobs[jobName]!.group!).length === 0 && Object.keys(jobs).length > 1) {
+      delete jobs[jobName];
+    }
+
+    return { job: jobs };
+  }
+
+  /**
+   * Job type a service asks for
+   */
+  private getJobType(service: ComposeService): 'service' | 'system' | 'batch' | 'periodic' {
+    if (service['x-nomad']?.cron) {
+      return 'periodic';
+    }
+    if (service.deploy?.mode === 'global') {
+      return 'system';
+    }
+    if (this.options.batchOneShots && service.restart === 'no' && !service.ports?.length && !service.expose?.length) {
+      return 'batch';
+    }
+    return 'service';
+  }
+
+  /**
+   * Turn ofelia `job-exec` and `job-run` labels into periodic jobs running the
+   * labelled command with the service's task, or the labelled image. Either runs
+   * in a new container, without the Connect upstreams of the service.
+   */
+  private convertOfeliaJobs(
+    compose: DockerComposeFile,
+    jobSpec: JobSpec,
+    plan: Map<string, string>,
+    jobFor: (name: string, type: JobSpec['type'], periodic?: string) => JobSpec
+  ) {
+    for (const [serviceName, service] of Object.entries(compose.services!)) {
+      const group = jobSpec.group![plan.get(serviceName) ?? serviceName];
+      const task = group?.task![serviceName];
+      if (!task) continue;
+
+      const labels = labelMap(service.labels);
+      for (const [key, schedule] of Object.entries(labels)) {
+        const match = /^ofelia\.(job-exec|job-run)\.([^.]+)\.schedule$/.exec(key);
+        if (!match) continue;
+
+        const [, kind = '', name = ''] = match;
+        const prefix = `ofelia.${kind}.${name}`;
+        const path = formatPath(['services', serviceName, 'labels']);
+        const cron = toNomadCron(schedule);
+        if (!cron) {
+          this.diagnostics.warning(`Service '${serviceName}' ofelia job '${name}' schedule '${schedule}' has no Nomad cron equivalent - skipping it`, path);
+          continue;
+        }
+
+        if (kind === 'job-exec') {
+          this.diagnostics.warning(
+            `Service '${serviceName}' ofelia job '${name}' runs in a new container of the service's task, not in the running one`,
+            path
+          );
+        }
+
+        const { ports, ...config } = task.config || {};
+        const command = labels[`${prefix}.command`];
+        const image = kind === 'job-run' ? labels[`${prefix}.image`] : undefined;
+        const jobName = `${jobSpec.name}-${name.replace(/[^A-Za-z0-9_-]/g, '-')}`;
+        const env = this.directEnv[serviceName] || task.env;
+
+        const jobTask: Task = {
+          ...task,
+          ...(env ? { env } : {}),
+          config: {
+            ...config,
+            ...(image ? { image } : {}),
+            ...(command ? { command: '/bin/sh', args: ['-c', command] } : {}),
+          },
+        };
+        if (image) {
+          // Registry credentials of the service's image do not apply to the labelled one
+          delete jobTask.config!.auth;
+          delete jobTask.config!.auth_soft_fail;
+          const templates = (task.template || []).filter(template => template.destination !== 'secrets/registry-auth.env');
+          jobTask.template = templates.length > 0 ? templates : undefined;
+          this.convertRegistryAuth(jobTask);
+        }
+
+        jobFor(jobName, 'batch', cron).group![name] = {
+          count: 1,
+          ...(group.volume ? { volume: group.volume } : {}),
+          task: { [name]: jobTask },
+        };
+      }
+    }
   }
 
   /**
@@ -184,24 +711,27 @@ export class Compose2HCLConverter {
         task: {},
       };
 
+      const ports = this.convertPorts(serviceName, service);
+      const volumes = this.convertVolumes(serviceName, service, compose);
+
       // Convert service to task
-      const task = this.convertServiceToTask(serviceName, service, compose);
+      const task = this.convertServiceToTask(serviceName, service, compose, ports, volumes);
       if (task) {
         taskGroup.task![serviceName] = task;
       }
 
       // Add network configuration
       if (service.ports || service.expose) {
-        taskGroup.network = this.convertNetworking(service);
+        taskGroup.network = this.convertNetworking(ports);
       }
 
       // Add volumes
-      if (service.volumes || compose.volumes) {
-        taskGroup.volume = this.convertVolumes(service, compose.volumes);
+      if (Object.keys(volumes.volumes).length > 0) {
+        taskGroup.volume = volumes.volumes;
       }
 
       // Add services (for service discovery)
-      const nomadServices = this.convertToNomadServices(service, serviceName);
+      const nomadServices = this.convertToNomadServices(service, serviceName, ports);
       if (nomadServices.length > 0) {
         taskGroup.service = nomadServices;
       }
@@ -211,9 +741,27 @@ export class Compose2HCLConverter {
         taskGroup.restart = this.convertRestartPolicy(service);
       }
 
+      // Add placement preferences and per-node replica caps
+      const placement = this.convertPlacement(serviceName, service);
+      if (placement.constraint.length > 0) {
+        taskGroup.constraint = placement.constraint;
+      }
+      if (placement.spread.length > 0) {
+        taskGroup.spread = placement.spread;
+      }
+
+      // Add update strategy
+      const update = this.convertUpdate(serviceName, service, nomadServices.some(nomadService => nomadService.check));
+      if (update) {
+        taskGroup.update = update;
+      }
+
       return taskGroup;
     } catch (error) {
-      this.errors.push(`Failed to convert service '${serviceName}': ${error instanceof Error ? error.message : String(error)}`);
+      this.diagnostics.error(
+        `Failed to convert service '${serviceName}': ${error instanceof Error ? error.message : String(error)}`,
+        formatPath(['services', serviceName])
+      );
       return null;
     }
   }
@@ -224,54 +772,686 @@ export class Compose2HCLConverter {
   private convertServiceToTask(
     serviceName: string,
     service: ComposeService,
-    compose: DockerComposeFile
+    compose: DockerComposeFile,
+    ports: ServicePort[],
+    volumes: ServiceVolumes
   ): Task {
     const task: Task = {
       driver: 'docker',
-      config: this.convertDockerConfig(service),
+      config: this.convertDockerConfig(serviceName, service),
     };
 
-    // Add environment variables
-    if (service.environment) {
-      task.env = this.convertEnvironment(service.environment);
+    // Stop signal and grace period
+    if (service.stop_signal) {
+      task.kill_signal = service.stop_signal;
+    }
+    if (service.stop_grace_period) {
+      task.kill_timeout = service.stop_grace_period;
     }
 
-    // Add resources
-    task.resources = this.convertResources(service);
+    // Map the group's port labels into the container
+    if (ports.length > 0) {
+      task.config!.ports = ports.map(port => port.label);
+    }
+
+    // Add environment variables, `environment` taking precedence over `env_file`
+    const environment = service.environment ? this.convertEnvironment(service.environment) : {};
+    const envFileValues = service.env_file ? this.loadServiceEnvFiles(serviceName, service.env_file) : {};
 
-    // Add health checks
-    if (service.healthcheck) {
-      const nomadServices = this.convertToNomadServices(service, serviceName);
-      if (nomadServices.length > 0 && nomadServices[0]!.check) {
-        // Health check is added to service, not task directly
+    if (this.options.envFileMode === 'template') {
+      const fileOnly = Object.entries(envFileValues).filter(([key]) => !(key in environment));
+      if (fileOnly.length > 0) {
+        task.template = [this.createEnvFileTemplate(fileOnly)];
+      }
+      if (service.environment) {
+        task.env = environment;
       }
+    } else if (service.environment || Object.keys(envFileValues).length > 0) {
+      task.env = { ...envFileValues, ...environment };
     }
 
+    // Add resources
+    task.resources = this.convertResources(serviceName, service, task.config!);
+
     // Add templates for configs and secrets
-    const templates = this.convertConfigsAndSecrets(service, compose);
+    const templates = this.convertConfigsAndSecrets(serviceName, service, compose);
     if (templates.length > 0) {
-      task.template = templates;
+      task.template = [...(task.template || []), ...templates];
+    }
+    if (service.secrets?.length && this.options.secretsBackend.startsWith('vault-')) {
+      task.vault = {};
     }
 
+    // Authenticate image pulls from private registries
+    this.convertRegistryAuth(task);
+
     // Add constraints
     if (service.deploy?.placement?.constraints) {
-      task.constraint = this.convertConstraints(service.deploy.placement.constraints);
+      task.constraint = this.convertSwarmConstraints(serviceName, service.deploy.placement.constraints);
+    }
+    if (service['x-nomad']?.node_class) {
+      task.constraint = [...(task.constraint || []), { attribute: '${node.class}', operator: '=', value: service['x-nomad'].node_class }];
     }
 
     // Add volume mounts
-    if (service.volumes) {
-      task.volume_mount = this.convertVolumeMounts(service.volumes);
+    if (Object.keys(volumes.volumeMounts).length > 0) {
+      task.volume_mount = volumes.volumeMounts;
+    }
+    if (volumes.mounts.length > 0) {
+      task.config!.mount = volumes.mounts;
+    }
+    if (volumes.constraints.length > 0) {
+      task.constraint = [...(task.constraint || []), ...volumes.constraints];
+    }
+
+    return task;
+  }
+
+  /**
+   * Decide which task group each service goes to. `per-service` gives every service
+   * its own group and `single-group` puts them all in one; `auto` keeps services
+   * together that share a network namespace (`network_mode: service:X`), mount each
+   * other's volumes (`volumes_from`) or name the same `x-nomad.group`.
+   */
+  private planTaskGroups(compose: DockerComposeFile, jobName: string): Map<string, string> {
+    const services = compose.services!;
+    const names = Object.keys(services);
+
+    if (this.options.grouping === 'single-group') {
+      return new Map(names.map(name => [name, jobName]));
+    }
+
+    const parent = new Map(names.map(name => [name, name]));
+    const find = (name: string): string => {
+      const root = parent.get(name)!;
+      return root === name ? name : find(root);
+    };
+    const union = (a: string, b: string) => parent.set(find(b), find(a));
+    const targets = new Set<string>();
+    const hints = new Map<string, string>();
+
+    for (const [serviceName, service] of Object.entries(services)) {
+      const linked = [
+        ...(service.network_mode?.startsWith('service:') ? [service.network_mode.slice('service:'.length)] : []),
+        ...(service.volumes_from || []).filter(source => !source.startsWith('container:')).map(source => source.split(':')[0]!),
+      ];
+
+      for (const target of linked) {
+        if (!services[target]) continue;
+        if (this.options.grouping === 'auto') {
+          union(target, serviceName);
+          targets.add(target);
+        } else {
+          this.diagnostics.warning(
+            `Service '${serviceName}' shares the namespace or volumes of '${target}', which needs both in one task group - use the auto grouping strategy`,
+            formatPath(['services', serviceName])
+          );
+        }
+      }
+
+      const hint = service['x-nomad']?.group;
+      if (hint && this.options.grouping === 'auto') {
+        const holder = hints.get(hint) ?? (services[hint] ? hint : undefined);
+        if (holder) union(holder, serviceName);
+        hints.set(hint, holder ?? serviceName);
+      }
+    }
+
+    // Name each group after its hint, the service the others attach to, or its first service
+    const groupNames = new Map<string, string>();
+    for (const [root, members] of partitionGroups(new Map(names.map(name => [name, find(name)])))) {
+      const hinted = [...new Set(members.map(member => services[member]!['x-nomad']?.group).filter(Boolean))] as string[];
+      if (hinted.length > 1) {
+        this.diagnostics.warning(`Services ${members.join(', ')} share a task group but name different groups (${hinted.join(', ')}) - using '${hinted[0]}'`);
+      }
+      groupNames.set(root, hinted[0] ?? members.find(member => targets.has(member)) ?? members[0]!);
+    }
+
+    return new Map(names.map(name => [name, groupNames.get(find(name))!]));
+  }
+
+  /**
+   * Merge the task groups of services planned into the same group. Port labels
+   * are prefixed with the service name when they clash, and every task can reach
+   * its group peers by service name on localhost.
+   */
+  private mergeTaskGroups(compose: DockerComposeFile, groups: Record<string, TaskGroup>, plan: Map<string, string>): Record<string, TaskGroup> {
+    const merged: Record<string, TaskGroup> = {};
+
+    for (const [groupName, members] of partitionGroups(plan)) {
+      const present = members.filter(member => groups[member]);
+      if (present.length === 0) continue;
+      if (present.length === 1 && groupName === present[0]) {
+        merged[groupName] = groups[groupName]!;
+        this.shareVolumesFrom(compose, merged[groupName]!, present);
+        continue;
+      }
+
+      const path = formatPath(['services', present[0]!]);
+      const group: TaskGroup = {
+        ...groups[present[0]!]!,
+        task: {},
+        service: [],
+        network: undefined,
+        volume: undefined,
+        constraint: undefined,
+        spread: undefined,
+      };
+
+      for (const member of present) {
+        const memberGroup = groups[member]!;
+        const task = memberGroup.task![member]!;
+
+        if (memberGroup.count !== group.count) {
+          this.diagnostics.warning(
+            `Service '${member}' asks for ${memberGroup.count} replicas but shares task group '${groupName}' with ${group.count} - using ${group.count}`,
+            formatPath(['services', member])
+          );
+        }
+
+        // Ports, renaming clashing labels
+        for (const [label, port] of Object.entries(memberGroup.network?.port || {})) {
+          group.network = group.network || { ...memberGroup.network, port: {} };
+          const ports = group.network.port!;
+          const clash = Object.values(ports).find(existing => existing.to === port.to);
+          if (clash) {
+            this.diagnostics.warning(`Services of task group '${groupName}' share localhost but both listen on port ${port.to}`, path);
+          }
+
+          const unique = ports[label] ? `${member.replace(/[^A-Za-z0-9_]/g, '_')}_${label}` : label;
+          ports[unique] = port;
+          if (unique !== label) {
+            task.config!.ports = (task.config!.ports as string[]).map(existing => (existing === label ? unique : existing));
+            (memberGroup.service || []).forEach(service => {
+              if (service.port === label) service.port = unique;
+              (service.check || []).forEach(check => {
+                if (check.port === label) check.port = unique;
+              });
+            });
+          }
+        }
+
+        for (const [name, volume] of Object.entries(memberGroup.volume || {})) {
+          const existing = group.volume?.[name];
+          group.volume = { ...group.volume, [name]: existing ? { ...existing, read_only: existing.read_only && volume.read_only } : volume };
+        }
+
+        // Placement of every member applies to the whole group
+        if (memberGroup.constraint) {
+          group.constraint = uniqueItems([...(group.constraint || []), ...memberGroup.constraint]);
+        }
+        if (memberGroup.spread) {
+          group.spread = uniqueItems([...(group.spread || []), ...memberGroup.spread]);
+        }
+
+        // The group is healthy once the slowest starting member is
+        if (memberGroup.update && durationToMs(memberGroup.update.min_healthy_time) > durationToMs(group.update?.min_healthy_time)) {
+          group.update = { ...group.update, ...memberGroup.update };
+        } else if (memberGroup.update) {
+          group.update = { ...memberGroup.update, ...group.update };
+        }
+
+        Object.assign(group.task!, memberGroup.task);
+        group.service!.push(...(memberGroup.service || []));
+      }
+
+      this.shareVolumesFrom(compose, group, present);
+
+      // Peers keep resolving each other's service names
+      for (const member of present) {
+        const peers = present.filter(peer => peer !== member).map(peer => `${peer}:127.0.0.1`);
+        const config = group.task![member]!.config!;
+        config.extra_hosts = [...(config.extra_hosts || []), ...peers];
+      }
+
+      if (group.service!.length === 0) delete group.service;
+      merged[groupName] = group;
+    }
+
+    return merged;
+  }
+
+  /**
+   * Copy the mounts of `volumes_from` sources into the tasks using them
+   */
+  private shareVolumesFrom(compose: DockerComposeFile, group: TaskGroup, members: string[]) {
+    for (const member of members) {
+      const path = formatPath(['services', member, 'volumes_from']);
+
+      for (const source of compose.services![member]!.volumes_from || []) {
+        const [sourceName = '', mode] = source.split(':');
+        if (sourceName === 'container') {
+          this.diagnostics.warning(`Service '${member}' volumes_from '${source}' refers to a container, which Nomad cannot mount from`, path);
+          continue;
+        }
+        const from = members.includes(sourceName) ? group.task![sourceName] : undefined;
+        if (!from) {
+          this.diagnostics.warning(
+            `Service '${member}' volumes_from '${sourceName}' is unsupported by Nomad docker driver across task groups - use --grouping auto to share its volumes`,
+            path
+          );
+          continue;
+        }
+
+        const readOnly = mode === 'ro';
+        const task = group.task![member]!;
+        for (const [name, mount] of Object.entries(from.volume_mount || {})) {
+          task.volume_mount = { ...task.volume_mount, [`${sourceName}_${name}`]: { ...mount, read_only: mount.read_only || readOnly } };
+        }
+        for (const mount of (from.config?.mount || []) as Record<string, any>[]) {
+          task.config!.mount = [...(task.config!.mount || []), { ...mount, readonly: mount.readonly || readOnly }];
+        }
+      }
+    }
+  }
+
+  /**
+   * Turn `depends_on` into prestart tasks. `service_started` and `service_healthy`
+   * add a task waiting for the dependency's service registration (or passing health
+   * checks); `service_completed_successfully` runs the dependency itself as a
+   * prestart task, so the group only starts once it has exited successfully.
+   */
+  private convertDependencies(compose: DockerComposeFile, jobSpec: JobSpec, plan: Map<string, string>) {
+    const groups = jobSpec.group!;
+    const inlined = new Map<string, string[]>();
+    const awaited = new Set<string>();
+    const oneShots: [string, string, string][] = [];
+
+    for (const [serviceName, service] of Object.entries(compose.services!)) {
+      const group = groups[serviceName];
+      if (!service.depends_on || !group) continue;
+
+      const dependencies: [string, DependsOnConfig][] = Array.isArray(service.depends_on)
+        ? service.depends_on.map(dependency => [dependency, { condition: 'service_started' }])
+        : Object.entries(service.depends_on);
+
+      for (const [dependency, { condition = 'service_started', required = true }] of dependencies) {
+        const dependencyPath = formatPath(['services', serviceName, 'depends_on', dependency]);
+        const dependencyGroup = groups[dependency];
+
+        if (!dependencyGroup) {
+          if (required) {
+            this.diagnostics.warning(`Service '${serviceName}' depends on '${dependency}', which is not part of the job`, dependencyPath);
+          }
+          continue;
+        }
+
+        if (this.options.dependsOnStrategy === 'none') {
+          this.diagnostics.warning(
+            `Service '${serviceName}' depends on '${dependency}' (${condition}), which is not enforced with the 'none' depends_on strategy`,
+            dependencyPath
+          );
+          continue;
+        }
+
+        // Tasks of one group start together, only a one-shot dependency can run before the others
+        if (plan.get(serviceName) === plan.get(dependency)) {
+          if (condition === 'service_completed_successfully') {
+            dependencyGroup.task![dependency]!.lifecycle = { hook: 'prestart', sidecar: false };
+            delete dependencyGroup.service;
+          } else if (condition === 'service_healthy') {
+            this.diagnostics.warning(
+              `Service '${serviceName}' shares a task group with '${dependency}' and starts alongside it, without waiting for it to be healthy`,
+              dependencyPath
+            );
+          }
+          continue;
+        }
+
+        if (condition === 'service_completed_successfully') {
+          oneShots.push([serviceName, dependency, dependencyPath]);
+          continue;
+        }
+
+        const registration = dependencyGroup.service?.[0]?.name || dependency;
+        if (condition === 'service_healthy' && this.options.dependsOnStrategy === 'nomad') {
+          this.diagnostics.warning(
+            `Service '${serviceName}' waits for '${dependency}' to be registered - Nomad service discovery does not expose health, use the 'consul' strategy to wait for passing checks`,
+            dependencyPath
+          );
+        }
+        group.task![`wait-for-${dependency}`] = this.createWaitTask(registration, condition === 'service_healthy');
+        awaited.add(dependency);
+      }
     }
 
-    // Add lifecycle configuration
-    if (service.depends_on) {
-      // Dependencies are handled at the job level in Nomad
-      this.warnings.push(`Service dependencies for '${serviceName}' converted to constraints where possible`);
+    // Inline one-shot services once every group has its wait tasks. A one-shot that
+    // itself depends on another one-shot cannot be ordered inside a single group.
+    const dependents = new Set(oneShots.map(([serviceName]) => serviceName));
+    for (const [serviceName, dependency, dependencyPath] of oneShots) {
+      if (dependents.has(dependency)) {
+        this.diagnostics.error(
+          `Service '${serviceName}' cannot run '${dependency}' as a prestart task, as '${dependency}' waits for another service to complete first`,
+          dependencyPath
+        );
+        continue;
+      }
+      if (this.inlineOneShotTask(serviceName, groups[serviceName]!, dependency, groups[dependency]!, dependencyPath)) {
+        inlined.set(dependency, [...(inlined.get(dependency) || []), serviceName]);
+      }
+    }
+
+    // One-shot services now run inside their dependents
+    for (const [dependency, dependents] of inlined) {
+      const path = formatPath(['services', dependency]);
+      if (awaited.has(dependency)) {
+        this.diagnostics.warning(
+          `Service '${dependency}' is also awaited as a long-running service, so it runs both in its own group and before ${dependents.join(', ')}`,
+          path
+        );
+        continue;
+      }
+      delete groups[dependency];
+      if (dependents.length > 1) {
+        this.diagnostics.warning(`Service '${dependency}' runs once before each of ${dependents.join(', ')}`, path);
+      }
     }
+  }
+
+  /**
+   * Run a one-shot dependency as a prestart task of its dependent's group. Nomad
+   * starts the prestart tasks of a group together, so the polling loops of the
+   * tasks the dependency waits for are run by its own command before it is exec'd.
+   * Returns false, reporting an error, when they cannot be ordered that way.
+   */
+  private inlineOneShotTask(serviceName: string, group: TaskGroup, dependency: string, dependencyGroup: TaskGroup, path: string): boolean {
+    const task = dependencyGroup.task![dependency]!;
+    const waits = Object.entries(dependencyGroup.task!).filter(
+      ([taskName, other]) => taskName !== dependency && other.lifecycle?.hook === 'prestart'
+    );
+    const { ports, ...config } = task.config || {};
+
+    let inlinedTask: Task = { ...task, config, lifecycle: { hook: 'prestart', sidecar: false } };
+    if (waits.length > 0) {
+      const awaited = waits.map(([taskName]) => taskName.replace(/^wait-for-/, '')).join(', ');
+      const { entrypoint = [], command, args = [], ...rest } = config as { entrypoint?: string[]; command?: string; args?: string[] };
+      const argv = [...entrypoint, ...(command !== undefined ? [command, ...args] : [])];
+      if (argv.length === 0 || waits.some(([taskName]) => !taskName.startsWith('wait-for-'))) {
+        this.diagnostics.error(
+          `Service '${dependency}' waits for ${awaited} and needs an explicit command or entrypoint to run as a prestart task of '${serviceName}'`,
+          path
+        );
+        return false;
+      }
 
+      const polling = waits.map(([, wait]) => (wait.config!.args as string[])[1]).join('; ');
+      inlinedTask = {
+        ...inlinedTask,
+        config: {
+          ...rest,
+          entrypoint: ['/bin/sh', '-c', `${polling}; exec "$@"`, 'sh'],
+          command: argv[0],
+          ...(argv.length > 1 ? { args: argv.slice(1) } : {}),
+        },
+        ...(waits.some(([, wait]) => wait.identity) ? { identity: { env: true } } : {}),
+      };
+      this.diagnostics.info(
+        `Service '${dependency}' waits for ${awaited} itself before it runs as a prestart task of '${serviceName}', so its image needs sh and curl`,
+        path
+      );
+    }
+
+    if (ports) {
+      this.diagnostics.warning(`Service '${dependency}' runs as a prestart task of '${serviceName}', its ports are not published`, path);
+    }
+
+    group.task![dependency] = inlinedTask;
+    if (dependencyGroup.volume) {
+      group.volume = { ...dependencyGroup.volume, ...group.volume };
+    }
+    return true;
+  }
+
+  /**
+   * Prestart task polling the service registry until a service is registered,
+   * or has passing health checks
+   */
+  private createWaitTask(registration: string, healthy: boolean): Task {
+    const task: Task = {
+      driver: 'docker',
+      lifecycle: { hook: 'prestart', sidecar: false },
+      config: { image: WAIT_IMAGE, command: 'sh' },
+      resources: { cpu: 50, memory: 32 },
+    };
+
+    let request: string;
+    if (this.options.dependsOnStrategy === 'nomad') {
+      // Query the Nomad Task API through the socket in the secrets dir, authenticated by the workload identity
+      request =
+        'curl -sf --unix-socket "${NOMAD_SECRETS_DIR}/api.sock" -H "Authorization: Bearer $NOMAD_TOKEN" ' +
+        `"http://localhost/v1/service/${registration}"`;
+      task.identity = { env: true };
+    } else {
+      const endpoint = healthy ? `health/service/${registration}?passing=true` : `catalog/service/${registration}`;
+      request = `curl -sf "http://\${attr.unique.network.ip-address}:8500/v1/${endpoint}"`;
+    }
+
+    task.config!.args = ['-c', `until ${request} | grep -q ServiceName; do sleep 2; done`];
     return task;
   }
 
+  /**
+   * Replace Compose's shared networks with Consul Connect. Every service with a
+   * tcp port gets a sidecar (Connect proxies do not carry udp); a service reaching another one on a shared network (by
+   * `depends_on`, `links` or its hostname in the environment) gets an upstream
+   * for each of its ports, and hostname references in its environment are
+   * rewritten to the upstream's local address.
+   */
+  private convertConnect(compose: DockerComposeFile, jobSpec: JobSpec, plan: Map<string, string>) {
+    if (this.options.networkMode !== 'bridge') {
+      this.diagnostics.warning(`Consul Connect needs the bridge network mode, not '${this.options.networkMode}' - skipping upstreams`);
+      return;
+    }
+
+    const groups = jobSpec.group!;
+    const services = compose.services!;
+
+    // Connect services and their container ports, per Compose service
+    const destinations = new Map<string, { name: string; target: number }[]>();
+    for (const [serviceName, group] of Object.entries(groups)) {
+      const registered = (group.service || []).filter(service => {
+        if (!service.port || !group.network?.port?.[service.port]) return false;
+        if (this.udpPorts[serviceName]?.includes(service.port)) {
+          this.diagnostics.warning(
+            `Service '${serviceName}' port ${service.port} is udp only, which Consul Connect cannot proxy - no sidecar or upstream for it`,
+            formatPath(['services', serviceName])
+          );
+          return false;
+        }
+        return true;
+      });
+      registered.forEach(service => {
+        service.connect = { sidecar_service: {} };
+      });
+      destinations.set(
+        serviceName,
+        registered.map(service => ({ name: service.name!, target: group.network!.port![service.port!]!.to! }))
+      );
+    }
+
+    // Services sharing a task group share one set of upstreams and reach each other on localhost
+    for (const members of partitionGroups(plan).values()) {
+      const present = members.filter(member => groups[member]?.task?.[member]);
+      const usedPorts = new Set(present.flatMap(member => Object.values(groups[member]!.network?.port || {}).map(port => port.to)));
+      const upstreams = new Map<string, Upstream>();
+
+      for (const serviceName of present) {
+        const service = services[serviceName]!;
+        const task = groups[serviceName]!.task![serviceName]!;
+        const references = this.findServiceReferences(serviceName, service, services, task.env || {}).filter(
+          ({ dependency }) => plan.get(dependency) !== plan.get(serviceName)
+        );
+        const hostnames: { pattern: RegExp; ports: Map<number, string>; address: string; target: number; bindPort: number }[] = [];
+
+        for (const { dependency, aliases } of references) {
+          const path = formatPath(['services', serviceName]);
+          if (!this.sharesNetwork(service, services[dependency]!)) {
+            this.diagnostics.warning(`Service '${serviceName}' uses '${dependency}', but they share no network - no upstream added`, path);
+            continue;
+          }
+
+          const ports = destinations.get(dependency) || [];
+          if (ports.length === 0) {
+            if (groups[dependency]) {
+              this.diagnostics.warning(
+                `Service '${serviceName}' uses '${dependency}', which declares no ports or expose - add them so an upstream can be generated`,
+                path
+              );
+            }
+            continue;
+          }
+
+          const upstreamPorts = new Map<number, string>();
+          for (const { name, target } of ports) {
+            if (!upstreams.has(name)) {
+              let localBindPort = target;
+              while (usedPorts.has(localBindPort)) localBindPort++;
+              usedPorts.add(localBindPort);
+              upstreams.set(name, { destination_name: name, local_bind_port: localBindPort });
+            }
+            upstreamPorts.set(target, name.replace(/-/g, '_'));
+          }
+
+          const names = [dependency, ...aliases].map(escapeRegExp).join('|');
+          const [first] = ports as [{ name: string; target: number }];
+          hostnames.push({
+            pattern: new RegExp(`(^|[^A-Za-z0-9_.-])(${names})(?::(\\d+))?(?=$|[^A-Za-z0-9_.-])`, 'g'),
+            ports: upstreamPorts,
+            address: upstreamPorts.get(first.target)!,
+            target: first.target,
+            bindPort: upstreams.get(first.name)!.local_bind_port!,
+          });
+        }
+
+        if (task.env && hostnames.length > 0) {
+          this.directEnv[serviceName] = task.env;
+          task.env = this.rewriteServiceHostnames(serviceName, task.env, hostnames);
+        }
+      }
+
+      if (upstreams.size === 0) continue;
+
+      // One Connect service of the group carries the upstreams, or a port-less one is registered for them
+      const proxy = { upstreams: [...upstreams.values()] };
+      const own = present.flatMap(member => groups[member]!.service || []).find(candidate => candidate.connect);
+      if (own) {
+        own.connect = { sidecar_service: { proxy } };
+      } else {
+        const [serviceName] = present as [string];
+        const group = groups[serviceName]!;
+        group.service = [
+          ...(group.service || []).filter(candidate => candidate.name !== serviceName),
+          { name: serviceName, tags: ['docker-compose'], connect: { sidecar_service: { proxy } } },
+        ];
+      }
+    }
+  }
+
+  /**
+   * Services a service talks to, with the extra hostnames it may use for them
+   */
+  private findServiceReferences(
+    serviceName: string,
+    service: ComposeService,
+    services: Record<string, ComposeService>,
+    environment: Record<string, string>
+  ): { dependency: string; aliases: string[] }[] {
+    const references = new Map<string, Set<string>>();
+    const add = (dependency: string, alias?: string) => {
+      if (dependency === serviceName || !services[dependency]) return;
+      const aliases = references.get(dependency) || new Set<string>();
+      if (alias && alias !== dependency) aliases.add(alias);
+      references.set(dependency, aliases);
+    };
+
+    const dependsOn = service.depends_on || [];
+    (Array.isArray(dependsOn) ? dependsOn : Object.keys(dependsOn)).forEach(dependency => add(dependency));
+    (service.links || []).forEach(link => {
+      const [dependency = '', alias] = link.split(':');
+      add(dependency, alias);
+    });
+
+    // Other services' names and network aliases mentioned in the environment
+    for (const [candidate, candidateService] of Object.entries(services)) {
+      const aliases = Array.isArray(candidateService.networks)
+        ? []
+        : Object.values(candidateService.networks || {}).flatMap(network => network?.aliases || []);
+      for (const hostname of [candidate, ...aliases]) {
+        const escaped = escapeRegExp(hostname);
+        const pattern = new RegExp(`(^|[^A-Za-z0-9_.-])${escaped}:\\d+|(://|@)${escaped}(?=$|[^A-Za-z0-9_.-])`);
+        const mentioned = Object.entries(environment).some(
+          ([key, value]) => pattern.test(value) || (value === hostname && HOST_KEY.test(key))
+        );
+        if (mentioned) {
+          add(candidate, hostname);
+        }
+      }
+      if (references.has(candidate)) {
+        aliases.forEach(alias => references.get(candidate)!.add(alias));
+      }
+    }
+
+    return [...references].map(([dependency, aliases]) => ({ dependency, aliases: [...aliases] }));
+  }
+
+  /**
+   * Whether two services are attached to a common network, `default` when none is listed
+   */
+  private sharesNetwork(a: ComposeService, b: ComposeService): boolean {
+    const networks = (service: ComposeService) => {
+      if (service.network_mode) return [];
+      if (!service.networks) return ['default'];
+      return Array.isArray(service.networks) ? service.networks : Object.keys(service.networks);
+    };
+    const other = networks(b);
+    return networks(a).some(network => other.includes(network));
+  }
+
+  /**
+   * Rewrite `host:port` and URL hostnames of upstream services to their local Connect address.
+   * A bare hostname keeps the client's default port, so when the upstream is bound to another
+   * local port URLs get the full address, and host-only settings a warning.
+   */
+  private rewriteServiceHostnames(
+    serviceName: string,
+    env: Record<string, string>,
+    hostnames: { pattern: RegExp; ports: Map<number, string>; address: string; target: number; bindPort: number }[]
+  ): Record<string, string> {
+    return Object.fromEntries(
+      Object.entries(env).map(([key, value]) => {
+        let rewritten = value;
+        for (const { pattern, ports, address, target, bindPort } of hostnames) {
+          rewritten = rewritten.replace(pattern, (match, prefix: string, hostname: string, port?: string) => {
+            if (port !== undefined) {
+              const upstream = ports.get(Number(port));
+              if (upstream) return `${prefix}\${NOMAD_UPSTREAM_ADDR_${upstream}}`;
+              this.diagnostics.warning(
+                `Service '${serviceName}' environment ${key} uses ${hostname}:${port}, which is not a port of '${hostname}' - left unchanged`,
+                formatPath(['services', serviceName, 'environment', key])
+              );
+              return match;
+            }
+            // Bare hostnames only in URLs (scheme://host, user@host) or as the whole value of a host setting
+            const inUrl = prefix === '/' || prefix === '@';
+            const wholeHost = rewritten === hostname && HOST_KEY.test(key);
+            if (inUrl && bindPort !== target) {
+              return `${prefix}\${NOMAD_UPSTREAM_ADDR_${address}}`;
+            }
+            if (wholeHost && bindPort !== target) {
+              this.diagnostics.warning(
+                `Service '${serviceName}' environment ${key} names '${hostname}', whose upstream listens on local port ${bindPort} ` +
+                  `instead of ${target} - set the port to \${NOMAD_UPSTREAM_PORT_${address}}`,
+                formatPath(['services', serviceName, 'environment', key])
+              );
+            }
+            return inUrl || wholeHost ? `${prefix}\${NOMAD_UPSTREAM_IP_${address}}` : match;
+          });
+        }
+        return [key, rewritten];
+      })
+    );
+  }
+
   /**
    * Get service replica count
    */
@@ -282,11 +1462,19 @@ export class Compose2HCLConverter {
   /**
    * Convert Docker configuration
    */
-  private convertDockerConfig(service: ComposeService): Record<string, any> {
+  private convertDockerConfig(serviceName: string, service: ComposeService): Record<string, any> {
     const config: Record<string, any> = {};
+    const unsupported = (field: keyof ComposeService, detail = '') => {
+      this.diagnostics.warning(
+        `Service '${serviceName}' ${String(field)}${detail ? ` ${detail}` : ''} is unsupported by Nomad docker driver - ignoring it`,
+        formatPath(['services', serviceName, field])
+      );
+    };
 
-    // Image
-    if (service.image) {
+    // Image, built by the build plan when the service has a `build` section
+    if (service.build) {
+      config.image = this.planBuild(serviceName, service);
+    } else if (service.image) {
       config.image = service.image;
     }
 
@@ -294,7 +1482,9 @@ export class Compose2HCLConverter {
     if (service.command) {
       if (Array.isArray(service.command)) {
         config.command = service.command[0];
-        config.args = service.command.slice(1);
+        if (service.command.length > 1) {
+          config.args = service.command.slice(1);
+        }
       } else {
         config.command = service.command;
       }
@@ -362,18 +1552,7 @@ export class Compose2HCLConverter {
 
     // Labels
     if (service.labels && this.options.preserveLabels) {
-      const labels: Record<string, string> = {};
-      if (Array.isArray(service.labels)) {
-        service.labels.forEach(label => {
-          const [key, value] = label.split('=', 2);
-          if (key && value !== undefined) {
-            labels[key] = value;
-          }
-        });
-      } else {
-        Object.assign(labels, service.labels);
-      }
-      config.labels = labels;
+      config.labels = labelMap(service.labels);
     }
 
     // DNS
@@ -385,6 +1564,14 @@ export class Compose2HCLConverter {
       config.dns_search = service.dns_search;
     }
 
+    if (service.dns_opt) {
+      config.dns_options = service.dns_opt;
+    }
+
+    if (service.mac_address) {
+      config.mac_address = service.mac_address;
+    }
+
     // Extra hosts
     if (service.extra_hosts) {
       if (Array.isArray(service.extra_hosts)) {
@@ -402,6 +1589,89 @@ export class Compose2HCLConverter {
       };
     }
 
+    // Kernel parameters and limits
+    if (service.sysctls) {
+      config.sysctl = Array.isArray(service.sysctls)
+        ? labelMap(service.sysctls)
+        : Object.fromEntries(Object.entries(service.sysctls).map(([key, value]) => [key, String(value)]));
+    }
+
+    if (service.ulimits) {
+      config.ulimit = Object.fromEntries(
+        Object.entries(service.ulimits)
+          .filter(([, limit]) => limit !== undefined)
+          .map(([name, limit]) => [name, typeof limit === 'object' ? `${limit.soft}:${limit.hard}` : String(limit)])
+      );
+    }
+
+    if (service.shm_size !== undefined) {
+      config.shm_size = parseByteSize(service.shm_size);
+    }
+
+    if (service.storage_opt) {
+      config.storage_opt = service.storage_opt;
+    }
+
+    if (service.oom_score_adj !== undefined) {
+      config.oom_score_adj = service.oom_score_adj;
+    }
+
+    // Process model
+    if (service.init) {
+      config.init = true;
+    }
+
+    if (service.tty) {
+      config.tty = true;
+    }
+
+    if (service.stdin_open) {
+      config.interactive = true;
+    }
+
+    if (service.cpuset) {
+      config.cpuset_cpus = service.cpuset;
+    }
+
+    if (service.isolation) {
+      config.isolation = service.isolation;
+    }
+
+    // Namespaces: Nomad only joins the host's, other containers' are not addressable
+    if (service.pid === 'host') {
+      config.pid_mode = 'host';
+    } else if (service.pid) {
+      unsupported('pid', `'${service.pid}'`);
+    }
+
+    if (service.ipc === 'host') {
+      config.ipc_mode = 'host';
+    } else if (service.ipc && !['private', 'none'].includes(service.ipc)) {
+      unsupported('ipc', `'${service.ipc}'`);
+    }
+
+    if (service.userns_mode) {
+      config.userns_mode = service.userns_mode;
+    }
+
+    if (service.group_add) {
+      config.group_add = service.group_add.map(String);
+    }
+
+    // Image pulls
+    if (service.pull_policy === 'always') {
+      config.force_pull = true;
+    } else if (service.pull_policy && !['missing', 'if_not_present'].includes(service.pull_policy)) {
+      unsupported('pull_policy', `'${service.pull_policy}'`);
+    }
+
+    // No Nomad equivalent
+    (['cgroup_parent', 'device_cgroup_rules', 'oom_kill_disable', 'external_links'] as const).forEach(field => {
+      if (service[field] !== undefined) {
+        unsupported(field);
+      }
+    });
+
     // Network mode
     config.network_mode = this.options.networkMode;
 
@@ -427,61 +1697,340 @@ export class Compose2HCLConverter {
       });
     }
 
-    return env;
+    return env;
+  }
+
+  /**
+   * Read the service's env files in order, later files overriding earlier ones.
+   * A missing file is an error unless it is declared with `required: false`, and
+   * so is a file outside the project directory or any file without file access.
+   */
+  private loadServiceEnvFiles(serviceName: string, envFiles: NonNullable<ComposeService['env_file']>): Record<string, string> {
+    const values: Record<string, string> = {};
+
+    const entries = Array.isArray(envFiles) ? envFiles : [envFiles];
+    entries.forEach((envFile, index) => {
+      const envFilePath = formatPath(['services', serviceName, 'env_file', ...(Array.isArray(envFiles) ? [index] : [])]);
+      const reference = typeof envFile === 'string' ? { path: envFile } : envFile;
+      const filePath = path.resolve(this.projectDirectory, reference.path);
+
+      if (!this.options.fileAccess) {
+        this.diagnostics.error(`Service '${serviceName}' env_file '${reference.path}' cannot be read: reading files is disabled`, envFilePath);
+        return;
+      }
+      if (!isWithinDirectory(this.projectDirectory, filePath)) {
+        this.diagnostics.error(`Service '${serviceName}' env_file '${reference.path}' is outside the project directory`, envFilePath);
+        return;
+      }
+
+      if (!fs.existsSync(filePath)) {
+        if (reference.required !== false) {
+          this.diagnostics.error(`Service '${serviceName}' env_file '${reference.path}' not found`, envFilePath);
+        }
+        return;
+      }
+
+      try {
+        Object.assign(values, parseEnvFile(fs.readFileSync(filePath, 'utf8'), this.environment));
+      } catch (error) {
+        this.diagnostics.error(
+          `Service '${serviceName}' env_file '${reference.path}' could not be read: ${error instanceof Error ? error.message : String(error)}`,
+          envFilePath
+        );
+      }
+    });
+
+    return values;
+  }
+
+  /**
+   * Render env file values into a `secrets/.env` template exported to the task environment
+   */
+  private createEnvFileTemplate(entries: [string, string][]): Template {
+    const lines = entries.map(([key, value]) => {
+      const escaped = escapeTemplateText(value);
+      return /[\s"'#]/.test(value) || value === '' ? `${key}=${JSON.stringify(escaped)}` : `${key}=${escaped}`;
+    });
+
+    return {
+      destination: 'secrets/.env',
+      embedded_tmpl: lines.join('\n'),
+      env: true,
+      change_mode: 'restart',
+    };
+  }
+
+  /**
+   * Add a service's `build` section to the build plan and return the image it
+   * publishes: the service `image` when set, else `<registry>/<project>-<service>:<tag>`.
+   * Without a registry the image is only built locally, so nothing is pushed.
+   */
+  private planBuild(serviceName: string, service: ComposeService): string {
+    const build = service.build!;
+    const name = `${this.projectName}-${serviceName}`.toLowerCase().replace(/[^a-z0-9._-]+/g, '-');
+    const image =
+      service.image || `${this.options.registry ? `${this.options.registry}/` : ''}${name}:${this.options.buildTag}`;
+    const push = Boolean(service.image || this.options.registry);
+
+    if (!push) {
+      this.diagnostics.warning(
+        `Service '${serviceName}' image '${image}' is only built locally - set a registry so Nomad clients can pull it`,
+        formatPath(['services', serviceName, 'build'])
+      );
+    }
+    if (typeof build === 'object') {
+      for (const field of Object.keys(build) as (keyof typeof build)[]) {
+        if (!PLANNED_BUILD_FIELDS.includes(field)) {
+          this.diagnostics.warning(
+            `Service '${serviceName}' build ${field} is not part of the build plan - ignoring it`,
+            formatPath(['services', serviceName, 'build', field])
+          );
+        }
+      }
+    }
+
+    this.builds[serviceName] = planServiceBuild(serviceName, build, image, push);
+    return image;
   }
 
   /**
-   * Convert resource specifications
+   * Convert resource specifications. Reservations become Nomad's `cpu` and `memory`;
+   * a memory limit above the reservation becomes `memory_max`, which needs memory
+   * oversubscription enabled. Nomad cannot reserve less CPU than it caps, so a CPU
+   * limit is enforced with the docker driver's `cpu_hard_limit` only when it is not
+   * above the reservation, and a lower limit is reserved instead. The `cores` CPU
+   * resource reserves whole cores instead of MHz.
    */
-  private convertResources(service: ComposeService) {
-    const resources: any = {
-      cpu: this.options.resourceDefaults.cpu,
-      memory: this.options.resourceDefaults.memory,
-    };
+  private convertResources(serviceName: string, service: ComposeService, config: Record<string, any>): Resources {
+    const diagnosticPath = formatPath(['services', serviceName]);
+    const resources: Resources = {};
+    const { limits, reservations } = service.deploy?.resources || {};
+
+    // Memory: the reservation is scheduled, the limit is how far the task may burst
+    const memoryLimit = service.mem_limit ?? limits?.memory;
+    const memoryReservation = service.mem_reservation ?? reservations?.memory;
+    const memory = memoryReservation !== undefined ? this.parseMemoryValue(memoryReservation) : undefined;
+    const memoryMax = memoryLimit !== undefined ? this.parseMemoryValue(memoryLimit) : undefined;
+
+    resources.memory = memory ?? memoryMax ?? this.options.resourceDefaults.memory;
+    if (memory !== undefined && memoryMax !== undefined) {
+      if (memoryMax > memory) {
+        resources.memory_max = memoryMax;
+      } else if (memoryMax < memory) {
+        this.diagnostics.warning(
+          `Service '${serviceName}' memory limit (${memoryMax} MB) is below its reservation (${memory} MB) - ignoring the limit`,
+          diagnosticPath
+        );
+      }
+    }
 
-    // From deploy.resources
-    if (service.deploy?.resources) {
-      const { limits, reservations } = service.deploy.resources;
-      
-      if (limits?.cpus) {
-        resources.cpu = this.parseCpuValue(limits.cpus);
+    for (const field of ['memswap_limit', 'mem_swappiness'] as const) {
+      if (service[field] !== undefined) {
+        this.diagnostics.warning(
+          `Service '${serviceName}' ${field} is unsupported by Nomad docker driver - ignoring it`,
+          formatPath(['services', serviceName, field])
+        );
       }
-      
-      if (limits?.memory) {
-        resources.memory = this.parseMemoryValue(limits.memory);
+    }
+
+    // CPU, in cores: `cpus` and `cpu_quota`/`cpu_period` are CFS limits, `cpu_shares` a relative weight (1024 per core)
+    const period = service.cpu_period ?? 100000;
+    const cpuLimit =
+      service.cpus !== undefined
+        ? Number(service.cpus)
+        : limits?.cpus !== undefined
+          ? Number(limits.cpus)
+          : service.cpu_quota !== undefined && service.cpu_quota > 0
+            ? service.cpu_quota / period
+            : undefined;
+    const cpuReservation =
+      reservations?.cpus !== undefined
+        ? Number(reservations.cpus)
+        : service.cpu_shares !== undefined
+          ? service.cpu_shares / 1024
+          : undefined;
+    const cores = cpuReservation ?? cpuLimit;
+    const wholeCores =
+      this.options.cpuResource === 'cores' ||
+      (this.options.cpuResource === 'auto' && cores !== undefined && Number.isInteger(cores) && cores > 0);
+
+    if (cores === undefined) {
+      resources.cpu = this.options.resourceDefaults.cpu;
+    } else if (wholeCores) {
+      resources.cores = Math.max(1, Math.ceil(cores));
+      if (!Number.isInteger(cores)) {
+        this.diagnostics.warning(
+          `Service '${serviceName}' asks for ${cores} CPUs - reserving ${resources.cores} whole core${resources.cores === 1 ? '' : 's'}`,
+          diagnosticPath
+        );
       }
-      
-      if (reservations?.cpus) {
-        resources.cpu = Math.max(resources.cpu, this.parseCpuValue(reservations.cpus));
+
+      const profile = this.nodeClassProfile(serviceName, service);
+      if (profile?.cores !== undefined && resources.cores > profile.cores) {
+        this.diagnostics.warning(
+          `Service '${serviceName}' reserves ${resources.cores} cores but clients of node class '${profile.name}' have at most ${profile.cores}`,
+          diagnosticPath
+        );
       }
-      
-      if (reservations?.memory) {
-        resources.memory = Math.max(resources.memory, this.parseMemoryValue(reservations.memory));
+      this.diagnostics.info(
+        `Service '${serviceName}' reserves ${resources.cores} dedicated core${resources.cores === 1 ? '' : 's'} for ${cores} CPUs`,
+        diagnosticPath
+      );
+    } else {
+      // The hard limit caps the task at its `cpu`, so a limit below the reservation is what gets reserved
+      const reserved = cpuLimit !== undefined && cpuReservation !== undefined && cpuLimit < cpuReservation ? cpuLimit : cores;
+      const profile = this.nodeClassProfile(serviceName, service);
+      resources.cpu = this.parseCpuValue(reserved, profile?.mhzPerCore);
+      const source = profile ? ` (${profile.pinned ? '' : 'fastest '}node class '${profile.name}')` : '';
+      this.diagnostics.info(
+        `Service '${serviceName}' reserves ${resources.cpu} MHz for ${reserved} CPUs at ${profile?.mhzPerCore ?? 1000} MHz per core${source}`,
+        diagnosticPath
+      );
+
+      if (cpuLimit !== undefined && cpuReservation !== undefined && cpuLimit > cpuReservation) {
+        this.diagnostics.warning(
+          `Service '${serviceName}' CPU limit (${cpuLimit}) is above its reservation (${cpuReservation}) - ` +
+            'Nomad can only cap CPU at the reservation, so the limit is not enforced',
+          diagnosticPath
+        );
+      } else if (cpuLimit !== undefined) {
+        if (reserved !== cores) {
+          this.diagnostics.warning(
+            `Service '${serviceName}' CPU limit (${cpuLimit}) is below its reservation (${cpuReservation}) - ` +
+              'reserving the limit, which the task is capped at',
+            diagnosticPath
+          );
+        }
+        config.cpu_hard_limit = true;
+        if (service.cpu_period !== undefined) {
+          config.cpu_cfs_period = service.cpu_period;
+        }
       }
     }
 
-    // From legacy resource fields
-    if (service.mem_limit) {
-      resources.memory = this.parseMemoryValue(service.mem_limit);
+    const devices = this.convertDevices(serviceName, service);
+    if (devices.length > 0) {
+      resources.device = devices;
     }
 
-    if (service.cpus) {
-      resources.cpu = this.parseCpuValue(service.cpus);
+    return resources;
+  }
+
+  /**
+   * Convert device reservations, the `gpus` key and generic resources to Nomad
+   * device requests. Drivers and kinds are looked up in the device names.
+   */
+  private convertDevices(serviceName: string, service: ComposeService): Device[] {
+    const devices: Device[] = [];
+    const reservations = service.deploy?.resources?.reservations;
+    const names: Record<string, string> = { ...DEVICE_NAMES };
+    for (const [key, name] of Object.entries(this.options.deviceNames)) {
+      names[key.toLowerCase()] = name;
     }
 
-    return resources;
+    const requests: { request: DeviceRequest; path: string }[] = [];
+    (reservations?.devices || []).forEach((request, index) => {
+      requests.push({ request, path: formatPath(['services', serviceName, 'deploy', 'resources', 'reservations', 'devices', index]) });
+    });
+    if (service.gpus === 'all') {
+      requests.push({ request: { count: 'all', capabilities: ['gpu'] }, path: formatPath(['services', serviceName, 'gpus']) });
+    } else {
+      (service.gpus || []).forEach((request, index) => {
+        requests.push({
+          request: { ...request, capabilities: [...(request.capabilities || []), 'gpu'] },
+          path: formatPath(['services', serviceName, 'gpus', index]),
+        });
+      });
+    }
+
+    for (const { request, path } of requests) {
+      const capabilities = (request.capabilities || []).flat();
+      const key = request.driver ?? (capabilities.includes('gpu') ? 'gpu' : undefined);
+      const name = key && names[key.toLowerCase()];
+      if (!name) {
+        this.diagnostics.warning(
+          `Service '${serviceName}' reserves devices${request.driver ? ` of driver '${request.driver}'` : ''} without a known Nomad device - add --device-name ${key ?? '<driver>'}=<vendor/type>`,
+          path
+        );
+        continue;
+      }
+
+      const device: Device = { name };
+      if (request.device_ids?.length) {
+        device.count = request.device_ids.length;
+        device.constraint = [{ attribute: '${device.ids}', operator: 'set_contains', value: request.device_ids.join(',') }];
+      } else if (request.count === 'all' || Number(request.count) < 0) {
+        this.diagnostics.warning(`Service '${serviceName}' reserves all devices, Nomad needs a count - reserving 1 ${name}`, path);
+        device.count = 1;
+      } else if (request.count !== undefined) {
+        device.count = Number(request.count);
+      }
+
+      if (request.options && Object.keys(request.options).length > 0) {
+        this.diagnostics.warning(`Service '${serviceName}' device options are not supported by Nomad device requests - ignoring them`, path);
+      }
+      devices.push(device);
+    }
+
+    (reservations?.generic_resources || []).forEach(({ discrete_resource_spec: spec }, index) => {
+      const path = formatPath(['services', serviceName, 'deploy', 'resources', 'reservations', 'generic_resources', index]);
+      const name = spec?.kind && names[spec.kind.toLowerCase()];
+      if (!name) {
+        this.diagnostics.warning(
+          `Service '${serviceName}' generic resource '${spec?.kind ?? ''}' has no known Nomad device - add --device-name ${spec?.kind ?? '<kind>'}=<vendor/type>`,
+          path
+        );
+        return;
+      }
+      const count = Number(spec.value ?? 1);
+      if (!Number.isInteger(count) || count < 1) {
+        this.diagnostics.error(
+          `Service '${serviceName}' generic resource '${spec.kind}' value '${spec.value}' is not a positive integer - skipping it`,
+          path
+        );
+        return;
+      }
+      devices.push({ name, count });
+    });
+
+    return devices;
   }
 
   /**
    * Parse CPU value to MHz
    */
-  private parseCpuValue(cpu: string | number): number {
-    if (typeof cpu === 'number') {
-      return Math.round(cpu * 1000); // Convert cores to MHz
+  private parseCpuValue(cpu: string | number, mhzPerCore = 1000): number {
+    return Math.round(Number(cpu) * mhzPerCore);
+  }
+
+  /**
+   * CPU profile a service is sized for: its `x-nomad.node_class`, or the fastest
+   * class, which reserves enough MHz whichever client the task lands on.
+   * Undefined without node classes.
+   */
+  private nodeClassProfile(
+    serviceName: string,
+    service: ComposeService
+  ): (NodeClassProfile & { name: string; pinned: boolean }) | undefined {
+    const classes = Object.entries(this.options.nodeClasses);
+    const pinned = service['x-nomad']?.node_class;
+    const profile = pinned ? this.options.nodeClasses[pinned] : undefined;
+    if (profile) {
+      return { ...profile, name: pinned!, pinned: true };
     }
-    
-    const cpuNum = parseFloat(cpu);
-    return Math.round(cpuNum * 1000);
+
+    if (pinned && classes.length > 0) {
+      this.diagnostics.warning(
+        `Service '${serviceName}' node class '${pinned}' has no CPU profile - sizing it for the fastest node class`,
+        formatPath(['services', serviceName, 'x-nomad', 'node_class'])
+      );
+    }
+
+    const fastest = classes.reduce<[string, NodeClassProfile] | undefined>(
+      (best, entry) => (!best || entry[1].mhzPerCore > best[1].mhzPerCore ? entry : best),
+      undefined
+    );
+    return fastest && { ...fastest[1], name: fastest[0], pinned: false };
   }
 
   /**
@@ -501,7 +2050,7 @@ export class Compose2HCLConverter {
 
     const match = memory.toLowerCase().match(/^(\d+(?:\.\d+)?)\s*([kmg]?)b?$/);
     if (!match) {
-      this.warnings.push(`Unable to parse memory value: ${memory}`);
+      this.diagnostics.warning(`Unable to parse memory value: ${memory}`);
       return this.options.resourceDefaults.memory || 128;
     }
 
@@ -511,140 +2060,321 @@ export class Compose2HCLConverter {
     return Math.round((value * units[unit]!) / 1024 / 1024);
   }
 
+  /**
+   * Parse `ports` and `expose` into Nomad port labels. Ranges become one label per
+   * port; the same port published for both tcp and udp shares a label, since the
+   * docker driver maps both protocols.
+   */
+  private convertPorts(serviceName: string, service: ComposeService): ServicePort[] {
+    const ports: ServicePort[] = [];
+    const bothProtocols = new Set<string>();
+
+    const addPorts = (attribute: 'ports' | 'expose', prefix: string, specs: (string | number | ComposePort)[]) => {
+      specs.forEach((spec, index) => {
+        const path = formatPath(['services', serviceName, attribute, index]);
+        const describe = `Service '${serviceName}' ${attribute === 'ports' ? 'port' : 'exposed port'} ${index}`;
+
+        let parsed;
+        try {
+          parsed = parsePortSpec(spec);
+        } catch (error) {
+          if (!(error instanceof PortSpecError)) throw error;
+          this.diagnostics.error(`${describe} is invalid: ${error.message}`, path);
+          return;
+        }
+        parsed.warnings.forEach(warning => this.diagnostics.warning(`${describe}: ${warning}`, path));
+
+        if (attribute === 'expose' && parsed.mappings.some(mapping => mapping.published !== undefined)) {
+          this.diagnostics.warning(`${describe} publishes a host port - expose only takes container ports, ignoring it`, path);
+        }
+
+        parsed.mappings.forEach((mapping, offset) => {
+          const published = attribute === 'ports' ? mapping.published : undefined;
+          const duplicate = ports.find(
+            existing =>
+              existing.mapping.target === mapping.target &&
+              existing.port.static === published &&
+              existing.mapping.hostIp === mapping.hostIp &&
+              existing.mapping.protocol !== mapping.protocol
+          );
+          if (duplicate) {
+            bothProtocols.add(duplicate.label);
+            return;
+          }
+
+          if (mapping.protocol === 'sctp') {
+            this.diagnostics.warning(`${describe} uses sctp, which the Nomad docker driver does not map - mapping as tcp/udp`, path);
+          }
+
+          const base = mapping.name
+            ? mapping.name.replace(/[^A-Za-z0-9_]/g, '_')
+            : parsed.mappings.length > 1 ? `${prefix}_${index}_${offset}` : `${prefix}_${index}`;
+          let label = base;
+          for (let suffix = 2; ports.some(existing => existing.label === label); suffix++) {
+            label = `${base}_${suffix}`;
+          }
+          if (label !== base) {
+            this.diagnostics.warning(`${describe} label '${base}' is already taken by another port - using '${label}'`, path);
+          }
+          const port: NomadPort = { to: mapping.target };
+          if (published !== undefined) {
+            port.static = published;
+          }
+
+          if (published !== undefined && mapping.hostIp && !['0.0.0.0', '::'].includes(mapping.hostIp)) {
+            const hostNetwork = this.options.hostNetworks[mapping.hostIp];
+            if (hostNetwork) {
+              port.host_network = hostNetwork;
+            } else {
+              this.diagnostics.warning(
+                `${describe} binds host IP ${mapping.hostIp}, which Nomad can only express with a client host_network - ` +
+                  `map it with the hostNetworks option (--host-network ${mapping.hostIp}=<name>); publishing on all addresses`,
+                path
+              );
+            }
+          }
+
+          ports.push({ label, port, mapping });
+        });
+      });
+    };
+
+    addPorts('ports', 'port', service.ports || []);
+    addPorts('expose', 'expose', service.expose || []);
+    this.udpPorts[serviceName] = ports
+      .filter(({ label, mapping }) => mapping.protocol === 'udp' && !bothProtocols.has(label))
+      .map(({ label }) => label);
+    return ports;
+  }
+
   /**
    * Convert networking configuration
    */
-  private convertNetworking(service: ComposeService) {
-    const network: any = {
+  private convertNetworking(ports: ServicePort[]): Network {
+    return {
       mode: this.options.networkMode,
-      port: {},
+      port: Object.fromEntries(ports.map(({ label, port }) => [label, port])),
     };
+  }
 
-    // Convert ports
-    if (service.ports) {
-      service.ports.forEach((port, index) => {
-        const portName = `port_${index}`;
-        
-        if (typeof port === 'string') {
-          const parts = (port as string).split(':');
-          if (parts.length === 2) {
-            network.port[portName] = {
-              static: parseInt(parts[0]!),
-              to: parseInt(parts[1]!),
+  /**
+   * Convert service `volumes` and `tmpfs`. Bind mounts become docker `mount` blocks
+   * (or host volumes with `bindMounts: 'host-volume'`); named volumes use their
+   * top-level definition to pick a Nomad host volume, a CSI volume or a docker volume.
+   */
+  private convertVolumes(serviceName: string, service: ComposeService, compose: DockerComposeFile): ServiceVolumes {
+    const result: ServiceVolumes = { volumes: {}, volumeMounts: {}, mounts: [], constraints: [] };
+
+    const specs: { spec: string | ComposeVolume; path: string }[] = [
+      ...(service.volumes || []).map((spec, index) => ({ spec, path: formatPath(['services', serviceName, 'volumes', index]) })),
+      ...(service.tmpfs ? (Array.isArray(service.tmpfs) ? service.tmpfs : [service.tmpfs]) : []).map((spec, index) => ({
+        spec: parseTmpfsSpec(spec),
+        path: formatPath(['services', serviceName, 'tmpfs', ...(Array.isArray(service.tmpfs) ? [index] : [])]),
+      })),
+    ];
+
+    specs.forEach(({ spec, path: volumePath }, index) => {
+      let volume: ComposeVolume;
+      try {
+        volume = parseVolumeSpec(spec);
+      } catch (error) {
+        if (!(error instanceof VolumeSpecError)) throw error;
+        this.diagnostics.error(`Service '${serviceName}' volume ${index} is invalid: ${error.message}`, volumePath);
+        return;
+      }
+
+      const target = volume.target!;
+      const readOnly = volume.read_only || false;
+
+      switch (volume.type) {
+        case 'bind':
+        case 'npipe': {
+          const source = this.resolveHostPath(volume.source || '');
+          if (volume.bind?.selinux) {
+            this.diagnostics.warning(
+              `Service '${serviceName}' volume '${target}' asks for SELinux relabeling (:${volume.bind.selinux}), which Nomad mounts do not support - label the host path instead`,
+              volumePath
+            );
+          }
+          if (volume.type === 'npipe') {
+            // Named pipes are bind mounted by Docker on Windows hosts only
+            result.constraints.push({ attribute: '${attr.kernel.name}', operator: '=', value: 'windows' });
+          }
+
+          if (this.options.bindMounts === 'host-volume' && volume.type === 'bind') {
+            const hostVolume = source.replace(/^[/\\]+/, '').replace(/[^A-Za-z0-9_-]/g, '_') || 'root';
+            result.volumes[hostVolume] = { type: 'host', source: hostVolume, read_only: readOnly };
+            result.volumeMounts[`mount_${index}`] = {
+              volume: hostVolume,
+              destination: target,
+              read_only: readOnly,
+              ...(volume.bind?.propagation ? { propagation_mode: PROPAGATION_MODES[volume.bind.propagation] } : {}),
             };
+            this.diagnostics.warning(
+              `Service '${serviceName}' bind mount '${source}' needs a client host_volume "${hostVolume}" with path "${source}"`,
+              volumePath
+            );
           } else {
-            network.port[portName] = {
-              to: parseInt(port),
-            };
+            result.mounts.push({
+              type: 'bind',
+              target,
+              source,
+              readonly: readOnly,
+              ...(volume.bind?.propagation ? { bind_options: { propagation: volume.bind.propagation } } : {}),
+            });
           }
-        } else {
-          network.port[portName] = {
-            static: port.published ? parseInt(String(port.published)) : undefined,
-            to: port.target,
-          };
+          break;
         }
-      });
-    }
 
-    // Convert exposed ports
-    if (service.expose) {
-      service.expose.forEach((port, index) => {
-        const portName = `expose_${index}`;
-        network.port[portName] = {
-          to: parseInt(port),
-        };
-      });
-    }
+        case 'tmpfs': {
+          const tmpfsOptions: Record<string, number> = {};
+          if (volume.tmpfs?.size !== undefined) {
+            try {
+              tmpfsOptions.size = parseByteSize(volume.tmpfs.size);
+            } catch (error) {
+              if (!(error instanceof VolumeSpecError)) throw error;
+              this.diagnostics.warning(`Service '${serviceName}' tmpfs '${target}' has an ${error.message}, using the default size`, volumePath);
+            }
+          }
+          if (volume.tmpfs?.mode !== undefined) {
+            tmpfsOptions.mode = volume.tmpfs.mode;
+          }
+          result.mounts.push({
+            type: 'tmpfs',
+            target,
+            readonly: readOnly,
+            ...(Object.keys(tmpfsOptions).length > 0 ? { tmpfs_options: tmpfsOptions } : {}),
+          });
+          break;
+        }
+
+        case 'volume':
+          this.convertNamedVolume(serviceName, volume, compose, volumePath, index, result);
+          break;
+
+        default:
+          this.diagnostics.warning(`Service '${serviceName}' volume type '${volume.type}' is not supported by Nomad, skipping it`, volumePath);
+      }
+    });
 
-    return network;
+    return result;
   }
 
   /**
-   * Convert volumes
+   * Convert a mount of a named (or anonymous) volume
    */
-  private convertVolumes(service: ComposeService, composeVolumes?: DockerComposeFile['volumes']) {
-    const volumes: Record<string, any> = {};
+  private convertNamedVolume(
+    serviceName: string,
+    volume: ComposeVolume,
+    compose: DockerComposeFile,
+    volumePath: string,
+    index: number,
+    result: ServiceVolumes
+  ) {
+    const target = volume.target!;
+    const readOnly = volume.read_only || false;
+    const noCopy = volume.volume?.nocopy ? { no_copy: true } : {};
+
+    if (!volume.source) {
+      // Anonymous volume, only Docker can create those
+      result.mounts.push({ type: 'volume', target, readonly: readOnly, ...(volume.volume?.nocopy ? { volume_options: noCopy } : {}) });
+      return;
+    }
 
-    // Handle service volumes
-    if (service.volumes) {
-      service.volumes.forEach((volume, index) => {
-        const volumeName = `volume_${index}`;
-        
-        if (typeof volume === 'string') {
-          const parts = (volume as string).split(':');
-          volumes[volumeName] = {
-            type: parts[0]!.startsWith('/') ? 'host' : 'csi',
-            source: parts[0]!,
-            read_only: parts[2]?.includes('ro') || false,
-          };
-        } else {
-          volumes[volumeName] = {
-            type: volume.type === 'bind' ? 'host' : 'csi',
-            source: volume.source,
-            read_only: volume.read_only || false,
-          };
-        }
+    if (!compose.volumes || !(volume.source in compose.volumes)) {
+      this.diagnostics.error(`Service '${serviceName}' refers to undefined volume '${volume.source}'`, volumePath);
+      return;
+    }
+
+    const definition = compose.volumes[volume.source] || {};
+    const extension = definition['x-nomad'] || {};
+    const source =
+      extension.source ||
+      (typeof definition.external === 'object' && definition.external.name) ||
+      definition.name ||
+      volume.source;
+    const local = !definition.driver || definition.driver === 'local';
+    const type = extension.type || (definition.external || !local ? 'csi' : definition.driver_opts ? 'docker' : 'host');
+
+    if (type === 'docker') {
+      result.mounts.push({
+        type: 'volume',
+        target,
+        source,
+        readonly: readOnly,
+        volume_options: {
+          ...noCopy,
+          ...(definition.labels && !Array.isArray(definition.labels) ? { labels: definition.labels } : {}),
+          driver_config: { name: definition.driver || 'local', options: definition.driver_opts || {} },
+        },
       });
+      return;
+    }
+
+    const label = volume.source.replace(/[^A-Za-z0-9_-]/g, '_');
+    const existing = result.volumes[label];
+    if (existing) {
+      existing.read_only = existing.read_only && readOnly;
+    } else if (type === 'csi') {
+      result.volumes[label] = {
+        type: 'csi',
+        source,
+        read_only: readOnly,
+        access_mode: extension.access_mode || (readOnly ? 'single-node-reader-only' : 'single-node-writer'),
+        attachment_mode: extension.attachment_mode || 'file-system',
+        ...(extension.fs_type || extension.mount_flags
+          ? { mount_options: { fs_type: extension.fs_type, mount_flags: extension.mount_flags } }
+          : {}),
+        ...(extension.per_alloc ? { per_alloc: true } : {}),
+      };
+    } else {
+      result.volumes[label] = { type: 'host', source, read_only: readOnly };
+      this.diagnostics.warning(
+        `Service '${serviceName}' volume '${volume.source}' needs a client host_volume "${source}", or the job cannot be placed`,
+        volumePath
+      );
+    }
+
+    if (volume.volume?.nocopy) {
+      this.diagnostics.warning(`Service '${serviceName}' volume '${volume.source}' sets nocopy, which Nomad ${type} volumes do not support`, volumePath);
     }
 
-    return volumes;
+    result.volumeMounts[`mount_${index}`] = { volume: label, destination: target, read_only: readOnly };
   }
 
   /**
-   * Convert volume mounts
+   * Resolve a bind mount source against the project directory, expanding `~`
    */
-  private convertVolumeMounts(volumes: ComposeService['volumes']) {
-    const mounts: Record<string, any> = {};
-
-    if (!volumes) return mounts;
-
-    volumes.forEach((volume, index) => {
-      const mountName = `mount_${index}`;
-      
-      if (typeof volume === 'string') {
-        const parts = (volume as string).split(':');
-        if (parts.length >= 2) {
-          mounts[mountName] = {
-            volume: `volume_${index}`,
-            destination: parts[1]!,
-            read_only: parts[2]?.includes('ro') || false,
-          };
-        }
-      } else {
-        mounts[mountName] = {
-          volume: `volume_${index}`,
-          destination: volume.target,
-          read_only: volume.read_only || false,
-        };
-      }
-    });
-
-    return mounts;
+  private resolveHostPath(source: string): string {
+    if (source === '~' || source.startsWith('~/')) {
+      return path.join(os.homedir(), source.slice(1));
+    }
+    if (source.startsWith('.')) {
+      return path.resolve(this.projectDirectory, source);
+    }
+    return source;
   }
 
   /**
    * Convert to Nomad services
    */
-  private convertToNomadServices(service: ComposeService, serviceName: string) {
+  private convertToNomadServices(service: ComposeService, serviceName: string, ports: ServicePort[]) {
     const services: any[] = [];
 
-    // Create service for each exposed port
-    if (service.ports || service.expose) {
-      const ports = [
-        ...(service.ports || []),
-        ...(service.expose || []).map(port => ({ target: parseInt(port) })),
-      ];
-
-      ports.forEach((port, index) => {
+    // Create service for each port label
+    if (ports.length > 0) {
+      ports.forEach(({ label }, index) => {
         const nomadService: any = {
           name: `${serviceName}-${index}`,
-          port: `port_${index}`,
+          port: label,
           tags: ['docker-compose'],
+          ...(this.options.dependsOnStrategy === 'nomad' ? { provider: 'nomad' } : {}),
         };
 
         // Add health check
-        if (service.healthcheck) {
-          nomadService.check = [this.convertHealthCheck(service.healthcheck)];
+        const check = this.convertHealthCheck(service.healthcheck, serviceName, ports);
+        if (check) {
+          nomadService.check = [check];
         }
 
         services.push(nomadService);
@@ -654,10 +2384,12 @@ export class Compose2HCLConverter {
       const nomadService: any = {
         name: serviceName,
         tags: ['docker-compose'],
+        ...(this.options.dependsOnStrategy === 'nomad' ? { provider: 'nomad' } : {}),
       };
 
-      if (service.healthcheck) {
-        nomadService.check = [this.convertHealthCheck(service.healthcheck)];
+      const check = this.convertHealthCheck(service.healthcheck, serviceName, ports);
+      if (check) {
+        nomadService.check = [check];
       }
 
       services.push(nomadService);
@@ -667,10 +2399,23 @@ export class Compose2HCLConverter {
   }
 
   /**
-   * Convert health check
+   * Convert health check. Tests that only probe the container over the network
+   * (curl, wget, nc, grpc_health_probe, pg_isready) become native http/tcp/grpc
+   * checks on the matching port label; anything else runs as a script check.
+   * Native http checks pass on 2xx, which a curl test without `--fail` is stricter than.
+   * Like Docker, the task is restarted after `retries` consecutive failures, not
+   * counting failures during `start_period`.
    */
-  private convertHealthCheck(healthcheck: ComposeService['healthcheck']) {
-    if (!healthcheck || healthcheck.disable) {
+  private convertHealthCheck(healthcheck: ComposeService['healthcheck'], serviceName: string, ports: ServicePort[]) {
+    if (!healthcheck || healthcheck.disable || (Array.isArray(healthcheck.test) && healthcheck.test[0] === 'NONE')) {
+      return null;
+    }
+
+    if (!healthcheck.test) {
+      this.diagnostics.warning(
+        `Service '${serviceName}' healthcheck has no test and would use the image's HEALTHCHECK, which Nomad cannot run - skipping the check`,
+        formatPath(['services', serviceName, 'healthcheck'])
+      );
       return null;
     }
 
@@ -678,21 +2423,55 @@ export class Compose2HCLConverter {
       type: 'script',
       interval: healthcheck.interval || '30s',
       timeout: healthcheck.timeout || '5s',
+      check_restart: {
+        limit: healthcheck.retries ?? 3,
+        ...(healthcheck.start_period ? { grace: healthcheck.start_period } : {}),
+      },
     };
 
-    if (healthcheck.test) {
-      if (Array.isArray(healthcheck.test)) {
-        if (healthcheck.test[0] === 'CMD') {
-          check.command = healthcheck.test[1];
-          check.args = healthcheck.test.slice(2);
-        } else if (healthcheck.test[0] === 'CMD-SHELL') {
-          check.command = '/bin/sh';
-          check.args = ['-c', healthcheck.test.slice(1).join(' ')];
+    const probe = parseHealthcheckTest(healthcheck.test);
+    const port = probe && ports.find(({ mapping }) => mapping.target === probe.port);
+    if (probe && port) {
+      check.type = probe.type;
+      check.port = port.label;
+      if (probe.type === 'http') {
+        if (probe.expectedStatus === 'any') {
+          this.diagnostics.warning(
+            `Service '${serviceName}' healthcheck passes on any HTTP status (curl without --fail), but the Nomad http check only passes on 2xx`,
+            formatPath(['services', serviceName, 'healthcheck', 'test'])
+          );
         }
-      } else {
+        check.path = probe.path;
+        if (probe.protocol === 'https') check.protocol = 'https';
+        if (probe.method) check.method = probe.method;
+        if (probe.headers) check.header = probe.headers;
+        if (probe.body !== undefined) check.body = probe.body;
+        if (probe.tlsSkipVerify) check.tls_skip_verify = true;
+      } else if (probe.type === 'grpc') {
+        if (probe.service) check.grpc_service = probe.service;
+        if (probe.tls) check.grpc_use_tls = true;
+      }
+      return check;
+    }
+
+    if (probe) {
+      this.diagnostics.warning(
+        `Service '${serviceName}' healthcheck probes port ${probe.port}, which is not in ports or expose - using a script check`,
+        formatPath(['services', serviceName, 'healthcheck', 'test'])
+      );
+    }
+
+    if (Array.isArray(healthcheck.test)) {
+      if (healthcheck.test[0] === 'CMD') {
+        check.command = healthcheck.test[1];
+        check.args = healthcheck.test.slice(2);
+      } else if (healthcheck.test[0] === 'CMD-SHELL') {
         check.command = '/bin/sh';
-        check.args = ['-c', healthcheck.test];
+        check.args = ['-c', healthcheck.test.slice(1).join(' ')];
       }
+    } else {
+      check.command = '/bin/sh';
+      check.args = ['-c', healthcheck.test];
     }
 
     return check;
@@ -701,7 +2480,7 @@ export class Compose2HCLConverter {
   /**
    * Convert configs and secrets to templates
    */
-  private convertConfigsAndSecrets(service: ComposeService, compose: DockerComposeFile) {
+  private convertConfigsAndSecrets(serviceName: string, service: ComposeService, compose: DockerComposeFile) {
     const templates: any[] = [];
 
     // Convert configs
@@ -722,20 +2501,142 @@ export class Compose2HCLConverter {
 
     // Convert secrets
     if (service.secrets) {
-      service.secrets.forEach(secret => {
+      service.secrets.forEach((secret, index) => {
         const secretName = typeof secret === 'string' ? secret : secret.source;
-        
-        templates.push({
-          destination: `secrets/${typeof secret === 'string' ? secret : secret.target || secret.source}`,
-          embedded_tmpl: `{{ with secret "secret/data/${secretName}" }}{{ .Data.data.value }}{{ end }}`,
-          change_mode: 'restart',
-        });
+        const content = this.createSecretTemplate(serviceName, secretName, compose, formatPath(['services', serviceName, 'secrets', index]));
+
+        if (content !== undefined) {
+          templates.push({
+            destination: `secrets/${typeof secret === 'string' ? secret : secret.target || secret.source}`,
+            embedded_tmpl: content,
+            change_mode: 'restart',
+          });
+        }
       });
     }
 
     return templates;
   }
 
+  /**
+   * Template text rendering a secret from the configured secrets backend
+   */
+  private createSecretTemplate(serviceName: string, secretName: string, compose: DockerComposeFile, diagnosticPath: string): string | undefined {
+    const backend = this.options.secretsBackend;
+    const substitute = (template: string) => template.replace(/{secret}/g, secretName).replace(/{service}/g, serviceName);
+    const secretPath = substitute(this.options.secretsPath || SECRETS_BACKENDS[backend].path);
+    const key = substitute(this.options.secretsKey || SECRETS_BACKENDS[backend].key);
+
+    if (backend === 'inline-file') {
+      if (!this.options.fileAccess) {
+        this.diagnostics.error(
+          `Service '${serviceName}' secret '${secretName}' cannot use the inline-file secrets backend: reading files is disabled`,
+          diagnosticPath
+        );
+        return undefined;
+      }
+
+      const definition = compose.secrets?.[secretName];
+      const file = secretPath || definition?.file;
+      let value = definition?.environment !== undefined && !this.options.secretsPath ? this.environment[definition.environment] : undefined;
+      if (file && value === undefined) {
+        const resolved = path.resolve(this.projectDirectory, this.resolveHostPath(file));
+        value = fs.existsSync(resolved) ? fs.readFileSync(resolved, 'utf8') : undefined;
+      }
+
+      if (value === undefined) {
+        this.diagnostics.warning(`Service '${serviceName}' secret '${secretName}' has no file or environment value to inline - skipping it`, diagnosticPath);
+        return undefined;
+      }
+      this.diagnostics.warning(
+        `Service '${serviceName}' secret '${secretName}' is embedded in the job with the inline-file secrets backend - use it for development only`,
+        diagnosticPath
+      );
+      return escapeTemplateText(value);
+    }
+
+    return secretTemplate(backend, secretPath, key);
+  }
+
+  /**
+   * Registry credentials of the compose file's `x-nomad.registry_auth`, followed by
+   * the `registryAuth` option. Entries holding plaintext credentials or using a
+   * backend that would inline them are reported and left out.
+   */
+  private collectRegistryAuth(compose: DockerComposeFile): RegistryAuth[] {
+    const collected: RegistryAuth[] = [];
+
+    (compose['x-nomad']?.registry_auth || []).forEach((entry, index) => {
+      const diagnosticPath = formatPath(['x-nomad', 'registry_auth', index]);
+      if (entry.username !== undefined || entry.password !== undefined) {
+        this.diagnostics.warning(
+          `Registry auth for '${entry.registry}' holds plaintext credentials - store them in Vault or Nomad Variables and set "path"`,
+          diagnosticPath
+        );
+        return;
+      }
+      if (!entry.registry || !entry.path) {
+        this.diagnostics.warning('Registry auth needs a "registry" and a "path" - ignoring it', diagnosticPath);
+        return;
+      }
+
+      collected.push({
+        registry: entry.registry,
+        path: entry.path,
+        ...(entry.backend ? { backend: entry.backend } : {}),
+        ...(entry.username_key ? { usernameKey: entry.username_key } : {}),
+        ...(entry.password_key ? { passwordKey: entry.password_key } : {}),
+        ...(entry.soft_fail !== undefined ? { softFail: entry.soft_fail } : {}),
+      });
+    });
+
+    return [...collected, ...this.options.registryAuth].filter(auth => {
+      const backend = auth.backend || this.options.secretsBackend;
+      if (backend === 'inline-file') {
+        this.diagnostics.warning(
+          `Registry auth for '${auth.registry}' needs a Vault or Nomad Variables backend - credentials are never inlined`
+        );
+        return false;
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Add the docker driver `auth` block for the task image's registry. A template
+   * renders the credentials into the task environment, which `auth` interpolates.
+   */
+  private convertRegistryAuth(task: Task): void {
+    const image = task.config?.image as string | undefined;
+    const auth = image
+      ? this.registryAuth.reduce<RegistryAuth | undefined>(
+          (best, candidate) =>
+            imageMatchesRegistry(image, candidate.registry) && (!best || candidate.registry.length >= best.registry.length) ? candidate : best,
+          undefined
+        )
+      : undefined;
+    if (!auth) {
+      return;
+    }
+
+    const backend = (auth.backend || this.options.secretsBackend) as Exclude<SecretsBackend, 'inline-file'>;
+    const lines = [
+      `REGISTRY_AUTH_USERNAME=${secretTemplate(backend, auth.path, auth.usernameKey || 'username', ' | toJSON')}`,
+      `REGISTRY_AUTH_PASSWORD=${secretTemplate(backend, auth.path, auth.passwordKey || 'password', ' | toJSON')}`,
+    ];
+    task.template = [
+      ...(task.template || []),
+      { destination: 'secrets/registry-auth.env', embedded_tmpl: lines.join('\n'), env: true, change_mode: 'noop' },
+    ];
+    task.config!.auth = { username: '${REGISTRY_AUTH_USERNAME}', password: '${REGISTRY_AUTH_PASSWORD}' };
+    if (auth.softFail) {
+      task.config!.auth_soft_fail = true;
+    }
+    if (backend.startsWith('vault-')) {
+      task.vault = task.vault || {};
+    }
+  }
+
   /**
    * Convert restart policy
    */
@@ -789,6 +2690,145 @@ export class Compose2HCLConverter {
     return restart;
   }
 
+  /**
+   * Convert `deploy.update_config` and the healthcheck into a group update block.
+   * Deployments wait for checks to pass; `start-first` becomes auto-promoted
+   * canaries, and `failure_action: rollback` reverts to the last stable version.
+   */
+  private convertUpdate(serviceName: string, service: ComposeService, hasChecks: boolean): Update | undefined {
+    const update: Update = {};
+    const config = service.deploy?.update_config;
+    const path = ['services', serviceName, 'deploy', 'update_config'];
+
+    if (hasChecks) {
+      update.health_check = 'checks';
+      if (service.healthcheck?.start_period) {
+        update.min_healthy_time = service.healthcheck.start_period;
+      }
+    }
+
+    if (config) {
+      if (config.parallelism !== undefined) {
+        // Swarm updates every replica at once for 0, Nomad would disable deployments
+        update.max_parallel = config.parallelism === 0 ? this.getServiceReplicas(service) : config.parallelism;
+      }
+      if (config.delay) {
+        update.stagger = config.delay;
+      }
+
+      if (config.failure_action === 'rollback') {
+        update.auto_revert = true;
+      } else if (config.failure_action === 'continue') {
+        this.diagnostics.warning(
+          `Service '${serviceName}' update failure_action 'continue' is not supported by Nomad - failed deployments stop like 'pause'`,
+          formatPath([...path, 'failure_action'])
+        );
+      }
+
+      if (config.monitor) {
+        if (durationToMs(config.monitor) > durationToMs(update.min_healthy_time)) {
+          update.healthy_deadline = config.monitor;
+        } else {
+          this.diagnostics.warning(
+            `Service '${serviceName}' update monitor ${config.monitor} must be longer than the healthcheck start_period - using Nomad's default healthy_deadline`,
+            formatPath([...path, 'monitor'])
+          );
+        }
+      }
+
+      if (config.max_failure_ratio) {
+        this.diagnostics.warning(
+          `Service '${serviceName}' update max_failure_ratio is not supported by Nomad - any unhealthy allocation fails the deployment`,
+          formatPath([...path, 'max_failure_ratio'])
+        );
+      }
+
+      if (config.order === 'start-first') {
+        update.canary = update.max_parallel ?? 1;
+        update.auto_promote = true;
+      }
+    }
+
+    // Nomad rolls back with the update settings
+    const rollback = service.deploy?.rollback_config;
+    const differing = Object.entries(rollback || {}).filter(
+      ([key, value]) => config?.[key as keyof typeof config] !== value
+    );
+    if (differing.length > 0) {
+      this.diagnostics.warning(
+        `Service '${serviceName}' rollback_config ${differing.map(([key]) => key).join(', ')} cannot differ from update_config in Nomad - rollbacks use the update settings`,
+        formatPath(['services', serviceName, 'deploy', 'rollback_config'])
+      );
+    }
+
+    return Object.keys(update).length > 0 ? update : undefined;
+  }
+
+  /**
+   * Convert Swarm placement constraints (`node.labels.zone == eu`) to Nomad constraints.
+   * Node labels and engine labels are read from client `meta`.
+   */
+  private convertSwarmConstraints(serviceName: string, constraints: string[]): Constraint[] {
+    const converted: Constraint[] = [];
+
+    constraints.forEach((constraint, index) => {
+      const path = formatPath(['services', serviceName, 'deploy', 'placement', 'constraints', index]);
+      const match = /^\s*([\w.-]+)\s*(==|!=)\s*(.+?)\s*$/.exec(constraint);
+      const attribute = match && swarmAttribute(match[1] ?? '');
+      if (!match || !attribute) {
+        this.diagnostics.warning(`Service '${serviceName}' placement constraint '${constraint}' has no Nomad equivalent - ignoring it`, path);
+        return;
+      }
+
+      const [, name = '', operator, value = ''] = match;
+      if (name === 'node.role') {
+        this.diagnostics.warning(
+          `Service '${serviceName}' placement constraint '${constraint}' uses Swarm node roles - set meta.role on the Nomad clients`,
+          path
+        );
+      }
+
+      converted.push({
+        attribute,
+        operator: operator === '==' ? '=' : '!=',
+        value: name === 'node.platform.arch' ? SWARM_ARCHITECTURES[value] ?? value : value,
+      });
+    });
+
+    return converted;
+  }
+
+  /**
+   * Convert `deploy.placement` preferences to spread blocks, and
+   * `max_replicas_per_node` to distinct_hosts or distinct_property constraints
+   */
+  private convertPlacement(serviceName: string, service: ComposeService): { constraint: Constraint[]; spread: Spread[] } {
+    const placement = service.deploy?.placement;
+    const constraint: Constraint[] = [];
+    const spread: Spread[] = [];
+
+    (placement?.preferences || []).forEach((preference, index) => {
+      const attribute = preference.spread && swarmAttribute(preference.spread);
+      if (attribute) {
+        spread.push({ attribute });
+      } else {
+        this.diagnostics.warning(
+          `Service '${serviceName}' placement preference '${preference.spread ?? ''}' has no Nomad equivalent - ignoring it`,
+          formatPath(['services', serviceName, 'deploy', 'placement', 'preferences', index])
+        );
+      }
+    });
+
+    const maxReplicas = placement?.max_replicas_per_node;
+    if (maxReplicas === 1) {
+      constraint.push({ operator: 'distinct_hosts', value: 'true' });
+    } else if (maxReplicas && maxReplicas > 1) {
+      constraint.push({ attribute: '${node.unique.id}', operator: 'distinct_property', value: String(maxReplicas) });
+    }
+
+    return { constraint, spread };
+  }
+
   /**
    * Convert constraints
    */
@@ -817,3 +2857,138 @@ export class Compose2HCLConverter {
     });
   }
 }
+
+/**
+ * Milliseconds in a Compose/Go duration such as `1m30s`; 0 when unset
+ */
+function durationToMs(value: string | undefined): number {
+  const units: Record<string, number> = { us: 0.001, ms: 1, s: 1000, m: 60_000, h: 3_600_000 };
+  let total = 0;
+  for (const [, amount = '0', unit = 's'] of (value || '').matchAll(/(\d+(?:\.\d+)?)(us|ms|s|m|h)/g)) {
+    total += parseFloat(amount) * (units[unit] ?? 0);
+  }
+  return total;
+}
+
+/**
+ * Nomad attribute for a Swarm node attribute, or undefined when there is none
+ */
+function swarmAttribute(name: string): string | undefined {
+  const label = /^(?:node|engine)\.labels\.(.+)$/.exec(name);
+  if (label) {
+    return `\${meta.${label[1]}}`;
+  }
+  return name === 'node.role' ? '${meta.role}' : SWARM_NODE_ATTRIBUTES[name];
+}
+
+/**
+ * Labels in list (`key=value`) or mapping form as a mapping
+ */
+function labelMap(labels: ComposeService['labels']): Record<string, string> {
+  if (!Array.isArray(labels)) {
+    return { ...labels };
+  }
+
+  const map: Record<string, string> = {};
+  labels.forEach(label => {
+    const [key, value] = label.split('=', 2);
+    if (key && value !== undefined) {
+      map[key] = value;
+    }
+  });
+  return map;
+}
+
+/**
+ * Convert a cron schedule to Nomad's cron syntax. Six field schedules start with
+ * seconds (as in ofelia), while Nomad reads a sixth field as the year.
+ */
+function toNomadCron(schedule: string): string | undefined {
+  const trimmed = schedule.trim();
+  if (trimmed === '@midnight') {
+    return '@daily';
+  }
+  if (trimmed.startsWith('@')) {
+    return ['@yearly', '@annually', '@monthly', '@weekly', '@daily', '@hourly'].includes(trimmed) ? trimmed : undefined;
+  }
+
+  const fields = trimmed.split(/\s+/);
+  if (fields.length === 5) {
+    return fields.join(' ');
+  }
+  if (fields.length === 6) {
+    return fields[0] === '0' ? fields.slice(1).join(' ') : [...fields, '*'].join(' ');
+  }
+  return undefined;
+}
+
+/**
+ * Keep text literal for both consul-template and HCL heredoc interpolation
+ */
+function escapeTemplateText(value: string): string {
+  return value.replace(/{{/g, '{{ "{{" }}').replace(/([$%]){/g, '$1$1{');
+}
+
+/**
+ * Template expression for a secrets path, reading `{job}`, `{group}` and `{task}`
+ * from the task environment at runtime
+ */
+function templatePathExpression(secretPath: string): string {
+  const parts = secretPath.split(/{(job|group|task)}/);
+  if (parts.length === 1) {
+    return JSON.stringify(secretPath);
+  }
+
+  const format = parts.map((part, index) => (index % 2 === 0 ? part.replace(/%/g, '%%') : '%s')).join('');
+  const args = parts.filter((_, index) => index % 2 === 1).map(name => RUNTIME_PLACEHOLDERS[name]);
+  return `(printf ${JSON.stringify(format)} ${args.join(' ')})`;
+}
+
+/**
+ * Template reading `key` at `secretPath` from Vault or Nomad Variables, with an
+ * optional pipeline (`| toJSON`) applied to the value
+ */
+function secretTemplate(backend: Exclude<SecretsBackend, 'inline-file'>, secretPath: string, key: string, pipeline = ''): string {
+  const field = /^[A-Za-z_][A-Za-z0-9_]*$/.test(key) ? (scope: string) => `${scope}.${key}` : (scope: string) => `index ${scope || '.'} ${JSON.stringify(key)}`;
+  switch (backend) {
+    case 'vault-kv1':
+      return `{{ with secret ${templatePathExpression(secretPath)} }}{{ ${field('.Data')}${pipeline} }}{{ end }}`;
+    case 'nomad-variables':
+      return `{{ with nomadVar ${templatePathExpression(secretPath)} }}{{ ${field('')}${pipeline} }}{{ end }}`;
+    default:
+      return `{{ with secret ${templatePathExpression(secretPath)} }}{{ ${field('.Data.data')}${pipeline} }}{{ end }}`;
+  }
+}
+
+/**
+ * Whether an image belongs to a registry prefix (`ghcr.io`, `ghcr.io/acme`).
+ * Images without a registry host are Docker Hub's (`docker.io`).
+ */
+function imageMatchesRegistry(image: string, prefix: string): boolean {
+  const [host = ''] = image.split('/', 1);
+  const qualified = image.includes('/') && (/[.:]/.test(host) || host === 'localhost') ? image : `docker.io/${image}`;
+  const registry = prefix.replace(/^https?:\/\//, '').replace(/\/+$/, '');
+  return qualified === registry || ['/', ':', '@'].some(separator => qualified.startsWith(`${registry}${separator}`));
+}
+
+/**
+ * Items without deeply equal repeats
+ */
+function uniqueItems<T>(items: T[]): T[] {
+  return items.filter((item, index) => items.findIndex(other => isDeepStrictEqual(other, item)) === index);
+}
+
+function escapeRegExp(value: string): string {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Services per task group, in Compose order
+ */
+function partitionGroups(plan: Map<string, string>): Map<string, string[]> {
+  const partitions = new Map<string, string[]>();
+  for (const [serviceName, groupName] of plan) {
+    partitions.set(groupName, [...(partitions.get(groupName) || []), serviceName]);
+  }
+  return partitions;
+}
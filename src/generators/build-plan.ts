@@ -0,0 +1,115 @@
+import * as path from 'path';
+import { Build } from '../types/compose';
+
+/**
+ * Commands building and publishing the images of services with a `build` section
+ */
+export interface BuildPlan {
+  /** Directory the commands run in, which relative build contexts are resolved against */
+  directory: string;
+  builds: ServiceBuild[];
+}
+
+export interface ServiceBuild {
+  service: string;
+  /** Image the job runs, built (and pushed) by `commands` */
+  image: string;
+  /** `docker build` and `docker push` command lines, as argument vectors */
+  commands: string[][];
+}
+
+/** Build fields turned into `docker build` options */
+export const PLANNED_BUILD_FIELDS: (keyof Build)[] = [
+  'context',
+  'dockerfile',
+  'args',
+  'target',
+  'tags',
+  'platforms',
+  'labels',
+  'cache_from',
+  'network',
+  'no_cache',
+  'pull',
+];
+
+/**
+ * Commands building a service's `build` section as `image`, plus its extra `tags`,
+ * and pushing them when `push` is set. Several platforms need `docker buildx`,
+ * which pushes as it builds.
+ */
+export function planServiceBuild(service: string, build: Build | string, image: string, push: boolean): ServiceBuild {
+  const spec = typeof build === 'string' ? { context: build } : build;
+  const context = spec.context || '.';
+  const tags = [image, ...(spec.tags || []).filter(tag => tag !== image)];
+  const platforms = spec.platforms || [];
+  const multiPlatform = platforms.length > 1;
+
+  const command = multiPlatform ? ['docker', 'buildx', 'build'] : ['docker', 'build'];
+  if (spec.dockerfile) {
+    // `-f` is relative to the working directory, `dockerfile` to the context
+    command.push('-f', path.posix.isAbsolute(spec.dockerfile) ? spec.dockerfile : path.posix.join(context, spec.dockerfile));
+  }
+  if (spec.target) {
+    command.push('--target', spec.target);
+  }
+  for (const arg of buildArgs(spec.args)) {
+    command.push('--build-arg', arg);
+  }
+  if (platforms.length > 0) {
+    command.push('--platform', platforms.join(','));
+  }
+  for (const label of Array.isArray(spec.labels) ? spec.labels : Object.entries(spec.labels || {}).map(([key, value]) => `${key}=${value}`)) {
+    command.push('--label', label);
+  }
+  for (const cache of spec.cache_from || []) {
+    command.push('--cache-from', cache);
+  }
+  if (spec.network) {
+    command.push('--network', spec.network);
+  }
+  if (spec.no_cache) {
+    command.push('--no-cache');
+  }
+  if (spec.pull) {
+    command.push('--pull');
+  }
+  for (const tag of tags) {
+    command.push('-t', tag);
+  }
+  if (push && multiPlatform) {
+    command.push('--push');
+  }
+  command.push(context);
+
+  const pushes = push && !multiPlatform ? tags.map(tag => ['docker', 'push', tag]) : [];
+  return { service, image, commands: [command, ...pushes] };
+}
+
+/**
+ * Render a build plan as a POSIX shell script
+ */
+export function formatBuildScript(plan: BuildPlan): string {
+  const lines = ['#!/bin/sh', '# Generated by compose2hcl', 'set -e', '', `cd ${shellQuote(plan.directory)}`];
+
+  for (const build of plan.builds) {
+    lines.push('', `# ${build.service}`);
+    lines.push(...build.commands.map(command => command.map(shellQuote).join(' ')));
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * `--build-arg` values: `KEY=value`, or `KEY` alone to pass the variable from the environment
+ */
+function buildArgs(args: Build['args']): string[] {
+  if (Array.isArray(args)) {
+    return args;
+  }
+  return Object.entries(args || {}).map(([key, value]) => (value === null || value === undefined ? key : `${key}=${value}`));
+}
+
+function shellQuote(value: string): string {
+  return /^[\w@%+=:,./-]+$/.test(value) ? value : `'${value.replace(/'/g, `'\\''`)}'`;
+}
@@ -37,9 +37,12 @@ class HCLGenerator {
     }
 
     // Generate job blocks
-    for (const [jobName, jobSpec] of Object.entries(nomadJob.job)) {
+    Object.entries(nomadJob.job).forEach(([jobName, jobSpec], index) => {
+      if (index > 0) {
+        this.addLine();
+      }
       this.generateJob(jobName, jobSpec);
-    }
+    });
 
     return this.output.join('\n');
   }
@@ -169,6 +172,11 @@ class HCLGenerator {
       this.generateRestart(group.restart);
     }
 
+    if (group.update) {
+      this.addLine();
+      this.generateUpdate(group.update);
+    }
+
     if (group.migrate) {
       this.addLine();
       this.generateMigrate(group.migrate);
@@ -275,6 +283,11 @@ class HCLGenerator {
       this.generateVault(task.vault);
     }
 
+    if (task.identity) {
+      this.addLine();
+      this.generateIdentity(task.identity);
+    }
+
     if (task.logs) {
       this.addLine();
       this.generateLogs(task.logs);
@@ -327,7 +340,52 @@ class HCLGenerator {
     this.indent();
 
     Object.entries(config).forEach(([key, value]) => {
-      this.generateProperty(key, value);
+      if (key === 'mount' && Array.isArray(value)) {
+        value.forEach(mount => this.generateNestedBlock('mount', mount));
+      } else if (key === 'logging' || key === 'auth') {
+        this.generateNestedBlock(key, value as Record<string, any>);
+      } else if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
+        this.generateMap(key, value as Record<string, any>);
+      } else {
+        this.generateProperty(key, value);
+      }
+    });
+
+    this.dedent();
+    this.addLine('}');
+  }
+
+  /**
+   * Generate a block whose object values are nested blocks, as docker `mount` needs
+   */
+  private generateNestedBlock(name: string, body: Record<string, any>) {
+    this.addLine(`${name} {`);
+    this.indent();
+
+    Object.entries(body).forEach(([key, value]) => {
+      if (value === undefined) return;
+      if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
+        this.generateNestedBlock(key, value);
+      } else if (/^[A-Za-z_][A-Za-z0-9_-]*$/.test(key)) {
+        this.generateProperty(key, value);
+      } else {
+        this.generateProperty(this.formatValue(key), value);
+      }
+    });
+
+    this.dedent();
+    this.addLine('}');
+  }
+
+  /**
+   * Generate a map attribute with quoted keys, as docker `labels` and `sysctl` need
+   */
+  private generateMap(name: string, map: Record<string, any>) {
+    this.addLine(`${name} = {`);
+    this.indent();
+
+    Object.entries(map).forEach(([key, value]) => {
+      this.addLine(`${this.formatValue(key)} = ${this.formatValue(value)}`);
     });
 
     this.dedent();
@@ -350,7 +408,7 @@ class HCLGenerator {
     this.addLine('resources {');
     this.indent();
 
-    ['cpu', 'memory', 'memory_max', 'disk'].forEach(prop => {
+    ['cpu', 'cores', 'memory', 'memory_max', 'disk'].forEach(prop => {
       if (resources[prop] !== undefined) {
         this.addLine(`${prop} = ${resources[prop]}`);
       }
@@ -367,14 +425,12 @@ class HCLGenerator {
   }
 
   private generateDevice(device: any) {
-    this.addLine('device {');
+    this.addLine(`device "${device.name}" {`);
     this.indent();
 
-    ['name', 'count'].forEach(prop => {
-      if (device[prop] !== undefined) {
-        this.generateProperty(prop, device[prop]);
-      }
-    });
+    if (device.count !== undefined) {
+      this.generateProperty('count', device.count);
+    }
 
     if (device.constraint) {
       this.generateConstraints(device.constraint);
@@ -416,7 +472,7 @@ class HCLGenerator {
 
     ['static', 'to', 'host_network'].forEach(prop => {
       if (portConfig[prop] !== undefined) {
-        this.addLine(`${prop} = ${portConfig[prop]}`);
+        this.addLine(`${prop} = ${this.formatValue(portConfig[prop])}`);
       }
     });
 
@@ -560,7 +616,7 @@ class HCLGenerator {
     const checkProps = [
       'name', 'type', 'command', 'args', 'path', 'protocol', 'port', 'expose',
       'address_mode', 'interval', 'timeout', 'initial_status', 'tls_skip_verify',
-      'method', 'body', 'success_before_passing', 'failures_before_critical',
+      'method', 'body', 'grpc_service', 'grpc_use_tls', 'success_before_passing', 'failures_before_critical',
       'failures_before_warning', 'task', 'on_update'
     ];
 
@@ -571,13 +627,17 @@ class HCLGenerator {
     });
 
     if (check.header) {
+      this.addLine(`header {`);
+      this.indent();
       Object.entries(check.header).forEach(([key, values]) => {
-        this.addLine(`header {`);
-        this.indent();
         this.addLine(`${key} = [${(values as string[]).map(v => this.formatValue(v)).join(', ')}]`);
-        this.dedent();
-        this.addLine('}');
       });
+      this.dedent();
+      this.addLine('}');
+    }
+
+    if (check.check_restart) {
+      this.generateCheckRestart(check.check_restart);
     }
 
     this.dedent();
@@ -912,7 +972,7 @@ class HCLGenerator {
 
     const templateProps = [
       'source', 'destination', 'change_mode', 'change_signal', 'splay', 'perms',
-      'left_delimiter', 'right_delimiter', 'env_var', 'vault_grace', 'error_on_missing_key',
+      'left_delimiter', 'right_delimiter', 'env', 'env_var', 'vault_grace', 'error_on_missing_key',
       'uid', 'gid'
     ];
 
@@ -923,9 +983,13 @@ class HCLGenerator {
     });
 
     if (template.embedded_tmpl) {
-      this.addLine('data = <<EOH');
-      this.addLine(template.embedded_tmpl);
-      this.addLine('EOH');
+      // Heredoc lines are taken verbatim, so they are written without indentation
+      const lines = String(template.embedded_tmpl).replace(/\n$/, '').split('\n');
+      let marker = 'EOH';
+      while (lines.some(line => line.trim() === marker)) marker += '_';
+      this.addLine(`data = <<${marker}`);
+      this.output.push(...lines);
+      this.addLine(marker);
     }
 
     this.dedent();
@@ -946,6 +1010,20 @@ class HCLGenerator {
     this.addLine('}');
   }
 
+  private generateIdentity(identity: any) {
+    this.addLine('identity {');
+    this.indent();
+
+    ['name', 'aud', 'env', 'file'].forEach(prop => {
+      if (identity[prop] !== undefined) {
+        this.generateProperty(prop, identity[prop]);
+      }
+    });
+
+    this.dedent();
+    this.addLine('}');
+  }
+
   private generateLogs(logs: any) {
     this.addLine('logs {');
     this.indent();
@@ -1179,7 +1257,7 @@ class HCLGenerator {
 
   private formatValue(value: any): string {
     if (typeof value === 'string') {
-      return `"${value.replace(/"/g, '\\"')}"`;
+      return `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
     }
     
     if (typeof value === 'boolean') {
@@ -5,9 +5,20 @@
  * to Nomad job specifications with full feature support.
  */
 
-export { Compose2HCLConverter, ConversionOptions, ConversionResult } from './converter';
+export { Compose2HCLConverter, ConversionOptions, ConversionResult, RegistryAuth, SecretsBackend } from './converter';
 export { generateHCL, HCLGeneratorOptions } from './generators/hcl-generator';
+export { formatBuildScript, BuildPlan, ServiceBuild } from './generators/build-plan';
 export { validateComposeFile, validateComposeVersion, ValidationResult } from './validation/compose-validator';
+export { parseComposeYAML, parseComposeYAMLWithSourceMap, ComposeParseError, ResetValue, OverrideValue } from './loader/compose-parser';
+export { findSourceLocation, formatPath, SourceMap, SourceDocument, SourceLocation, SourcePosition } from './loader/source-map';
+export { formatDiagnostic, Diagnostic, DiagnosticSeverity } from './validation/diagnostics';
+export { mergeComposeFiles } from './loader/compose-merger';
+export { interpolateCompose, interpolateString, InterpolationError, InterpolationIssue, InterpolationResult } from './loader/interpolation';
+export { parseEnvFile, loadEnvFile, resolveEnvironment } from './loader/env-file';
+export { resolveIncludes, IncludeOptions, IncludeResult } from './loader/include-resolver';
+export { resolveExtends, ExtendsError, ExtendsOptions, ExtendsResult } from './loader/extends-resolver';
+export { selectProfiles, isServiceEnabled, parseProfileList, ProfileSelectionResult } from './loader/profiles';
+export { loadNodeClasses, parseNodeClasses, NodeClassError, NodeClassProfile } from './loader/node-classes';
 
 // Type exports - avoid conflicts by being explicit
 export type {
@@ -15,6 +26,7 @@ export type {
   Service as ComposeService,
   Build,
   Environment,
+  EnvFile,
   Port as ComposePort,
   Networks,
   NetworkConfig,
@@ -120,6 +132,7 @@ export type {
 import { Compose2HCLConverter, ConversionOptions, ConversionResult } from './converter';
 import { generateHCL, HCLGeneratorOptions } from './generators/hcl-generator';
 import { validateComposeFile, validateComposeVersion, ValidationResult } from './validation/compose-validator';
+import { mergeComposeFiles } from './loader/compose-merger';
 
 /**
  * Convert Docker Compose YAML to Nomad HCL
@@ -136,6 +149,21 @@ export async function convertCompose(
   return await converter.convert(composeContent);
 }
 
+/**
+ * Convert several Docker Compose files to Nomad HCL
+ * 
+ * @param filePaths - Compose file paths, later files override earlier ones
+ * @param options - Conversion options
+ * @returns Promise resolving to conversion result
+ */
+export async function convertComposeFiles(
+  filePaths: string[],
+  options: ConversionOptions = {}
+): Promise<ConversionResult> {
+  const converter = new Compose2HCLConverter(options);
+  return await converter.convertFiles(filePaths);
+}
+
 /**
  * Convert Docker Compose file to Nomad HCL (synchronous)
  * 
@@ -160,8 +188,10 @@ export function convertComposeSync(
 export default {
   Compose2HCLConverter,
   convertCompose,
+  convertComposeFiles,
   convertComposeSync,
   generateHCL,
+  mergeComposeFiles,
   validateComposeFile,
   validateComposeVersion,
 };
@@ -182,6 +212,31 @@ export const INFO = {
   supportedNomadVersions: SUPPORTED_NOMAD_VERSIONS,
   features: [
     'Complete Docker Compose specification support',
+    'Multi-file Compose merging with override semantics',
+    'Variable interpolation with .env file support',
+    'Top-level include resolution',
+    'Service extends resolution',
+    'Compose profiles selection',
+    'Service env_file loading into env or templates',
+    'Source locations on warnings and errors',
+    'Compose Specification schema validation with suggestions',
+    'Port ranges, host IPs and protocols',
+    'Bind mount, named volume, tmpfs and npipe classification',
+    'depends_on conditions as prestart lifecycle tasks',
+    'Consul Connect upstreams for service-to-service traffic',
+    'Task group packing strategies',
+    'Native http, tcp and grpc checks from healthchecks',
+    'Healthcheck retries and start_period as check_restart',
+    'update_config as group update blocks',
+    'System, batch and periodic jobs',
+    'Swarm placement as constraints and spreads',
+    'GPU and generic resource device requests',
+    'Vault KV, Nomad Variables and inline secrets backends',
+    'Docker driver options with unsupported-field diagnostics',
+    'Memory reservations with memory_max limits and hard CPU limits',
+    'CPU sizing from node class hardware profiles',
+    'Build plans with registry-published images',
+    'Private registry auth from Vault or Nomad Variables',
     'Full Nomad HCL generation',
     'Comprehensive validation',
     'TypeScript support',
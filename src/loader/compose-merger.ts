@@ -0,0 +1,263 @@
+import { DockerComposeFile } from '../types/compose';
+import { OverrideValue, ResetValue } from './compose-parser';
+
+type Mapping = Record<string, unknown>;
+
+/**
+ * Service attributes that are replaced rather than merged
+ */
+const REPLACED_ATTRIBUTES = ['command', 'entrypoint', 'healthcheck.test'];
+
+/**
+ * Service attributes that may be written either as a mapping or as a `KEY=VALUE` list
+ */
+const KEY_VALUE_ATTRIBUTES = ['environment', 'labels', 'annotations', 'sysctls', 'extra_hosts', 'build.args', 'build.labels', 'deploy.labels'];
+
+/**
+ * Service attributes that may be written either as a mapping or as a list of names,
+ * with the mapping entry a bare name stands for
+ */
+const NAMED_LIST_ATTRIBUTES: Record<string, Mapping> = {
+  depends_on: { condition: 'service_started' },
+  networks: {},
+};
+
+/**
+ * Service attributes that may be a single string or a sequence
+ */
+const STRING_OR_LIST_ATTRIBUTES = ['dns', 'dns_search', 'env_file', 'tmpfs'];
+
+/**
+ * Sequences whose entries are unique by a key (compose-spec "unique resources")
+ */
+const UNIQUE_RESOURCE_KEYS: Record<string, (entry: unknown) => string> = {
+  ports: portKey,
+  volumes: volumeKey,
+  secrets: fileReferenceKey,
+  configs: fileReferenceKey,
+};
+
+/**
+ * Merge Docker Compose files in order, following the Compose merge rules:
+ * mappings merge deeply, sequences append, `command`/`entrypoint` replace,
+ * unique resources (ports, volumes, secrets, configs) replace by key, and
+ * `!reset`/`!override` tags are honoured.
+ */
+export function mergeComposeFiles(files: DockerComposeFile[]): DockerComposeFile {
+  let merged: Mapping = {};
+
+  for (const file of files) {
+    merged = mergeMappings(merged, file as Mapping, []);
+  }
+
+  return resolveMergeTags(merged) as DockerComposeFile;
+}
+
+/**
+ * Apply leftover merge tags: `!reset` values are dropped, `!override` values unwrapped
+ */
+export function resolveMergeTags(value: unknown): unknown {
+  if (value instanceof ResetValue) {
+    return undefined;
+  }
+
+  if (value instanceof OverrideValue) {
+    return resolveMergeTags(value.value);
+  }
+
+  if (Array.isArray(value)) {
+    return value.filter(item => !(item instanceof ResetValue)).map(item => resolveMergeTags(item));
+  }
+
+  if (isMapping(value)) {
+    const resolved: Mapping = {};
+    for (const [key, item] of Object.entries(value)) {
+      if (item instanceof ResetValue) continue;
+      resolved[key] = resolveMergeTags(item);
+    }
+    return resolved;
+  }
+
+  return value;
+}
+
+function mergeMappings(base: Mapping, override: Mapping, path: string[]): Mapping {
+  const merged: Mapping = { ...base };
+
+  for (const [key, value] of Object.entries(override)) {
+    if (value instanceof ResetValue) {
+      delete merged[key];
+      continue;
+    }
+
+    merged[key] = key in merged ? mergeValues(merged[key], value, [...path, key]) : value;
+  }
+
+  return merged;
+}
+
+function mergeValues(base: unknown, override: unknown, path: string[]): unknown {
+  if (override instanceof OverrideValue) {
+    return override;
+  }
+
+  if (base instanceof ResetValue || base instanceof OverrideValue) {
+    base = resolveMergeTags(base);
+  }
+
+  if (base === undefined || base === null) {
+    return override;
+  }
+
+  const attribute = serviceAttribute(path);
+
+  if (attribute !== null) {
+    if (REPLACED_ATTRIBUTES.includes(attribute)) {
+      return override;
+    }
+
+    if (KEY_VALUE_ATTRIBUTES.includes(attribute) && (Array.isArray(base) || Array.isArray(override))) {
+      return mergeMappings(keyValueListToMapping(base), keyValueListToMapping(override), path);
+    }
+
+    const namedEntry = NAMED_LIST_ATTRIBUTES[attribute];
+    if (namedEntry && (Array.isArray(base) || Array.isArray(override))) {
+      return mergeMappings(namedListToMapping(base, namedEntry), namedListToMapping(override, namedEntry), path);
+    }
+
+    if (STRING_OR_LIST_ATTRIBUTES.includes(attribute)) {
+      return appendUnique(toList(base), toList(override));
+    }
+
+    const uniqueKey = UNIQUE_RESOURCE_KEYS[attribute];
+    if (uniqueKey && Array.isArray(base) && Array.isArray(override)) {
+      return mergeUniqueResources(base, override, uniqueKey);
+    }
+
+    if (attribute === 'build' && (typeof base === 'string' || typeof override === 'string')) {
+      return mergeMappings(buildToMapping(base), buildToMapping(override), path);
+    }
+  }
+
+  if (Array.isArray(base) && Array.isArray(override)) {
+    return appendUnique(base, override);
+  }
+
+  if (isMapping(base) && isMapping(override)) {
+    return mergeMappings(base, override, path);
+  }
+
+  return override;
+}
+
+/**
+ * Return the dotted attribute path inside a service (e.g. `healthcheck.test`), or null
+ * when the path does not point inside `services.<name>`
+ */
+function serviceAttribute(path: string[]): string | null {
+  if (path.length < 3 || path[0] !== 'services') {
+    return null;
+  }
+  return path.slice(2).join('.');
+}
+
+function mergeUniqueResources(base: unknown[], override: unknown[], keyOf: (entry: unknown) => string): unknown[] {
+  const merged = [...base];
+
+  for (const entry of override) {
+    if (entry instanceof ResetValue) continue;
+
+    const key = keyOf(resolveMergeTags(entry));
+    const index = merged.findIndex(existing => keyOf(resolveMergeTags(existing)) === key);
+    if (index >= 0) {
+      merged[index] = entry;
+    } else {
+      merged.push(entry);
+    }
+  }
+
+  return merged;
+}
+
+function appendUnique(base: unknown[], override: unknown[]): unknown[] {
+  const merged = [...base];
+
+  for (const entry of override) {
+    const isScalar = typeof entry !== 'object' || entry === null;
+    if (isScalar && merged.includes(entry)) continue;
+    merged.push(entry);
+  }
+
+  return merged;
+}
+
+function keyValueListToMapping(value: unknown): Mapping {
+  if (!Array.isArray(value)) {
+    return isMapping(value) ? value : {};
+  }
+
+  const mapping: Mapping = {};
+  value.forEach(entry => {
+    const text = String(entry);
+    const separator = text.search(/[=:]/);
+    if (separator < 0) {
+      mapping[text] = null;
+    } else {
+      mapping[text.slice(0, separator)] = text.slice(separator + 1);
+    }
+  });
+  return mapping;
+}
+
+function namedListToMapping(value: unknown, entry: Mapping): Mapping {
+  if (!Array.isArray(value)) {
+    return isMapping(value) ? value : {};
+  }
+
+  const mapping: Mapping = {};
+  value.forEach(name => {
+    mapping[String(name)] = { ...entry };
+  });
+  return mapping;
+}
+
+function buildToMapping(value: unknown): Mapping {
+  if (typeof value === 'string') {
+    return { context: value };
+  }
+  return isMapping(value) ? value : {};
+}
+
+function toList(value: unknown): unknown[] {
+  return Array.isArray(value) ? value : [value];
+}
+
+function portKey(entry: unknown): string {
+  if (isMapping(entry)) {
+    return `${String(entry.host_ip ?? '')}:${String(entry.published ?? '')}:${String(entry.target ?? '')}/${String(entry.protocol ?? 'tcp')}`;
+  }
+
+  const text = String(entry);
+  return text.includes('/') ? text : `${text}/tcp`;
+}
+
+function volumeKey(entry: unknown): string {
+  if (isMapping(entry)) {
+    return String(entry.target ?? '');
+  }
+
+  const parts = String(entry).split(':');
+  return parts.length >= 2 ? parts[1] : parts[0];
+}
+
+function fileReferenceKey(entry: unknown): string {
+  if (isMapping(entry)) {
+    return String(entry.target ?? entry.source ?? '');
+  }
+  return String(entry);
+}
+
+function isMapping(value: unknown): value is Mapping {
+  return typeof value === 'object' && value !== null && !Array.isArray(value) &&
+    !(value instanceof ResetValue) && !(value instanceof OverrideValue);
+}
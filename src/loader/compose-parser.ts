@@ -0,0 +1,85 @@
+import { load as loadYAML, DEFAULT_SCHEMA, Type, YAMLException } from 'js-yaml';
+import { DockerComposeFile } from '../types/compose';
+import { SourceLocation, SourceMap, SourceMapBuilder } from './source-map';
+
+/**
+ * Thrown when a compose document is not valid YAML, with the position of the problem when known
+ */
+export class ComposeParseError extends Error {
+  constructor(message: string, public readonly location?: SourceLocation) {
+    super(message);
+    this.name = 'ComposeParseError';
+  }
+}
+
+/**
+ * Value tagged with `!reset` - removes the attribute when files are merged
+ */
+export class ResetValue {
+  constructor(public readonly value: unknown) {}
+}
+
+/**
+ * Value tagged with `!override` - replaces the attribute instead of merging it
+ */
+export class OverrideValue {
+  constructor(public readonly value: unknown) {}
+}
+
+const YAML_KINDS = ['scalar', 'sequence', 'mapping'] as const;
+
+/**
+ * js-yaml schema understanding the Compose merge tags
+ */
+export const COMPOSE_SCHEMA = DEFAULT_SCHEMA.extend(
+  YAML_KINDS.flatMap(kind => [
+    new Type('!reset', { kind, construct: (data: unknown) => new ResetValue(data) }),
+    new Type('!override', { kind, construct: (data: unknown) => new OverrideValue(data) }),
+  ])
+);
+
+/**
+ * Parse a single Docker Compose YAML document
+ *
+ * Merge tags are kept as `ResetValue`/`OverrideValue` markers so they can be
+ * applied by `mergeComposeFiles`.
+ */
+export function parseComposeYAML(content: string, fileName?: string): DockerComposeFile {
+  const parsed = loadYAML(content, { schema: COMPOSE_SCHEMA, filename: fileName }) as DockerComposeFile;
+
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error('Invalid YAML structure');
+  }
+
+  return parsed;
+}
+
+/**
+ * Parse a Docker Compose YAML document, also recording the line and column of
+ * every node so diagnostics can point back to the source
+ */
+export function parseComposeYAMLWithSourceMap(
+  content: string,
+  fileName?: string
+): { compose: DockerComposeFile; sourceMap: SourceMap } {
+  const builder = new SourceMapBuilder(content);
+  let parsed: DockerComposeFile;
+  try {
+    parsed = loadYAML(content, { schema: COMPOSE_SCHEMA, filename: fileName, listener: builder.listener }) as DockerComposeFile;
+  } catch (error) {
+    if (error instanceof YAMLException) {
+      throw new ComposeParseError(error.message, {
+        file: fileName,
+        line: error.mark.line + 1,
+        column: error.mark.column + 1,
+      });
+    }
+    throw error;
+  }
+
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new ComposeParseError('Invalid YAML structure', { file: fileName, line: 1, column: 1 });
+  }
+
+  return { compose: parsed, sourceMap: builder.build() };
+}
@@ -0,0 +1,106 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import { Environment, interpolateString } from './interpolation';
+
+/**
+ * Parse `.env` file content (KEY=VALUE lines)
+ *
+ * Supports `export` prefixes, comments, single-quoted literals and
+ * double-quoted values with escapes. Unquoted and double-quoted values may
+ * reference variables defined earlier in the file or in `environment`.
+ */
+export function parseEnvFile(content: string, environment: Environment = {}): Record<string, string> {
+  const values: Record<string, string> = {};
+
+  content.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) {
+      return;
+    }
+
+    const match = /^(?:export\s+)?([A-Za-z_][A-Za-z0-9_.-]*)\s*(?:=\s*(.*))?$/.exec(line);
+    if (!match) {
+      return;
+    }
+
+    const key = match[1];
+    const rawValue = match[2] ?? '';
+    const scope = { ...environment, ...values };
+
+    if (rawValue.startsWith("'")) {
+      const end = rawValue.indexOf("'", 1);
+      values[key] = end > 0 ? rawValue.slice(1, end) : rawValue.slice(1);
+    } else if (rawValue.startsWith('"')) {
+      const end = findClosingQuote(rawValue);
+      const quoted = end > 0 ? rawValue.slice(1, end) : rawValue.slice(1);
+      values[key] = interpolateString(unescape(quoted), scope);
+    } else {
+      const value = rawValue.replace(/\s+#.*$/, '').trim();
+      values[key] = interpolateString(value, scope);
+    }
+  });
+
+  return values;
+}
+
+/**
+ * Read and parse an env file from disk
+ */
+export function loadEnvFile(filePath: string, environment: Environment = {}): Record<string, string> {
+  return parseEnvFile(fs.readFileSync(filePath, 'utf8'), environment);
+}
+
+/**
+ * Build an interpolation environment: env files are applied in order, then
+ * `environment` (usually the shell) overrides them. Without explicit env
+ * files the `.env` file of `projectDirectory` is used when it exists.
+ */
+export function resolveEnvironment(
+  projectDirectory: string,
+  envFiles: string[],
+  environment: Environment
+): Environment {
+  const files = envFiles.length > 0
+    ? envFiles.map(file => path.resolve(projectDirectory, file))
+    : [path.join(projectDirectory, '.env')].filter(file => fs.existsSync(file));
+
+  let fileEnvironment: Environment = {};
+  for (const file of files) {
+    try {
+      fileEnvironment = {
+        ...fileEnvironment,
+        ...loadEnvFile(file, { ...fileEnvironment, ...environment }),
+      };
+    } catch (error) {
+      throw new Error(`Failed to load env file '${file}': ${error instanceof Error ? error.message : String(error)}`);
+    }
+  }
+
+  return { ...fileEnvironment, ...environment };
+}
+
+function findClosingQuote(value: string): number {
+  for (let index = 1; index < value.length; index++) {
+    if (value[index] === '\\') {
+      index++;
+    } else if (value[index] === '"') {
+      return index;
+    }
+  }
+  return -1;
+}
+
+function unescape(value: string): string {
+  return value.replace(/\\([nrt"\\])/g, (_, char: string) => {
+    switch (char) {
+      case 'n':
+        return '\n';
+      case 'r':
+        return '\r';
+      case 't':
+        return '\t';
+      default:
+        return char;
+    }
+  });
+}
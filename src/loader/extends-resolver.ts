@@ -0,0 +1,129 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import { DockerComposeFile, Extends, Service } from '../types/compose';
+import { parseComposeYAML } from './compose-parser';
+import { mergeComposeFiles } from './compose-merger';
+import { Environment, interpolateCompose } from './interpolation';
+import { resolveRelativePaths } from './relative-paths';
+
+export interface ExtendsOptions {
+  /** Directory `extends.file` references of the model are resolved against */
+  projectDirectory: string;
+  /** Variables used to interpolate extended files */
+  environment: Environment;
+  /** Whether `extends.file` references may be read from disk (defaults to true) */
+  fileAccess?: boolean;
+}
+
+export interface ExtendsResult {
+  compose: DockerComposeFile;
+  errors: string[];
+  warnings: string[];
+}
+
+interface ChainLink {
+  key: string;
+  label: string;
+}
+
+/**
+ * Thrown when an `extends` chain cannot be resolved
+ */
+export class ExtendsError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'ExtendsError';
+  }
+}
+
+/**
+ * Resolve `extends:` on every service. Base services (from the same model or
+ * from `extends.file`) are resolved first and the extending service is merged
+ * on top using the Compose merge rules. Cycles and missing base services are
+ * reported with the full chain.
+ */
+export function resolveExtends(compose: DockerComposeFile, options: ExtendsOptions): ExtendsResult {
+  const errors: string[] = [];
+  const warnings: string[] = [];
+
+  if (!compose.services || !Object.values(compose.services).some(service => service?.extends)) {
+    return { compose, errors, warnings };
+  }
+
+  const files = new Map<string, DockerComposeFile>();
+
+  const loadFile = (filePath: string): DockerComposeFile => {
+    let loaded = files.get(filePath);
+    if (!loaded) {
+      if (options.fileAccess === false) {
+        throw new Error('reading files is disabled');
+      }
+      const parsed = parseComposeYAML(fs.readFileSync(filePath, 'utf8'), filePath);
+      const interpolated = interpolateCompose(parsed, options.environment);
+      warnings.push(...interpolated.warnings.map(issue => `${issue.message} in extended file '${filePath}'`));
+      errors.push(...interpolated.errors.map(issue => `${issue.message} in extended file '${filePath}'`));
+      loaded = resolveRelativePaths(mergeComposeFiles([interpolated.compose]), path.dirname(filePath));
+      files.set(filePath, loaded);
+    }
+    return loaded;
+  };
+
+  const resolveService = (
+    name: string,
+    services: Record<string, Service>,
+    file: string | undefined,
+    chain: ChainLink[]
+  ): Service => {
+    const service = services[name];
+    if (!service.extends) {
+      return service;
+    }
+
+    const reference: Extends = typeof service.extends === 'string' ? { service: service.extends } : service.extends;
+    const targetFile = reference.file ? path.resolve(options.projectDirectory, reference.file) : file;
+    const link: ChainLink = {
+      key: `${targetFile ?? ''}#${reference.service}`,
+      label: reference.file ? `${reference.service} (${reference.file})` : reference.service,
+    };
+    const describe = (links: ChainLink[]) => links.map(item => item.label).join(' -> ');
+
+    if (chain.some(item => item.key === link.key)) {
+      throw new ExtendsError(`Circular extends detected: ${describe([...chain, link])}`);
+    }
+
+    let targetServices: Record<string, Service>;
+    try {
+      targetServices = targetFile && targetFile !== file ? loadFile(targetFile).services ?? {} : services;
+    } catch (error) {
+      throw new ExtendsError(
+        `Failed to load '${reference.file}' extended by '${chain[chain.length - 1].label}': ${error instanceof Error ? error.message : String(error)}`
+      );
+    }
+
+    if (!targetServices[reference.service]) {
+      const location = reference.file ? ` in '${reference.file}'` : '';
+      throw new ExtendsError(
+        `Service '${chain[chain.length - 1].label}' extends undefined service '${reference.service}'${location} (chain: ${describe([...chain, link])})`
+      );
+    }
+
+    const base = resolveService(reference.service, targetServices, targetFile, [...chain, link]);
+    const own: Service = { ...service };
+    delete own.extends;
+
+    return mergeComposeFiles([{ services: { [name]: base } }, { services: { [name]: own } }]).services![name];
+  };
+
+  const services: Record<string, Service> = {};
+  for (const name of Object.keys(compose.services)) {
+    try {
+      services[name] = resolveService(name, compose.services, undefined, [{ key: `#${name}`, label: name }]);
+    } catch (error) {
+      if (!(error instanceof ExtendsError)) throw error;
+      errors.push(error.message);
+      services[name] = compose.services[name];
+    }
+  }
+
+  return { compose: { ...compose, services }, errors, warnings };
+}
@@ -0,0 +1,154 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import { DockerComposeFile, Include } from '../types/compose';
+import { parseComposeYAML } from './compose-parser';
+import { mergeComposeFiles } from './compose-merger';
+import { Environment, interpolateCompose } from './interpolation';
+import { resolveEnvironment } from './env-file';
+import { isWithinDirectory, resolveRelativePaths } from './relative-paths';
+
+export interface IncludeOptions {
+  /** Directory include paths of this file are resolved against */
+  projectDirectory: string;
+  /** Shell/explicit variables, applied on top of each include's env files */
+  environment: Environment;
+  /** Directory no included file may lie outside of (defaults to `projectDirectory`) */
+  rootDirectory?: string;
+  /** Whether included files may be read from disk (defaults to true) */
+  fileAccess?: boolean;
+}
+
+export interface IncludeResult {
+  compose: DockerComposeFile;
+  errors: string[];
+  warnings: string[];
+}
+
+const RESOURCE_SECTIONS = ['services', 'networks', 'volumes', 'configs', 'secrets'] as const;
+
+type ResourceSection = (typeof RESOURCE_SECTIONS)[number];
+
+const RESOURCE_LABELS: Record<ResourceSection, string> = {
+  services: 'service',
+  networks: 'network',
+  volumes: 'volume',
+  configs: 'config',
+  secrets: 'secret',
+};
+
+/**
+ * Load the files referenced by a top-level `include:` and merge their resources
+ * into the model. Each include is interpolated with its own env files and has
+ * its relative paths resolved against its own project directory. Resources
+ * defined by more than one include, or by an include and the including file,
+ * are reported as conflicts. Absolute paths and paths leading out of the root
+ * project directory are rejected.
+ */
+export function resolveIncludes(
+  compose: DockerComposeFile,
+  options: IncludeOptions,
+  chain: string[] = []
+): IncludeResult {
+  const errors: string[] = [];
+  const warnings: string[] = [];
+
+  if (!compose.include || compose.include.length === 0) {
+    return { compose, errors, warnings };
+  }
+
+  const { include, ...result } = compose;
+  const owners: Record<ResourceSection, Record<string, string>> = {
+    services: {},
+    networks: {},
+    volumes: {},
+    configs: {},
+    secrets: {},
+  };
+
+  const rootDirectory = options.rootDirectory ?? options.projectDirectory;
+
+  for (const entry of include.map(normalizeInclude)) {
+    const rawPaths = Array.isArray(entry.path) ? entry.path : [entry.path];
+    const paths = rawPaths.map(includePath => path.resolve(options.projectDirectory, includePath));
+    const label = paths.map(includePath => path.relative(options.projectDirectory, includePath)).join(', ');
+
+    if (options.fileAccess === false) {
+      errors.push(`Cannot include '${rawPaths.join(', ')}': reading files is disabled`);
+      continue;
+    }
+
+    const referenced = [...rawPaths, entry.project_directory, ...(Array.isArray(entry.env_file) ? entry.env_file : [entry.env_file])];
+    const escaping = referenced.find(
+      value => value !== undefined && (path.isAbsolute(value) || !isWithinDirectory(rootDirectory, path.resolve(options.projectDirectory, value)))
+    );
+    if (escaping !== undefined) {
+      errors.push(`Cannot include '${rawPaths.join(', ')}': '${escaping}' is outside the project directory`);
+      continue;
+    }
+
+    const cyclic = paths.find(includePath => chain.includes(includePath));
+    if (cyclic) {
+      errors.push(`Include cycle detected: ${[...chain, cyclic].join(' -> ')}`);
+      continue;
+    }
+
+    const projectDirectory = entry.project_directory
+      ? path.resolve(options.projectDirectory, entry.project_directory)
+      : path.dirname(paths[0]);
+    const envFiles = entry.env_file
+      ? (Array.isArray(entry.env_file) ? entry.env_file : [entry.env_file]).map(file => path.resolve(options.projectDirectory, file))
+      : [];
+
+    let included: DockerComposeFile;
+    try {
+      const environment = resolveEnvironment(projectDirectory, envFiles, options.environment);
+      const documents = paths.map(includePath => {
+        const parsed = parseComposeYAML(fs.readFileSync(includePath, 'utf8'), includePath);
+        const interpolated = interpolateCompose(parsed, environment);
+        warnings.push(...interpolated.warnings.map(issue => `${issue.message} in included file '${includePath}'`));
+        errors.push(...interpolated.errors.map(issue => `${issue.message} in included file '${includePath}'`));
+
+        const nested = resolveIncludes(
+          interpolated.compose,
+          { projectDirectory: path.dirname(includePath), environment: options.environment, rootDirectory },
+          [...chain, includePath]
+        );
+        warnings.push(...nested.warnings);
+        errors.push(...nested.errors);
+
+        return resolveRelativePaths(nested.compose, projectDirectory);
+      });
+      included = mergeComposeFiles(documents);
+    } catch (error) {
+      errors.push(`Failed to include '${label}': ${error instanceof Error ? error.message : String(error)}`);
+      continue;
+    }
+
+    for (const section of RESOURCE_SECTIONS) {
+      const resources = included[section];
+      if (!resources) continue;
+
+      const target = (result[section] ?? {}) as Record<string, unknown>;
+      for (const [name, resource] of Object.entries(resources)) {
+        const owner = owners[section][name];
+        if (owner !== undefined) {
+          errors.push(`Include conflict: ${RESOURCE_LABELS[section]} '${name}' is defined by both '${owner}' and '${label}'`);
+          continue;
+        }
+        if (compose[section]?.[name] !== undefined) {
+          errors.push(`Include conflict: ${RESOURCE_LABELS[section]} '${name}' from '${label}' is already defined by the including file`);
+          continue;
+        }
+        owners[section][name] = label;
+        target[name] = resource;
+      }
+      (result as Record<string, unknown>)[section] = target;
+    }
+  }
+
+  return { compose: result, errors, warnings };
+}
+
+function normalizeInclude(entry: string | Include): Include {
+  return typeof entry === 'string' ? { path: entry } : entry;
+}
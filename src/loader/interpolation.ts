@@ -0,0 +1,213 @@
+import { DockerComposeFile } from '../types/compose';
+import { OverrideValue, ResetValue } from './compose-parser';
+import { joinPath } from './source-map';
+
+export type Environment = Record<string, string | undefined>;
+
+export interface InterpolationIssue {
+  variable: string;
+  path: string;
+  message: string;
+}
+
+export interface InterpolationResult {
+  compose: DockerComposeFile;
+  errors: InterpolationIssue[];
+  warnings: InterpolationIssue[];
+}
+
+/**
+ * Thrown when a `${VAR:?message}` / `${VAR?message}` reference is not satisfied
+ */
+export class InterpolationError extends Error {
+  constructor(message: string, public readonly variable: string) {
+    super(message);
+    this.name = 'InterpolationError';
+  }
+}
+
+const VARIABLE_NAME = /^[A-Za-z_][A-Za-z0-9_]*/;
+
+/**
+ * Interpolate `${VAR}` style references in every string value of a compose document.
+ * Keys are left untouched. Missing required variables are reported as errors,
+ * unset optional ones as warnings (once per variable, replaced with an empty string).
+ */
+export function interpolateCompose(compose: DockerComposeFile, environment: Environment): InterpolationResult {
+  const errors: InterpolationIssue[] = [];
+  const warnings: InterpolationIssue[] = [];
+
+  const visit = (value: unknown, path: string): unknown => {
+    if (typeof value === 'string') {
+      try {
+        return interpolateString(value, environment, variable => {
+          if (warnings.some(warning => warning.variable === variable)) return;
+          warnings.push({
+            variable,
+            path,
+            message: `Variable '${variable}' is not set (at ${path}) - defaulting to a blank string`,
+          });
+        });
+      } catch (error) {
+        if (error instanceof InterpolationError) {
+          errors.push({ variable: error.variable, path, message: `${error.message} (at ${path})` });
+          return value;
+        }
+        throw error;
+      }
+    }
+
+    if (value instanceof ResetValue) {
+      return new ResetValue(visit(value.value, path));
+    }
+
+    if (value instanceof OverrideValue) {
+      return new OverrideValue(visit(value.value, path));
+    }
+
+    if (Array.isArray(value)) {
+      return value.map((item, index) => visit(item, joinPath(path, index)));
+    }
+
+    if (value && typeof value === 'object') {
+      const result: Record<string, unknown> = {};
+      for (const [key, item] of Object.entries(value)) {
+        result[key] = visit(item, joinPath(path, key));
+      }
+      return result;
+    }
+
+    return value;
+  };
+
+  return {
+    compose: visit(compose, '') as DockerComposeFile,
+    errors,
+    warnings,
+  };
+}
+
+/**
+ * Interpolate a single string following the Compose specification:
+ * `$VAR`, `${VAR}`, `${VAR:-default}`, `${VAR-default}`, `${VAR:?error}`,
+ * `${VAR?error}`, `${VAR:+alt}`, `${VAR+alt}` and `$$` escaping.
+ */
+export function interpolateString(
+  input: string,
+  environment: Environment,
+  onUnset: (variable: string) => void = () => undefined
+): string {
+  let output = '';
+  let index = 0;
+
+  while (index < input.length) {
+    const char = input[index];
+
+    if (char !== '$') {
+      output += char;
+      index++;
+      continue;
+    }
+
+    const next = input[index + 1];
+
+    if (next === '$') {
+      output += '$';
+      index += 2;
+      continue;
+    }
+
+    if (next === '{') {
+      const end = findClosingBrace(input, index + 2);
+      if (end < 0) {
+        throw new InterpolationError(`Invalid interpolation format: unterminated '\${' in "${input}"`, '');
+      }
+      output += resolveExpression(input.slice(index + 2, end), environment, onUnset);
+      index = end + 1;
+      continue;
+    }
+
+    const name = VARIABLE_NAME.exec(input.slice(index + 1));
+    if (name) {
+      output += lookup(name[0], environment, onUnset);
+      index += 1 + name[0].length;
+      continue;
+    }
+
+    output += char;
+    index++;
+  }
+
+  return output;
+}
+
+function resolveExpression(expression: string, environment: Environment, onUnset: (variable: string) => void): string {
+  const name = VARIABLE_NAME.exec(expression);
+  if (!name) {
+    throw new InterpolationError(`Invalid interpolation format: "\${${expression}}"`, expression);
+  }
+
+  const variable = name[0];
+  const rest = expression.slice(variable.length);
+
+  if (rest === '') {
+    return lookup(variable, environment, onUnset);
+  }
+
+  const operator = /^(:?[-?+])/.exec(rest);
+  if (!operator) {
+    throw new InterpolationError(`Invalid interpolation format: "\${${expression}}"`, variable);
+  }
+
+  const value = environment[variable];
+  const checkEmpty = operator[1].startsWith(':');
+  const isSet = checkEmpty ? value !== undefined && value !== '' : value !== undefined;
+  const argument = () => interpolateString(rest.slice(operator[1].length), environment, onUnset);
+
+  switch (operator[1].slice(-1)) {
+    case '-':
+      return isSet ? value! : argument();
+    case '?':
+      if (!isSet) {
+        const message = argument();
+        throw new InterpolationError(
+          message
+            ? `Required variable '${variable}' is missing a value: ${message}`
+            : `Required variable '${variable}' is missing a value`,
+          variable
+        );
+      }
+      return value!;
+    case '+':
+      return isSet ? argument() : '';
+    default:
+      return value ?? '';
+  }
+}
+
+function lookup(variable: string, environment: Environment, onUnset: (variable: string) => void): string {
+  const value = environment[variable];
+  if (value === undefined) {
+    onUnset(variable);
+    return '';
+  }
+  return value;
+}
+
+function findClosingBrace(input: string, start: number): number {
+  let depth = 1;
+
+  for (let index = start; index < input.length; index++) {
+    if (input[index] === '$' && input[index + 1] === '{') {
+      depth++;
+      index++;
+    } else if (input[index] === '}') {
+      depth--;
+      if (depth === 0) {
+        return index;
+      }
+    }
+  }
+
+  return -1;
+}
@@ -0,0 +1,69 @@
+import * as fs from 'fs';
+
+/**
+ * CPU hardware of the Nomad clients in a node class
+ */
+export interface NodeClassProfile {
+  /** MHz of one core, the unit of Nomad's `cpu` resource */
+  mhzPerCore: number;
+  /** Cores of the largest client in the class */
+  cores?: number;
+}
+
+/**
+ * Thrown when node class profiles cannot be read
+ */
+export class NodeClassError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'NodeClassError';
+  }
+}
+
+/**
+ * Check node class profiles in their JSON form, keyed by node class:
+ * `{ "compute": { "mhzPerCore": 2400, "cores": 32 } }`
+ */
+export function parseNodeClasses(value: unknown): Record<string, NodeClassProfile> {
+  if (!isMapping(value)) {
+    throw new NodeClassError('node classes must be a mapping of node class names to CPU profiles');
+  }
+
+  const classes: Record<string, NodeClassProfile> = {};
+  for (const [name, profile] of Object.entries(value)) {
+    if (!isMapping(profile) || !isPositive(profile.mhzPerCore)) {
+      throw new NodeClassError(`node class '${name}' must have a positive "mhzPerCore"`);
+    }
+    if (profile.cores !== undefined && !(isPositive(profile.cores) && Number.isInteger(profile.cores))) {
+      throw new NodeClassError(`node class '${name}' "cores" must be a positive integer`);
+    }
+
+    classes[name] = {
+      mhzPerCore: profile.mhzPerCore,
+      ...(profile.cores !== undefined ? { cores: profile.cores } : {}),
+    };
+  }
+
+  return classes;
+}
+
+/**
+ * Read node class profiles from a JSON file
+ */
+export function loadNodeClasses(file: string): Record<string, NodeClassProfile> {
+  let value: unknown;
+  try {
+    value = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new NodeClassError(`cannot read node classes from '${file}': ${error instanceof Error ? error.message : String(error)}`);
+  }
+  return parseNodeClasses(value);
+}
+
+function isMapping(value: unknown): value is Record<string, unknown> {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isPositive(value: unknown): value is number {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
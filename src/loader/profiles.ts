@@ -0,0 +1,80 @@
+import { DependsOnConfig, DockerComposeFile, Service } from '../types/compose';
+
+export interface ProfileSelectionResult {
+  compose: DockerComposeFile;
+  /** Services left out because none of their profiles is active */
+  disabledServices: string[];
+  errors: string[];
+  warnings: string[];
+}
+
+/**
+ * Parse the comma separated `COMPOSE_PROFILES` value
+ */
+export function parseProfileList(value: string | undefined): string[] {
+  return (value ?? '')
+    .split(',')
+    .map(profile => profile.trim())
+    .filter(profile => profile !== '');
+}
+
+/**
+ * Check whether a service is enabled for the given active profiles.
+ * Services without `profiles` are always enabled; `*` enables every profile.
+ */
+export function isServiceEnabled(service: Service, activeProfiles: string[]): boolean {
+  if (!service.profiles || service.profiles.length === 0) {
+    return true;
+  }
+  return activeProfiles.includes('*') || service.profiles.some(profile => activeProfiles.includes(profile));
+}
+
+/**
+ * Drop services whose profiles are inactive, the same way `docker compose up` does.
+ * An enabled service depending on a disabled one is an error, unless the
+ * dependency is declared with `required: false`.
+ */
+export function selectProfiles(compose: DockerComposeFile, activeProfiles: string[]): ProfileSelectionResult {
+  const errors: string[] = [];
+  const warnings: string[] = [];
+  const disabledServices: string[] = [];
+
+  if (!compose.services) {
+    return { compose, disabledServices, errors, warnings };
+  }
+
+  const services: Record<string, Service> = {};
+  for (const [name, service] of Object.entries(compose.services)) {
+    if (isServiceEnabled(service, activeProfiles)) {
+      services[name] = service;
+    } else {
+      disabledServices.push(name);
+    }
+  }
+
+  for (const [name, service] of Object.entries(services)) {
+    if (!service.depends_on) continue;
+
+    const dependencies: Record<string, DependsOnConfig> = Array.isArray(service.depends_on)
+      ? Object.fromEntries(service.depends_on.map(dependency => [dependency, { condition: 'service_started' }]))
+      : service.depends_on;
+    const disabled = Object.keys(dependencies).filter(dependency => disabledServices.includes(dependency));
+    if (disabled.length === 0) continue;
+
+    for (const dependency of disabled) {
+      const profiles = compose.services[dependency].profiles!.join(', ');
+      if (dependencies[dependency]?.required === false) {
+        warnings.push(`Service '${name}' optional dependency '${dependency}' is disabled by inactive profile(s): ${profiles}`);
+      } else {
+        errors.push(`Service '${name}' depends on service '${dependency}' which is disabled by inactive profile(s): ${profiles}`);
+      }
+    }
+
+    const remaining = Object.fromEntries(
+      Object.entries(dependencies).filter(([dependency]) => !disabled.includes(dependency))
+    );
+    services[name] = { ...service, depends_on: remaining };
+  }
+
+  return { compose: { ...compose, services }, disabledServices, errors, warnings };
+}
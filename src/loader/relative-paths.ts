@@ -0,0 +1,80 @@
+import * as path from 'path';
+import { DockerComposeFile, Service } from '../types/compose';
+
+/**
+ * Make relative host paths of a model absolute, so they keep pointing at the
+ * right place once merged into a model loaded from another directory
+ */
+export function resolveRelativePaths(compose: DockerComposeFile, projectDirectory: string): DockerComposeFile {
+  const resolve = (value: string) => (isRelativePath(value) ? path.resolve(projectDirectory, value) : value);
+  const resolveBind = (value: string) => (isBindSource(value) ? path.resolve(projectDirectory, value) : value);
+
+  const services: Record<string, Service> = {};
+  for (const [name, service] of Object.entries(compose.services ?? {})) {
+    const resolved: Service = { ...service };
+
+    if (typeof resolved.build === 'string') {
+      resolved.build = resolve(resolved.build);
+    } else if (resolved.build?.context) {
+      resolved.build = { ...resolved.build, context: resolve(resolved.build.context) };
+    }
+
+    if (resolved.env_file) {
+      resolved.env_file = Array.isArray(resolved.env_file)
+        ? resolved.env_file.map(envFile => (typeof envFile === 'string' ? resolve(envFile) : { ...envFile, path: resolve(envFile.path) }))
+        : resolve(resolved.env_file);
+    }
+
+    if (resolved.volumes) {
+      resolved.volumes = resolved.volumes.map(volume => {
+        if (typeof volume === 'string') {
+          const [source, ...rest] = (volume as string).split(':');
+          return [resolveBind(source), ...rest].join(':') as unknown as typeof volume;
+        }
+        return volume.type === 'bind' && volume.source ? { ...volume, source: resolve(volume.source) } : volume;
+      });
+    }
+
+    if (typeof resolved.extends === 'object' && resolved.extends.file) {
+      resolved.extends = { ...resolved.extends, file: resolve(resolved.extends.file) };
+    }
+
+    services[name] = resolved;
+  }
+
+  const resolveFiles = <T extends { file?: string }>(definitions?: Record<string, T>) => {
+    if (!definitions) return definitions;
+    return Object.fromEntries(
+      Object.entries(definitions).map(([name, definition]) => [
+        name,
+        definition?.file ? { ...definition, file: resolve(definition.file) } : definition,
+      ])
+    );
+  };
+
+  return {
+    ...compose,
+    ...(compose.services ? { services } : {}),
+    ...(compose.configs ? { configs: resolveFiles(compose.configs) } : {}),
+    ...(compose.secrets ? { secrets: resolveFiles(compose.secrets) } : {}),
+  };
+}
+
+/**
+ * Whether `filePath` is `directory` or lies inside it
+ */
+export function isWithinDirectory(directory: string, filePath: string): boolean {
+  const relative = path.relative(path.resolve(directory), path.resolve(filePath));
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+function isRelativePath(value: string): boolean {
+  return value !== '' && !path.isAbsolute(value) && !value.startsWith('~') && !/^[a-z][a-z0-9+.-]*:\/\//i.test(value);
+}
+
+/**
+ * Short volume syntax only treats explicit relative paths as bind mounts, anything else is a volume name
+ */
+function isBindSource(value: string): boolean {
+  return value === '.' || value === '..' || value.startsWith('./') || value.startsWith('../');
+}
@@ -0,0 +1,197 @@
+import type { EventType, State } from 'js-yaml';
+
+/**
+ * 1-based position of a node in a YAML document
+ */
+export interface SourcePosition {
+  line: number;
+  column: number;
+}
+
+/**
+ * Positions of every node of a YAML document, keyed by JSON path
+ * (`services.web.ports[2]`, `services.web.labels["traefik.enable"]`)
+ */
+export type SourceMap = Map<string, SourcePosition>;
+
+/**
+ * A parsed document together with the file it was read from
+ */
+export interface SourceDocument {
+  file?: string;
+  sourceMap: SourceMap;
+}
+
+export interface SourceLocation extends SourcePosition {
+  file?: string;
+}
+
+interface NodeFrame {
+  start: number;
+  kind: string | null;
+  result: unknown;
+  children: NodeFrame[];
+}
+
+const PLAIN_KEY = /^[A-Za-z0-9_-]+$/;
+const LAST_SEGMENT = /(?:\.[A-Za-z0-9_-]+|\[\d+\]|\["(?:[^"\\]|\\.)*"\])$/;
+
+/**
+ * Append a mapping key or sequence index to a JSON path
+ */
+export function joinPath(path: string, segment: string | number): string {
+  if (typeof segment === 'number') {
+    return `${path}[${segment}]`;
+  }
+  if (!PLAIN_KEY.test(segment)) {
+    return `${path}[${JSON.stringify(segment)}]`;
+  }
+  return path ? `${path}.${segment}` : segment;
+}
+
+/**
+ * Build a JSON path from its segments
+ */
+export function formatPath(segments: readonly (string | number)[]): string {
+  return segments.reduce<string>((path, segment) => joinPath(path, segment), '');
+}
+
+/**
+ * Path of the parent node, or undefined for a top-level key
+ */
+export function parentPath(path: string): string | undefined {
+  const parent = path.replace(LAST_SEGMENT, '');
+  return parent === path || parent === '' ? undefined : parent;
+}
+
+/**
+ * Records the node tree js-yaml reports through its `listener` option and turns
+ * it into a `SourceMap` once the document is loaded.
+ */
+export class SourceMapBuilder {
+  private readonly root: NodeFrame = { start: 0, kind: null, result: null, children: [] };
+  private readonly stack: NodeFrame[] = [this.root];
+  private lineStarts: number[] = [];
+
+  constructor(private readonly content: string) {}
+
+  readonly listener = (eventType: EventType, state: State): void => {
+    if (eventType === 'open') {
+      const frame: NodeFrame = { start: state.position, kind: null, result: null, children: [] };
+      this.stack[this.stack.length - 1]?.children.push(frame);
+      this.stack.push(frame);
+    } else {
+      const frame = this.stack.pop();
+      if (frame) {
+        frame.kind = state.kind;
+        frame.result = state.result;
+      }
+    }
+  };
+
+  build(): SourceMap {
+    const sourceMap: SourceMap = new Map();
+    this.lineStarts = [0];
+    for (let index = 0; index < this.content.length; index++) {
+      if (this.content[index] === '\n') this.lineStarts.push(index + 1);
+    }
+
+    const document = this.root.children[0];
+    if (document) {
+      this.visit(document, '', sourceMap);
+    }
+    return sourceMap;
+  }
+
+  private visit(frame: NodeFrame, path: string, sourceMap: SourceMap): void {
+    if (path && !sourceMap.has(path)) {
+      sourceMap.set(path, this.position(frame.start));
+    }
+
+    if (frame.kind === 'sequence') {
+      frame.children.forEach((child, index) => this.visit(child, joinPath(path, index), sourceMap));
+    } else if (frame.kind === 'mapping') {
+      for (let index = 0; index + 1 < frame.children.length; index += 2) {
+        const keyFrame = frame.children[index];
+        const valueFrame = frame.children[index + 1];
+        if (!keyFrame || !valueFrame) continue;
+
+        const key = String(keyFrame.result);
+        if (key === '<<' && valueFrame.kind === 'mapping') {
+          // Merge keys contribute their entries to the enclosing mapping
+          this.visit({ ...valueFrame, start: frame.start }, path, sourceMap);
+          continue;
+        }
+
+        const childPath = joinPath(path, key);
+        sourceMap.set(childPath, this.position(keyFrame.start));
+        this.visit(valueFrame, childPath, sourceMap);
+      }
+    }
+  }
+
+  /**
+   * Position of the first token at or after `offset`, skipping whitespace and comments
+   */
+  private position(offset: number): SourcePosition {
+    let index = offset;
+    while (index < this.content.length) {
+      const char = this.content[index];
+      if (char === '#') {
+        while (index < this.content.length && this.content[index] !== '\n') index++;
+      } else if (char === ' ' || char === '\t' || char === '\n' || char === '\r') {
+        index++;
+      } else {
+        break;
+      }
+    }
+
+    let low = 0;
+    let high = this.lineStarts.length - 1;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if ((this.lineStarts[middle] ?? 0) <= index) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+
+    return { line: low + 1, column: index - (this.lineStarts[low] ?? 0) + 1 };
+  }
+}
+
+/**
+ * Find where a JSON path of the merged model is written. Later documents win,
+ * since their values override earlier ones; when the exact node is not found
+ * (e.g. it was added by a default) the closest written ancestor is used, as
+ * long as it is below the top-level section.
+ */
+export function findSourceLocation(
+  path: string,
+  documents: readonly SourceDocument[],
+  file?: string
+): SourceLocation | undefined {
+  const candidates = documents.filter(document => file === undefined || document.file === file);
+  const minimumDepth = Math.min(2, pathDepth(path));
+
+  for (let current: string | undefined = path; current && pathDepth(current) >= minimumDepth; current = parentPath(current)) {
+    for (let index = candidates.length - 1; index >= 0; index--) {
+      const document = candidates[index];
+      const position = document?.sourceMap.get(current);
+      if (document && position) {
+        return { file: document.file, ...position };
+      }
+    }
+  }
+
+  return undefined;
+}
+
+function pathDepth(path: string): number {
+  let depth = 0;
+  for (let current: string | undefined = path; current; current = parentPath(current)) {
+    depth++;
+  }
+  return depth;
+}
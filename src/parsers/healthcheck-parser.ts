@@ -0,0 +1,283 @@
+import { HealthCheck } from '../types/compose';
+
+/**
+ * A healthcheck test recognised as a plain network probe
+ */
+export type HealthcheckProbe =
+  | {
+      type: 'http';
+      port: number;
+      path: string;
+      protocol: 'http' | 'https';
+      /**
+       * Statuses the test passes on: `success` fails on error statuses (`curl -f`,
+       * wget), `any` passes on every response (curl without `-f`)
+       */
+      expectedStatus: 'success' | 'any';
+      method?: string;
+      headers?: Record<string, string[]>;
+      body?: string;
+      tlsSkipVerify?: boolean;
+    }
+  | { type: 'tcp'; port: number }
+  | { type: 'grpc'; port: number; service?: string; tls?: boolean };
+
+/** Hosts that address the container itself */
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '0.0.0.0', '::1', '[::1]', ''];
+
+/** Trailing shell fallbacks that do not change what the probe checks */
+const EXIT_FALLBACK = /^(?:exit\s+1|false)$/;
+
+/**
+ * Recognise curl, wget, nc, grpc_health_probe and pg_isready tests against the
+ * container itself. Anything else (pipes, other hosts, unknown options) returns
+ * undefined so the caller can fall back to a script check.
+ */
+export function parseHealthcheckTest(test: HealthCheck['test']): HealthcheckProbe | undefined {
+  const args = commandArguments(test);
+  if (!args || args.length === 0) return undefined;
+
+  const [command = '', ...options] = args;
+  switch (command.split('/').pop()) {
+    case 'curl':
+      return parseCurl(options);
+    case 'wget':
+      return parseWget(options);
+    case 'nc':
+    case 'ncat':
+    case 'netcat':
+      return parseNetcat(options);
+    case 'grpc_health_probe':
+      return parseGrpcHealthProbe(options);
+    case 'pg_isready':
+      return parsePgIsReady(options);
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * The argument vector of a test, or undefined when a shell test does more than run one command
+ */
+function commandArguments(test: HealthCheck['test']): string[] | undefined {
+  if (Array.isArray(test)) {
+    if (test[0] === 'CMD') return test.slice(1);
+    if (test[0] !== 'CMD-SHELL') return undefined;
+    test = test.slice(1).join(' ');
+  }
+  if (typeof test !== 'string') return undefined;
+
+  const tokens = splitShellWords(test);
+  if (!tokens) return undefined;
+
+  // Allow a single `|| exit 1` style fallback, nothing else
+  const operator = tokens.findIndex(token => ['||', '&&', '|', ';', '>', '<', '&'].includes(token));
+  if (operator === -1) return tokens;
+  if (tokens[operator] !== '||' || !EXIT_FALLBACK.test(tokens.slice(operator + 1).join(' '))) return undefined;
+  return tokens.slice(0, operator);
+}
+
+/**
+ * Split a shell command into words, honouring quotes. Returns undefined for
+ * substitutions and variables, whose value is unknown at conversion time.
+ */
+function splitShellWords(command: string): string[] | undefined {
+  command = command.trim();
+  if (/[$`]/.test(command)) return undefined;
+
+  const words: string[] = [];
+  const pattern = /\s*(?:(\|\||&&|[|;&<>])|((?:[^\s'"|;&<>]|'[^']*'|"(?:[^"\\]|\\.)*")+))/gy;
+  let match: RegExpExecArray | null;
+  while ((match = pattern.exec(command)) !== null) {
+    if (match[1]) {
+      words.push(match[1]);
+    } else if (match[2]) {
+      words.push(match[2].replace(/'([^']*)'|"((?:[^"\\]|\\.)*)"/g, (_, single?: string, double?: string) =>
+        single ?? (double ?? '').replace(/\\(.)/g, '$1')
+      ));
+    }
+    if (pattern.lastIndex === command.length) return words;
+  }
+
+  return command === '' ? words : undefined;
+}
+
+/**
+ * Split options into flags and positional arguments. `valued` lists the options
+ * taking a value; `--opt=value` and attached short values (`-XPOST`) are supported.
+ * Returns undefined on options outside `known`.
+ */
+function parseOptions(
+  args: string[],
+  valued: string[],
+  known: string[]
+): { flags: Map<string, string[]>; positional: string[] } | undefined {
+  const flags = new Map<string, string[]>();
+  const positional: string[] = [];
+  const add = (name: string, value = '') => flags.set(name, [...(flags.get(name) || []), value]);
+
+  for (let index = 0; index < args.length; index++) {
+    const arg = args[index] ?? '';
+
+    if (arg.startsWith('--')) {
+      const [name = '', value] = arg.split(/=(.*)/s, 2);
+      if (!known.includes(name) && !valued.includes(name)) return undefined;
+      add(name, value ?? (valued.includes(name) ? args[++index] ?? '' : ''));
+    } else if (known.includes(arg)) {
+      add(arg);
+    } else if (arg.startsWith('-') && arg.length > 1) {
+      // Bundled short flags (`-fsS`), the last of which may take a value
+      for (let position = 1; position < arg.length; position++) {
+        const name = `-${arg[position]}`;
+        if (valued.includes(name)) {
+          const rest = arg.slice(position + 1).replace(/^=/, '');
+          add(name, rest !== '' ? rest : args[++index] ?? '');
+          break;
+        }
+        if (!known.includes(name)) return undefined;
+        add(name);
+      }
+    } else {
+      positional.push(arg);
+    }
+  }
+
+  return { flags, positional };
+}
+
+function parseCurl(args: string[]): HealthcheckProbe | undefined {
+  const parsed = parseOptions(
+    args,
+    ['-X', '--request', '-H', '--header', '-o', '--output', '-m', '--max-time', '--connect-timeout', '-w', '--write-out', '-d', '--data', '--data-raw', '--retry', '-A', '--user-agent'],
+    ['-f', '--fail', '-s', '--silent', '-S', '--show-error', '-k', '--insecure', '-I', '--head', '-L', '--location', '-q', '--fail-with-body', '-v', '--verbose', '-4', '-6']
+  );
+  if (!parsed || parsed.positional.length !== 1) return undefined;
+  const { flags, positional } = parsed;
+
+  const url = parseLocalUrl(positional[0] ?? '');
+  if (!url) return undefined;
+
+  const headers = parseHeaders([...(flags.get('-H') || []), ...(flags.get('--header') || [])]);
+
+  const body = flags.get('-d')?.[0] ?? flags.get('--data')?.[0] ?? flags.get('--data-raw')?.[0];
+  const method =
+    flags.get('-X')?.[0] ?? flags.get('--request')?.[0] ?? (flags.has('-I') || flags.has('--head') ? 'HEAD' : body !== undefined ? 'POST' : undefined);
+
+  const fail = flags.has('-f') || flags.has('--fail') || flags.has('--fail-with-body');
+
+  return {
+    ...url,
+    expectedStatus: fail ? 'success' : 'any',
+    ...(method ? { method: method.toUpperCase() } : {}),
+    ...(Object.keys(headers).length > 0 ? { headers } : {}),
+    ...(body !== undefined ? { body } : {}),
+    ...(flags.has('-k') || flags.has('--insecure') ? { tlsSkipVerify: true } : {}),
+  };
+}
+
+function parseWget(args: string[]): HealthcheckProbe | undefined {
+  const parsed = parseOptions(
+    args,
+    ['-O', '--output-document', '-T', '--timeout', '-t', '--tries', '--header', '-U', '--user-agent', '--post-data', '--method', '--body-data'],
+    ['-q', '--quiet', '--spider', '-S', '--server-response', '--no-verbose', '-nv', '--no-check-certificate', '-4', '-6']
+  );
+  if (!parsed || parsed.positional.length !== 1) return undefined;
+  const { flags, positional } = parsed;
+
+  const url = parseLocalUrl(positional[0] ?? '');
+  if (!url) return undefined;
+
+  const headers = parseHeaders(flags.get('--header') || []);
+
+  const body = flags.get('--post-data')?.[0] ?? flags.get('--body-data')?.[0];
+  const method = flags.get('--method')?.[0] ?? (body !== undefined ? 'POST' : undefined);
+
+  // wget exits non-zero on error statuses
+  return {
+    ...url,
+    expectedStatus: 'success',
+    ...(method ? { method: method.toUpperCase() } : {}),
+    ...(Object.keys(headers).length > 0 ? { headers } : {}),
+    ...(body !== undefined ? { body } : {}),
+    ...(flags.has('--no-check-certificate') ? { tlsSkipVerify: true } : {}),
+  };
+}
+
+function parseNetcat(args: string[]): HealthcheckProbe | undefined {
+  const parsed = parseOptions(args, ['-w', '-i'], ['-z', '-v', '-n', '-4', '-6']);
+  if (!parsed?.flags.has('-z') || parsed.positional.length !== 2) return undefined;
+
+  const [host = '', port = ''] = parsed.positional;
+  const number = parsePort(port);
+  return LOCAL_HOSTS.includes(host) && number ? { type: 'tcp', port: number } : undefined;
+}
+
+function parseGrpcHealthProbe(args: string[]): HealthcheckProbe | undefined {
+  // grpc_health_probe only has long options, spelt with a single dash
+  const normalized = args.map(arg => (/^-[a-z]{2,}/.test(arg) ? `-${arg}` : arg));
+  const parsed = parseOptions(
+    normalized,
+    ['--addr', '--service', '--connect-timeout', '--rpc-timeout', '--tls-ca-cert', '--tls-server-name', '--user-agent'],
+    ['--tls', '--tls-no-verify', '--v']
+  );
+  const address = parsed?.flags.get('--addr')?.[0];
+  if (!parsed || !address || parsed.positional.length > 0) return undefined;
+
+  const separator = address.lastIndexOf(':');
+  const port = parsePort(address.slice(separator + 1));
+  if (separator === -1 || !port || !LOCAL_HOSTS.includes(address.slice(0, separator))) return undefined;
+
+  const service = parsed.flags.get('--service')?.[0];
+  return { type: 'grpc', port, ...(service ? { service } : {}), ...(parsed.flags.has('--tls') ? { tls: true } : {}) };
+}
+
+function parsePgIsReady(args: string[]): HealthcheckProbe | undefined {
+  const parsed = parseOptions(
+    args,
+    ['-h', '--host', '-p', '--port', '-U', '--username', '-d', '--dbname', '-t', '--timeout'],
+    ['-q', '--quiet']
+  );
+  if (!parsed || parsed.positional.length > 0) return undefined;
+
+  const host = parsed.flags.get('-h')?.[0] ?? parsed.flags.get('--host')?.[0] ?? 'localhost';
+  const port = parsePort(parsed.flags.get('-p')?.[0] ?? parsed.flags.get('--port')?.[0] ?? '5432');
+  return LOCAL_HOSTS.includes(host) && port ? { type: 'tcp', port } : undefined;
+}
+
+function parseLocalUrl(value: string): Omit<Extract<HealthcheckProbe, { type: 'http' }>, 'expectedStatus'> | undefined {
+  let url: URL;
+  try {
+    url = new URL(/^[a-z]+:\/\//i.test(value) ? value : `http://${value}`);
+  } catch {
+    return undefined;
+  }
+
+  if (!['http:', 'https:'].includes(url.protocol) || !LOCAL_HOSTS.includes(url.hostname) || url.username) {
+    return undefined;
+  }
+
+  const protocol = url.protocol === 'https:' ? 'https' : 'http';
+  return {
+    type: 'http',
+    port: url.port ? Number(url.port) : protocol === 'https' ? 443 : 80,
+    path: `${url.pathname}${url.search}`,
+    protocol,
+  };
+}
+
+/**
+ * Group `Name: value` header options by name
+ */
+function parseHeaders(values: string[]): Record<string, string[]> {
+  const headers: Record<string, string[]> = {};
+  for (const header of values) {
+    const [name = '', value = ''] = header.split(/:(.*)/s, 2);
+    headers[name.trim()] = [...(headers[name.trim()] || []), value.trim()];
+  }
+  return headers;
+}
+
+function parsePort(value: string): number | undefined {
+  const port = Number(value);
+  return Number.isInteger(port) && port > 0 && port <= 65535 ? port : undefined;
+}
@@ -0,0 +1,160 @@
+import { Port as ComposePort } from '../types/compose';
+
+/**
+ * A single container port after range expansion
+ */
+export interface PortMapping {
+  /** Port inside the container */
+  target: number;
+  /** Port published on the host; undefined for unpublished or ephemeral host ports */
+  published?: number;
+  hostIp?: string;
+  protocol: string;
+  mode?: string;
+  name?: string;
+  appProtocol?: string;
+}
+
+export interface ParsedPortSpec {
+  mappings: PortMapping[];
+  /** Parts of the spec that were accepted but cannot be represented exactly */
+  warnings: string[];
+}
+
+/**
+ * Thrown when a port spec cannot be parsed
+ */
+export class PortSpecError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'PortSpecError';
+  }
+}
+
+interface PortRange {
+  start: number;
+  end: number;
+}
+
+const PROTOCOLS = ['tcp', 'udp', 'sctp'];
+
+/**
+ * Parse a Compose port in short (`[[HOST_IP:]HOST_PORT[-END]:]CONTAINER_PORT[-END][/PROTOCOL]`),
+ * numeric or long syntax. Ranges are expanded into one mapping per port.
+ */
+export function parsePortSpec(spec: string | number | ComposePort): ParsedPortSpec {
+  if (typeof spec === 'number') {
+    return expand(undefined, parseRange(String(spec)), { protocol: 'tcp' });
+  }
+
+  if (typeof spec === 'object' && spec !== null) {
+    if (spec.target === undefined) {
+      throw new PortSpecError('long syntax port is missing "target"');
+    }
+    const published = spec.published !== undefined && spec.published !== '' ? parseRange(String(spec.published)) : undefined;
+    return expand(published, parseRange(String(spec.target)), {
+      hostIp: spec.host_ip || undefined,
+      protocol: parseProtocol(spec.protocol ?? 'tcp'),
+      mode: spec.mode,
+      name: spec.name,
+      appProtocol: spec.app_protocol,
+    });
+  }
+
+  let rest = String(spec).trim();
+  let protocol = 'tcp';
+  const slash = rest.lastIndexOf('/');
+  if (slash !== -1) {
+    protocol = parseProtocol(rest.slice(slash + 1));
+    rest = rest.slice(0, slash);
+  }
+
+  let hostIp: string | undefined;
+  const bracketed = /^\[([^\]]*)\]:(.*)$/.exec(rest);
+  if (bracketed) {
+    hostIp = bracketed[1];
+    rest = bracketed[2] ?? '';
+  }
+
+  const parts = rest.split(':');
+  const container = parts.pop() ?? '';
+  const host = parts.pop();
+  if (parts.length > 0) {
+    // Whatever precedes HOST_PORT is the host IP (possibly an unbracketed IPv6 address)
+    hostIp = parts.join(':');
+  }
+
+  if (container === '') {
+    throw new PortSpecError(`missing container port in '${String(spec)}'`);
+  }
+
+  const published = host !== undefined && host !== '' ? parseRange(host) : undefined;
+  return expand(published, parseRange(container), { hostIp: hostIp || undefined, protocol });
+}
+
+/**
+ * Pair host and container port ranges into single port mappings
+ */
+function expand(
+  published: PortRange | undefined,
+  target: PortRange,
+  attributes: Omit<PortMapping, 'target' | 'published'>
+): ParsedPortSpec {
+  const warnings: string[] = [];
+  const mappings: PortMapping[] = [];
+  const targetCount = target.end - target.start + 1;
+
+  if (published) {
+    const publishedCount = published.end - published.start + 1;
+    if (targetCount === 1 && publishedCount > 1) {
+      warnings.push(
+        `host port range ${published.start}-${published.end} cannot be allocated from in Nomad - using static port ${published.start}`
+      );
+      published = { start: published.start, end: published.start };
+    } else if (publishedCount !== targetCount) {
+      throw new PortSpecError(
+        `host port range ${published.start}-${published.end} and container port range ${target.start}-${target.end} differ in size`
+      );
+    }
+  }
+
+  for (let offset = 0; offset < targetCount; offset++) {
+    mappings.push({
+      ...attributes,
+      target: target.start + offset,
+      published: published ? published.start + offset : undefined,
+    });
+  }
+
+  return { mappings, warnings };
+}
+
+function parseRange(value: string): PortRange {
+  const match = /^(\d+)(?:-(\d+))?$/.exec(value.trim());
+  if (!match) {
+    throw new PortSpecError(`invalid port '${value}'`);
+  }
+
+  const start = parsePortNumber(match[1] ?? '');
+  const end = match[2] !== undefined ? parsePortNumber(match[2]) : start;
+  if (end < start) {
+    throw new PortSpecError(`invalid port range '${value}'`);
+  }
+  return { start, end };
+}
+
+function parsePortNumber(value: string): number {
+  const port = Number(value);
+  if (!Number.isInteger(port) || port < 1 || port > 65535) {
+    throw new PortSpecError(`port ${value} is out of range (1-65535)`);
+  }
+  return port;
+}
+
+function parseProtocol(value: string): string {
+  const protocol = value.toLowerCase();
+  if (!PROTOCOLS.includes(protocol)) {
+    throw new PortSpecError(`unknown protocol '${value}'`);
+  }
+  return protocol;
+}
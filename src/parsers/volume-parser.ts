@@ -0,0 +1,112 @@
+import { Volume as ComposeVolume } from '../types/compose';
+
+/**
+ * Thrown when a service volume spec cannot be parsed
+ */
+export class VolumeSpecError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'VolumeSpecError';
+  }
+}
+
+const PROPAGATION_MODES = ['rprivate', 'private', 'rshared', 'shared', 'rslave', 'slave'];
+
+/**
+ * Normalize a service volume in short (`[SOURCE:]TARGET[:MODE]`) or long syntax to
+ * the long syntax, with `type` always set. Short syntax sources that are paths
+ * (`/`, `.`, `~` or a Windows drive) are bind mounts, anything else is a volume name.
+ */
+export function parseVolumeSpec(spec: string | ComposeVolume): ComposeVolume {
+  if (typeof spec === 'object' && spec !== null) {
+    if (!spec.target) {
+      throw new VolumeSpecError('long syntax volume is missing "target"');
+    }
+    return { ...spec, type: spec.type ?? (spec.source && isPath(spec.source) ? 'bind' : 'volume') };
+  }
+
+  const parts = splitShortSyntax(String(spec));
+  if (parts.some(part => part === '') || parts.length > 3) {
+    throw new VolumeSpecError(`invalid volume '${String(spec)}'`);
+  }
+
+  if (parts.length === 1) {
+    // Only a container path: an anonymous volume
+    return { type: 'volume', target: parts[0] };
+  }
+
+  const [source = '', target = '', mode] = parts;
+  const volume: ComposeVolume = { type: isPath(source) ? 'bind' : 'volume', source, target };
+
+  for (const option of mode ? mode.split(',') : []) {
+    if (option === 'ro' || option === 'rw') {
+      volume.read_only = option === 'ro';
+    } else if (option === 'z' || option === 'Z') {
+      volume.bind = { ...volume.bind, selinux: option };
+    } else if (option === 'nocopy') {
+      volume.volume = { nocopy: true };
+    } else if (PROPAGATION_MODES.includes(option)) {
+      volume.bind = { ...volume.bind, propagation: option as NonNullable<ComposeVolume['bind']>['propagation'] };
+    } else if (!['cached', 'delegated', 'consistent'].includes(option)) {
+      throw new VolumeSpecError(`unknown volume mode '${option}' in '${String(spec)}'`);
+    }
+  }
+
+  return volume;
+}
+
+/**
+ * Parse a service `tmpfs` entry (`/path[:size=64m,mode=1777]`) into a tmpfs volume
+ */
+export function parseTmpfsSpec(spec: string): ComposeVolume {
+  const [target = '', options] = spec.split(':', 2);
+  const volume: ComposeVolume = { type: 'tmpfs', target };
+
+  for (const option of options ? options.split(',') : []) {
+    const [key, value = ''] = option.split('=', 2);
+    if (key === 'size') {
+      volume.tmpfs = { ...volume.tmpfs, size: value };
+    } else if (key === 'mode') {
+      volume.tmpfs = { ...volume.tmpfs, mode: parseInt(value, 8) };
+    }
+  }
+
+  return volume;
+}
+
+/**
+ * Convert a Compose byte value (`64m`, `1gb`, `1024`) to bytes
+ */
+export function parseByteSize(value: string | number): number {
+  if (typeof value === 'number') {
+    return value;
+  }
+
+  const match = /^(\d+(?:\.\d+)?)\s*([kmg]?)b?$/.exec(value.trim().toLowerCase());
+  if (!match) {
+    throw new VolumeSpecError(`invalid size '${value}'`);
+  }
+
+  const units: Record<string, number> = { '': 1, k: 1024, m: 1024 ** 2, g: 1024 ** 3 };
+  return Math.round(parseFloat(match[1] ?? '0') * (units[match[2] ?? ''] ?? 1));
+}
+
+function isPath(source: string): boolean {
+  return /^(?:[./~]|[A-Za-z]:[\\/]|\\\\)/.test(source);
+}
+
+/**
+ * Split short syntax on `:`, keeping Windows drive letters (`C:\data`) with their path
+ */
+function splitShortSyntax(spec: string): string[] {
+  const parts: string[] = [];
+  for (const part of spec.split(':')) {
+    const previous = parts[parts.length - 1];
+    if (previous !== undefined && /^[A-Za-z]$/.test(previous) && /^[\\/]/.test(part)) {
+      parts[parts.length - 1] = `${previous}:${part}`;
+    } else {
+      parts.push(part);
+    }
+  }
+  return parts;
+}
@@ -1,3 +1,5 @@
+import { AccessMode, AttachmentMode } from './nomad';
+
 /**
  * Complete Docker Compose specification types
  * Based on compose-spec v1.20.0+
@@ -11,8 +13,30 @@ export interface DockerComposeFile {
   volumes?: Record<string, Volume>;
   configs?: Record<string, Config>;
   secrets?: Record<string, Secret>;
-  include?: Include[];
+  include?: (string | Include)[];
   x?: Record<string, any>; // Extension fields
+  'x-nomad'?: NomadProjectExtension;
+}
+
+/**
+ * Top-level `x-nomad` settings of a compose file
+ */
+export interface NomadProjectExtension {
+  /** Credentials of private registries, selected by the longest registry prefix of an image */
+  registry_auth?: RegistryAuthExtension[];
+}
+
+export interface RegistryAuthExtension {
+  registry: string;
+  /** Vault or Nomad Variables path of the credentials */
+  path: string;
+  backend?: 'vault-kv2' | 'vault-kv1' | 'nomad-variables';
+  username_key?: string;
+  password_key?: string;
+  soft_fail?: boolean;
+  /** Plaintext credentials are rejected, these are only declared to report them */
+  username?: string;
+  password?: string;
 }
 
 export interface Service {
@@ -26,23 +50,28 @@ export interface Service {
   command?: string | string[];
   entrypoint?: string | string[];
   environment?: Environment;
-  env_file?: string | string[];
+  env_file?: string | (string | EnvFile)[];
   working_dir?: string;
   user?: string;
+  init?: boolean;
+  pull_policy?: string;
   
   // Networking
-  ports?: Port[];
-  expose?: string[];
+  ports?: (string | number | Port)[];
+  expose?: (string | number)[];
   networks?: Networks;
   links?: string[];
   dns?: string | string[];
   dns_search?: string | string[];
   dns_opt?: string[];
   extra_hosts?: string[] | Record<string, string>;
+  mac_address?: string;
   
   // Volumes and storage
   volumes?: Volume[];
+  volumes_from?: string[];
   tmpfs?: string | string[];
+  storage_opt?: Record<string, string>;
   
   // Resources
   deploy?: Deploy;
@@ -66,8 +95,11 @@ export interface Service {
   cap_add?: string[];
   cap_drop?: string[];
   cgroup_parent?: string;
+  group_add?: (string | number)[];
+  userns_mode?: string;
   devices?: Device[];
   device_cgroup_rules?: string[];
+  gpus?: 'all' | DeviceRequest[];
   security_opt?: string[];
   privileged?: boolean;
   read_only?: boolean;
@@ -91,7 +123,7 @@ export interface Service {
   // Advanced features
   configs?: ConfigRef[];
   secrets?: SecretRef[];
-  sysctls?: Record<string, string | number>;
+  sysctls?: Record<string, string | number> | string[];
   ulimits?: Ulimits;
   profiles?: string[];
   platform?: string;
@@ -99,20 +131,34 @@ export interface Service {
   
   // Legacy/compatibility
   pid?: string;
+  ipc?: string;
   network_mode?: string;
   
   // Legacy/compatibility
-  extends?: Extends;
+  extends?: Extends | string;
   external_links?: string[];
   
   // Extension fields
   x?: Record<string, any>;
+  'x-nomad'?: NomadServiceExtension;
+}
+
+/**
+ * `x-nomad` settings of a service
+ */
+export interface NomadServiceExtension {
+  /** Task group to place the service in with the `auto` grouping strategy */
+  group?: string;
+  /** Run the service as a periodic job on this Nomad cron schedule */
+  cron?: string;
+  /** Nomad node class to run the service on, whose CPU profile sizes its `cpu` */
+  node_class?: string;
 }
 
 export interface Build {
   context?: string;
   dockerfile?: string;
-  args?: Record<string, string>;
+  args?: Record<string, string | null> | string[];
   ssh?: string | string[] | Record<string, string>;
   cache_from?: string[];
   cache_to?: string[];
@@ -140,13 +186,20 @@ export interface BuildSecret {
   mode?: number;
 }
 
+export interface EnvFile {
+  path: string;
+  required?: boolean;
+  format?: string;
+}
+
 export type Environment = Record<string, string | number | boolean | null> | string[];
 
 export interface Port {
+  name?: string;
   mode?: 'host' | 'ingress';
-  target?: number;
+  target?: number | string;
   published?: string | number;
-  protocol?: 'tcp' | 'udp';
+  protocol?: 'tcp' | 'udp' | 'sctp';
   app_protocol?: string;
   host_ip?: string;
 }
@@ -274,14 +327,15 @@ export interface DeviceRequest {
   driver?: string;
   count?: number | 'all';
   device_ids?: string[];
-  capabilities?: string[][];
+  /** A flat list in the Compose Specification, a list of alternatives in the Docker API */
+  capabilities?: (string | string[])[];
   options?: Record<string, string>;
 }
 
 export interface GenericResource {
   discrete_resource_spec?: {
     kind?: string;
-    value?: number;
+    value?: number | string;
   };
 }
 
@@ -370,6 +424,22 @@ export interface Volume {
   external?: boolean | ExternalVolume;
   labels?: Labels;
   name?: string;
+  'x-nomad'?: NomadVolumeExtension;
+}
+
+/**
+ * `x-nomad` settings of a top-level volume, overriding what is inferred from its driver
+ */
+export interface NomadVolumeExtension {
+  /** `host` volume, `csi` volume or a docker driver `volume` mount */
+  type?: 'host' | 'csi' | 'docker';
+  /** Name of the host or CSI volume, defaults to the volume's `name` */
+  source?: string;
+  access_mode?: AccessMode;
+  attachment_mode?: AttachmentMode;
+  fs_type?: string;
+  mount_flags?: string[];
+  per_alloc?: boolean;
 }
 
 export interface ExternalVolume {
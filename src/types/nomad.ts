@@ -69,6 +69,7 @@ export interface TaskGroup {
   migrate?: Migrate;
   reschedule?: Reschedule;
   restart?: Restart;
+  update?: Update;
   
   // Storage
   volume?: Record<string, Volume>;
@@ -122,6 +123,9 @@ export interface Task {
   
   // Vault
   vault?: Vault;
+
+  // Workload identity
+  identity?: Identity;
   
   // Logs
   logs?: Logs;
@@ -269,6 +273,9 @@ export interface Check {
   header?: Record<string, string[]>;
   method?: string;
   body?: string;
+  grpc_service?: string;
+  grpc_use_tls?: boolean;
+  check_restart?: CheckRestart;
   success_before_passing?: number;
   failures_before_critical?: number;
   failures_before_warning?: number;
@@ -395,6 +402,8 @@ export interface SidecarTask {
 
 export interface Resources {
   cpu?: number;
+  /** Whole CPU cores reserved for the task's exclusive use, instead of `cpu` */
+  cores?: number;
   memory?: number;
   memory_max?: number;
   disk?: number;
@@ -428,6 +437,7 @@ export interface Template {
   perms?: string;
   left_delimiter?: string;
   right_delimiter?: string;
+  env?: boolean;
   env_var?: boolean;
   vault_grace?: string;
   error_on_missing_key?: boolean;
@@ -444,6 +454,13 @@ export interface Vault {
   change_signal?: string;
 }
 
+export interface Identity {
+  name?: string;
+  aud?: string[];
+  env?: boolean;
+  file?: boolean;
+}
+
 export interface Logs {
   max_files?: number;
   max_file_size?: number;
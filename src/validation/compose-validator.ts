@@ -1,168 +1,83 @@
-import Joi from 'joi';
 import { DockerComposeFile } from '../types/compose';
+import { formatPath } from '../loader/source-map';
+import { PortSpecError, parsePortSpec } from '../parsers/port-parser';
+import { VolumeSpecError, parseVolumeSpec } from '../parsers/volume-parser';
+import { Diagnostic, DiagnosticCollector } from './diagnostics';
+import { JSONSchema, validateSchema } from './schema-validator';
+import composeSpecSchema from './compose-spec.json';
+
+/**
+ * Bundled copy of the official Compose Specification schema
+ * (https://github.com/compose-spec/compose-spec/blob/main/schema/compose-spec.json)
+ */
+const COMPOSE_SPEC_SCHEMA = composeSpecSchema as JSONSchema;
 
 export interface ValidationResult {
   isValid: boolean;
   errors: string[];
   warnings: string[];
+  /** The errors and warnings with the JSON path they refer to */
+  diagnostics: Diagnostic[];
 }
 
 /**
- * Validate Docker Compose file structure and content
+ * Validate Docker Compose file structure against the Compose Specification schema,
+ * then check for configurations that do not translate well to Nomad
  */
 export function validateComposeFile(compose: DockerComposeFile): ValidationResult {
-  const errors: string[] = [];
-  const warnings: string[] = [];
+  const diagnostics = new DiagnosticCollector();
 
   try {
-    // Basic structure validation
-    const { error } = composeSchema.validate(compose, { 
-      allowUnknown: true,
-      abortEarly: false,
+    // Structure validation; the legacy `x` extension key is not part of the spec
+    const specCompose: DockerComposeFile = { ...compose };
+    delete specCompose.x;
+    validateSchema(specCompose, COMPOSE_SPEC_SCHEMA).forEach(issue => {
+      diagnostics.error(issue.message, issue.path || undefined);
     });
 
-    if (error) {
-      error.details.forEach(detail => {
-        errors.push(detail.message);
-      });
-    }
-
     // Custom validation logic
-    validateServices(compose, errors, warnings);
-    validateNetworks(compose, errors, warnings);
-    validateVolumes(compose, errors, warnings);
-    validateConfigs(compose, errors, warnings);
-    validateSecrets(compose, errors, warnings);
+    validateServices(compose, diagnostics);
+    validateNetworks(compose, diagnostics);
+    validateVolumes(compose, diagnostics);
+    validateConfigs(compose, diagnostics);
+    validateSecrets(compose, diagnostics);
 
   } catch (err) {
-    errors.push(`Validation error: ${err instanceof Error ? err.message : String(err)}`);
+    diagnostics.error(`Validation error: ${err instanceof Error ? err.message : String(err)}`);
   }
 
+  const errors = diagnostics.errors;
   return {
     isValid: errors.length === 0,
     errors,
-    warnings,
+    warnings: diagnostics.warnings,
+    diagnostics: diagnostics.diagnostics,
   };
 }
 
-/**
- * Joi schema for Docker Compose file validation
- */
-const composeSchema = Joi.object({
-  version: Joi.string().optional(),
-  name: Joi.string().optional(),
-  services: Joi.object().pattern(
-    Joi.string(),
-    Joi.object().unknown(true)
-  ).optional(),
-  networks: Joi.object().optional(),
-  volumes: Joi.object().optional(),
-  configs: Joi.object().optional(),
-  secrets: Joi.object().optional(),
-  include: Joi.array().optional(),
-  x: Joi.object().optional(),
-}).unknown(true);
-
-/**
- * Service validation schema
- */
-const serviceSchema = Joi.object({
-  image: Joi.string().optional(),
-  build: Joi.alternatives().try(
-    Joi.string(),
-    Joi.object({
-      context: Joi.string().optional(),
-      dockerfile: Joi.string().optional(),
-      args: Joi.object().optional(),
-      target: Joi.string().optional(),
-    }).unknown(true)
-  ).optional(),
-  container_name: Joi.string().optional(),
-  hostname: Joi.string().optional(),
-  command: Joi.alternatives().try(
-    Joi.string(),
-    Joi.array().items(Joi.string())
-  ).optional(),
-  entrypoint: Joi.alternatives().try(
-    Joi.string(),
-    Joi.array().items(Joi.string())
-  ).optional(),
-  environment: Joi.alternatives().try(
-    Joi.object(),
-    Joi.array().items(Joi.string())
-  ).optional(),
-  env_file: Joi.alternatives().try(
-    Joi.string(),
-    Joi.array().items(Joi.string())
-  ).optional(),
-  working_dir: Joi.string().optional(),
-  user: Joi.string().optional(),
-  ports: Joi.array().items(
-    Joi.alternatives().try(
-      Joi.string(),
-      Joi.object({
-        target: Joi.number().optional(),
-        published: Joi.alternatives().try(Joi.string(), Joi.number()).optional(),
-        protocol: Joi.string().valid('tcp', 'udp').optional(),
-        mode: Joi.string().valid('host', 'ingress').optional(),
-      }).unknown(true)
-    )
-  ).optional(),
-  expose: Joi.array().items(Joi.string()).optional(),
-  volumes: Joi.array().optional(),
-  networks: Joi.alternatives().try(
-    Joi.array().items(Joi.string()),
-    Joi.object()
-  ).optional(),
-  depends_on: Joi.alternatives().try(
-    Joi.array().items(Joi.string()),
-    Joi.object()
-  ).optional(),
-  restart: Joi.string().valid('no', 'always', 'on-failure', 'unless-stopped').optional(),
-  healthcheck: Joi.object({
-    test: Joi.alternatives().try(
-      Joi.string(),
-      Joi.array().items(Joi.string())
-    ).optional(),
-    interval: Joi.string().optional(),
-    timeout: Joi.string().optional(),
-    retries: Joi.number().optional(),
-    start_period: Joi.string().optional(),
-    disable: Joi.boolean().optional(),
-  }).optional(),
-  deploy: Joi.object().optional(),
-  labels: Joi.alternatives().try(
-    Joi.object(),
-    Joi.array().items(Joi.string())
-  ).optional(),
-  logging: Joi.object({
-    driver: Joi.string().optional(),
-    options: Joi.object().optional(),
-  }).optional(),
-}).unknown(true);
-
 /**
  * Validate services section
  */
-function validateServices(compose: DockerComposeFile, errors: string[], warnings: string[]) {
+function validateServices(compose: DockerComposeFile, diagnostics: DiagnosticCollector) {
   if (!compose.services) {
-    errors.push('No services defined');
+    diagnostics.error('No services defined');
     return;
   }
 
   for (const [serviceName, service] of Object.entries(compose.services)) {
     // Validate service has image or build
     if (!service.image && !service.build) {
-      errors.push(`Service '${serviceName}' must have either 'image' or 'build' specified`);
+      diagnostics.error(`Service '${serviceName}' must have either 'image' or 'build' specified`, formatPath(['services', serviceName]));
     }
 
     // Validate port formats
     if (service.ports) {
       service.ports.forEach((port, index) => {
-        if (typeof port === 'string') {
-          if (!/^\d+(?::\d+)?(?:\/(?:tcp|udp))?$/.test(port)) {
-            warnings.push(`Service '${serviceName}' port ${index} has unusual format: ${port}`);
-          }
+        try {
+          parsePortSpec(port);
+        } catch (error) {
+          if (!(error instanceof PortSpecError)) throw error;
+          diagnostics.error(`Service '${serviceName}' port ${index} is invalid: ${error.message}`, formatPath(['services', serviceName, 'ports', index]));
         }
       });
     }
@@ -170,11 +85,15 @@ function validateServices(compose: DockerComposeFile, errors: string[], warnings
     // Validate volume mounts
     if (service.volumes) {
       service.volumes.forEach((volume, index) => {
-        if (typeof volume === 'string') {
-          const parts = (volume as string).split(':');
-          if (parts.length > 3) {
-            warnings.push(`Service '${serviceName}' volume ${index} has complex format that may not convert properly: ${volume}`);
+        const volumePath = formatPath(['services', serviceName, 'volumes', index]);
+        try {
+          const parsed = parseVolumeSpec(volume);
+          if (parsed.type === 'volume' && parsed.source && !(compose.volumes && parsed.source in compose.volumes)) {
+            diagnostics.error(`Service '${serviceName}' refers to undefined volume '${parsed.source}'`, volumePath);
           }
+        } catch (error) {
+          if (!(error instanceof VolumeSpecError)) throw error;
+          diagnostics.error(`Service '${serviceName}' volume ${index} is invalid: ${error.message}`, volumePath);
         }
       });
     }
@@ -185,9 +104,9 @@ function validateServices(compose: DockerComposeFile, errors: string[], warnings
         ? service.depends_on 
         : Object.keys(service.depends_on);
       
-      dependencies.forEach(dep => {
+      dependencies.forEach((dep, index) => {
         if (!compose.services![dep]) {
-          errors.push(`Service '${serviceName}' depends on undefined service '${dep}'`);
+          diagnostics.error(`Service '${serviceName}' depends on undefined service '${dep}'`, formatPath(['services', serviceName, 'depends_on', Array.isArray(service.depends_on) ? index : dep]));
         }
       });
     }
@@ -198,49 +117,45 @@ function validateServices(compose: DockerComposeFile, errors: string[], warnings
         ? service.networks 
         : Object.keys(service.networks);
       
-      networks.forEach(network => {
+      networks.forEach((network, index) => {
         if (network !== 'default' && !compose.networks?.[network]) {
-          warnings.push(`Service '${serviceName}' references undefined network '${network}'`);
+          diagnostics.warning(`Service '${serviceName}' references undefined network '${network}'`, formatPath(['services', serviceName, 'networks', Array.isArray(service.networks) ? index : network]));
         }
       });
     }
 
     // Validate config references
     if (service.configs) {
-      service.configs.forEach(config => {
+      service.configs.forEach((config, index) => {
         const configName = typeof config === 'string' ? config : config.source;
         if (!compose.configs?.[configName]) {
-          errors.push(`Service '${serviceName}' references undefined config '${configName}'`);
+          diagnostics.error(`Service '${serviceName}' references undefined config '${configName}'`, formatPath(['services', serviceName, 'configs', index]));
         }
       });
     }
 
     // Validate secret references
     if (service.secrets) {
-      service.secrets.forEach(secret => {
+      service.secrets.forEach((secret, index) => {
         const secretName = typeof secret === 'string' ? secret : secret.source;
         if (!compose.secrets?.[secretName]) {
-          errors.push(`Service '${serviceName}' references undefined secret '${secretName}'`);
+          diagnostics.error(`Service '${serviceName}' references undefined secret '${secretName}'`, formatPath(['services', serviceName, 'secrets', index]));
         }
       });
     }
 
     // Check for potentially problematic configurations
     if (service.privileged) {
-      warnings.push(`Service '${serviceName}' uses privileged mode - ensure Nomad client allows this`);
-    }
-
-    if (service.pid === 'host') {
-      warnings.push(`Service '${serviceName}' uses host PID namespace - may not be supported in Nomad`);
+      diagnostics.warning(`Service '${serviceName}' uses privileged mode - ensure Nomad client allows this`, formatPath(['services', serviceName, 'privileged']));
     }
 
     if (service.network_mode === 'host') {
-      warnings.push(`Service '${serviceName}' uses host networking - ensure Nomad configuration supports this`);
+      diagnostics.warning(`Service '${serviceName}' uses host networking - ensure Nomad configuration supports this`, formatPath(['services', serviceName, 'network_mode']));
     }
 
     // Validate resource specifications
     if (service.deploy?.resources) {
-      validateResources(serviceName, service.deploy.resources, errors, warnings);
+      validateResources(serviceName, service.deploy.resources, diagnostics);
     }
   }
 }
@@ -248,17 +163,17 @@ function validateServices(compose: DockerComposeFile, errors: string[], warnings
 /**
  * Validate networks section
  */
-function validateNetworks(compose: DockerComposeFile, errors: string[], warnings: string[]) {
+function validateNetworks(compose: DockerComposeFile, diagnostics: DiagnosticCollector) {
   if (!compose.networks) return;
 
   for (const [networkName, network] of Object.entries(compose.networks)) {
     if (network && typeof network === 'object') {
       if (network.driver && !['bridge', 'host', 'none', 'overlay'].includes(network.driver)) {
-        warnings.push(`Network '${networkName}' uses driver '${network.driver}' which may not be supported`);
+        diagnostics.warning(`Network '${networkName}' uses driver '${network.driver}' which may not be supported`, formatPath(['networks', networkName, 'driver']));
       }
 
       if (network.external) {
-        warnings.push(`Network '${networkName}' is external - ensure it exists in the Nomad environment`);
+        diagnostics.warning(`Network '${networkName}' is external - ensure it exists in the Nomad environment`, formatPath(['networks', networkName, 'external']));
       }
     }
   }
@@ -267,17 +182,17 @@ function validateNetworks(compose: DockerComposeFile, errors: string[], warnings
 /**
  * Validate volumes section
  */
-function validateVolumes(compose: DockerComposeFile, errors: string[], warnings: string[]) {
+function validateVolumes(compose: DockerComposeFile, diagnostics: DiagnosticCollector) {
   if (!compose.volumes) return;
 
   for (const [volumeName, volume] of Object.entries(compose.volumes)) {
     if (volume && typeof volume === 'object') {
       if (volume.driver && volume.driver !== 'local') {
-        warnings.push(`Volume '${volumeName}' uses driver '${volume.driver}' - may need CSI plugin in Nomad`);
+        diagnostics.warning(`Volume '${volumeName}' uses driver '${volume.driver}' - may need CSI plugin in Nomad`, formatPath(['volumes', volumeName, 'driver']));
       }
 
       if (volume.external) {
-        warnings.push(`Volume '${volumeName}' is external - ensure it exists in the Nomad environment`);
+        diagnostics.warning(`Volume '${volumeName}' is external - ensure it exists in the Nomad environment`, formatPath(['volumes', volumeName, 'external']));
       }
     }
   }
@@ -286,17 +201,17 @@ function validateVolumes(compose: DockerComposeFile, errors: string[], warnings:
 /**
  * Validate configs section
  */
-function validateConfigs(compose: DockerComposeFile, errors: string[], warnings: string[]) {
+function validateConfigs(compose: DockerComposeFile, diagnostics: DiagnosticCollector) {
   if (!compose.configs) return;
 
   for (const [configName, config] of Object.entries(compose.configs)) {
     if (config && typeof config === 'object') {
       if (!config.file && !config.content && !config.external) {
-        errors.push(`Config '${configName}' must specify either 'file', 'content', or 'external'`);
+        diagnostics.error(`Config '${configName}' must specify either 'file', 'content', or 'external'`, formatPath(['configs', configName]));
       }
 
       if (config.external) {
-        warnings.push(`Config '${configName}' is external - will be converted to Vault template`);
+        diagnostics.warning(`Config '${configName}' is external - will be converted to Vault template`, formatPath(['configs', configName, 'external']));
       }
     }
   }
@@ -305,17 +220,17 @@ function validateConfigs(compose: DockerComposeFile, errors: string[], warnings:
 /**
  * Validate secrets section
  */
-function validateSecrets(compose: DockerComposeFile, errors: string[], warnings: string[]) {
+function validateSecrets(compose: DockerComposeFile, diagnostics: DiagnosticCollector) {
   if (!compose.secrets) return;
 
   for (const [secretName, secret] of Object.entries(compose.secrets)) {
     if (secret && typeof secret === 'object') {
-      if (!secret.file && !secret.external) {
-        errors.push(`Secret '${secretName}' must specify either 'file' or 'external'`);
+      if (!secret.file && !secret.environment && !secret.external) {
+        diagnostics.error(`Secret '${secretName}' must specify either 'file', 'environment', or 'external'`, formatPath(['secrets', secretName]));
       }
 
       if (secret.external) {
-        warnings.push(`Secret '${secretName}' is external - will be converted to Vault template`);
+        diagnostics.warning(`Secret '${secretName}' is external - will be converted to Vault template`, formatPath(['secrets', secretName, 'external']));
       }
     }
   }
@@ -324,36 +239,27 @@ function validateSecrets(compose: DockerComposeFile, errors: string[], warnings:
 /**
  * Validate resource specifications
  */
-function validateResources(serviceName: string, resources: any, errors: string[], warnings: string[]) {
+function validateResources(serviceName: string, resources: any, diagnostics: DiagnosticCollector) {
   if (resources && typeof resources === 'object') {
     if (resources.limits && typeof resources.limits === 'object') {
       if (resources.limits.cpus) {
         const cpus = parseFloat(resources.limits.cpus);
         if (isNaN(cpus) || cpus <= 0) {
-          errors.push(`Service '${serviceName}' has invalid CPU limit: ${resources.limits.cpus}`);
+          diagnostics.error(`Service '${serviceName}' has invalid CPU limit: ${resources.limits.cpus}`, formatPath(['services', serviceName, 'deploy', 'resources', 'limits', 'cpus']));
         }
       }
 
       if (resources.limits.memory) {
         if (!isValidMemorySpec(resources.limits.memory)) {
-          errors.push(`Service '${serviceName}' has invalid memory limit: ${resources.limits.memory}`);
+          diagnostics.error(`Service '${serviceName}' has invalid memory limit: ${resources.limits.memory}`, formatPath(['services', serviceName, 'deploy', 'resources', 'limits', 'memory']));
         }
       }
 
       if (resources.limits.devices) {
-        warnings.push(`Service '${serviceName}' uses device limits - ensure Nomad supports required devices`);
+        diagnostics.warning(`Service '${serviceName}' uses device limits - ensure Nomad supports required devices`, formatPath(['services', serviceName, 'deploy', 'resources', 'limits', 'devices']));
       }
     }
 
-    if (resources.reservations && typeof resources.reservations === 'object') {
-      if (resources.reservations.devices) {
-        warnings.push(`Service '${serviceName}' uses device reservations - ensure Nomad supports required devices`);
-      }
-
-      if (resources.reservations.generic_resources) {
-        warnings.push(`Service '${serviceName}' uses generic resources - may need custom Nomad configuration`);
-      }
-    }
   }
 }
 
@@ -368,27 +274,28 @@ function isValidMemorySpec(memory: string): boolean {
  * Validate Docker Compose version compatibility
  */
 export function validateComposeVersion(version?: string): ValidationResult {
-  const errors: string[] = [];
-  const warnings: string[] = [];
+  const diagnostics = new DiagnosticCollector();
 
   if (!version) {
-    warnings.push('No version specified - assuming latest');
-    return { isValid: true, errors, warnings };
+    diagnostics.warning('No version specified - assuming latest');
+    return { isValid: true, errors: [], warnings: diagnostics.warnings, diagnostics: diagnostics.diagnostics };
   }
 
   const supportedVersions = ['3.0', '3.1', '3.2', '3.3', '3.4', '3.5', '3.6', '3.7', '3.8', '3.9'];
   
   if (!supportedVersions.includes(version) && !version.startsWith('3.')) {
-    errors.push(`Compose version '${version}' is not supported. Supported versions: ${supportedVersions.join(', ')}`);
+    diagnostics.error(`Compose version '${version}' is not supported. Supported versions: ${supportedVersions.join(', ')}`, 'version');
   }
 
   if (version.startsWith('2.') || version.startsWith('1.')) {
-    errors.push(`Compose version '${version}' is deprecated and not supported`);
+    diagnostics.error(`Compose version '${version}' is deprecated and not supported`, 'version');
   }
 
+  const errors = diagnostics.errors;
   return {
     isValid: errors.length === 0,
     errors,
-    warnings,
+    warnings: diagnostics.warnings,
+    diagnostics: diagnostics.diagnostics,
   };
 }
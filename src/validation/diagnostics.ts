@@ -0,0 +1,54 @@
+export type DiagnosticSeverity = 'error' | 'warning' | 'info';
+
+/**
+ * A warning, error or informational note explaining a conversion decision,
+ * pointing to the compose source it refers to when known
+ */
+export interface Diagnostic {
+  severity: DiagnosticSeverity;
+  message: string;
+  /** JSON path into the compose model, e.g. `services.web.ports[2]` */
+  path?: string;
+  file?: string;
+  /** 1-based line of `path` in `file` */
+  line?: number;
+  /** 1-based column of `path` in `file` */
+  column?: number;
+}
+
+/**
+ * Collects diagnostics while keeping the plain `errors`/`warnings` message lists
+ */
+export class DiagnosticCollector {
+  readonly diagnostics: Diagnostic[] = [];
+
+  error(message: string, path?: string): void {
+    this.diagnostics.push({ severity: 'error', message, ...(path ? { path } : {}) });
+  }
+
+  warning(message: string, path?: string): void {
+    this.diagnostics.push({ severity: 'warning', message, ...(path ? { path } : {}) });
+  }
+
+  info(message: string, path?: string): void {
+    this.diagnostics.push({ severity: 'info', message, ...(path ? { path } : {}) });
+  }
+
+  get errors(): string[] {
+    return this.diagnostics.filter(diagnostic => diagnostic.severity === 'error').map(diagnostic => diagnostic.message);
+  }
+
+  get warnings(): string[] {
+    return this.diagnostics.filter(diagnostic => diagnostic.severity === 'warning').map(diagnostic => diagnostic.message);
+  }
+}
+
+/**
+ * Format a diagnostic as `file:line:column path: message`, leaving out unknown parts
+ */
+export function formatDiagnostic(diagnostic: Diagnostic): string {
+  const position = diagnostic.line !== undefined ? `:${diagnostic.line}:${diagnostic.column ?? 1}` : '';
+  const location = diagnostic.file || position ? `${diagnostic.file ?? '<input>'}${position}` : '';
+  const prefix = [location, diagnostic.path].filter(Boolean).join(' ');
+  return prefix ? `${prefix}: ${diagnostic.message}` : diagnostic.message;
+}
@@ -0,0 +1,272 @@
+import { joinPath } from '../loader/source-map';
+
+type JSONSchemaType = 'string' | 'number' | 'integer' | 'boolean' | 'object' | 'array' | 'null';
+
+/**
+ * The part of JSON Schema (draft-07) used by the Compose Specification schema
+ */
+export interface JSONSchema {
+  $ref?: string;
+  type?: JSONSchemaType | JSONSchemaType[];
+  properties?: Record<string, JSONSchema>;
+  patternProperties?: Record<string, JSONSchema>;
+  additionalProperties?: boolean | JSONSchema;
+  required?: string[];
+  items?: JSONSchema;
+  oneOf?: JSONSchema[];
+  anyOf?: JSONSchema[];
+  enum?: unknown[];
+  pattern?: string;
+  minimum?: number;
+  maximum?: number;
+  uniqueItems?: boolean;
+  definitions?: Record<string, JSONSchema>;
+}
+
+export interface SchemaIssue {
+  /** JSON path of the offending value, e.g. `services.web.enviroment` */
+  path: string;
+  message: string;
+}
+
+const TYPE_NAMES: Record<JSONSchemaType, string> = {
+  string: 'a string',
+  number: 'a number',
+  integer: 'an integer',
+  boolean: 'a boolean',
+  object: 'a mapping',
+  array: 'a list',
+  null: 'null',
+};
+
+/**
+ * Validate a value against a JSON schema, returning one issue per problem found.
+ * `$ref`s are resolved against the root schema's `definitions`.
+ */
+export function validateSchema(value: unknown, schema: JSONSchema): SchemaIssue[] {
+  return new SchemaValidator(schema).validate(value, schema, '');
+}
+
+/**
+ * Closest candidate to a misspelt word, if any is close enough to be a likely typo
+ */
+export function suggestClosest(word: string, candidates: readonly string[]): string | undefined {
+  const threshold = Math.max(2, Math.floor(word.length / 3));
+  let best: string | undefined;
+  let bestDistance = Infinity;
+
+  for (const candidate of candidates) {
+    const distance = editDistance(word.toLowerCase(), candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+
+  return bestDistance <= threshold ? best : undefined;
+}
+
+class SchemaValidator {
+  constructor(private readonly root: JSONSchema) {}
+
+  validate(value: unknown, schema: JSONSchema, path: string): SchemaIssue[] {
+    const resolved = this.resolve(schema);
+    const label = `"${path || 'value'}"`;
+
+    if (resolved.type && !matchesType(value, resolved.type)) {
+      return [{ path, message: `${label} must be ${describeTypes(resolved.type)}` }];
+    }
+
+    const issues: SchemaIssue[] = [];
+
+    if (resolved.enum && !resolved.enum.some(option => option === value)) {
+      const options = resolved.enum.map(String);
+      const suggestion = typeof value === 'string' ? suggestClosest(value, options) : undefined;
+      issues.push({
+        path,
+        message: `${label} must be one of: ${options.join(', ')}${suggestion ? ` - did you mean "${suggestion}"?` : ''}`,
+      });
+    }
+
+    if (typeof value === 'string' && resolved.pattern && !new RegExp(resolved.pattern).test(value)) {
+      issues.push({ path, message: `${label} must match the pattern ${resolved.pattern}` });
+    }
+
+    if (typeof value === 'number') {
+      if (resolved.minimum !== undefined && value < resolved.minimum) {
+        issues.push({ path, message: `${label} must be greater than or equal to ${resolved.minimum}` });
+      }
+      if (resolved.maximum !== undefined && value > resolved.maximum) {
+        issues.push({ path, message: `${label} must be less than or equal to ${resolved.maximum}` });
+      }
+    }
+
+    if (Array.isArray(value)) {
+      issues.push(...this.validateArray(value, resolved, path, label));
+    } else if (isMapping(value)) {
+      issues.push(...this.validateMapping(value, resolved, path, label));
+    }
+
+    const alternatives = resolved.oneOf ?? resolved.anyOf;
+    if (alternatives) {
+      issues.push(...this.validateAlternatives(value, alternatives, path, label));
+    }
+
+    return issues;
+  }
+
+  private validateArray(value: unknown[], schema: JSONSchema, path: string, label: string): SchemaIssue[] {
+    const issues: SchemaIssue[] = [];
+
+    if (schema.items) {
+      const items = schema.items;
+      value.forEach((item, index) => issues.push(...this.validate(item, items, joinPath(path, index))));
+    }
+
+    if (schema.uniqueItems) {
+      const seen = new Set<string>();
+      value.forEach((item, index) => {
+        const key = JSON.stringify(item);
+        if (seen.has(key)) {
+          issues.push({ path: joinPath(path, index), message: `${label} must not contain duplicate items (${key})` });
+        }
+        seen.add(key);
+      });
+    }
+
+    return issues;
+  }
+
+  private validateMapping(value: Record<string, unknown>, schema: JSONSchema, path: string, label: string): SchemaIssue[] {
+    const issues: SchemaIssue[] = [];
+    const known = Object.keys(schema.properties ?? {});
+
+    for (const [key, item] of Object.entries(value)) {
+      if (item === undefined) continue;
+      const itemPath = joinPath(path, key);
+
+      const property = schema.properties?.[key];
+      const patterns = Object.entries(schema.patternProperties ?? {}).filter(([pattern]) => new RegExp(pattern).test(key));
+
+      if (property) {
+        issues.push(...this.validate(item, property, itemPath));
+      }
+      for (const [, patternSchema] of patterns) {
+        issues.push(...this.validate(item, patternSchema, itemPath));
+      }
+      if (property || patterns.length > 0) continue;
+
+      if (schema.additionalProperties === false) {
+        if (known.length > 0) {
+          const suggestion = suggestClosest(key, known);
+          issues.push({
+            path: itemPath,
+            message: `${label} has unknown property "${key}"${suggestion ? ` - did you mean "${suggestion}"?` : ''}`,
+          });
+        } else {
+          const allowed = Object.keys(schema.patternProperties ?? {}).join(', ');
+          issues.push({ path: itemPath, message: `${label} has invalid key "${key}" (must match ${allowed})` });
+        }
+      } else if (typeof schema.additionalProperties === 'object') {
+        issues.push(...this.validate(item, schema.additionalProperties, itemPath));
+      }
+    }
+
+    for (const required of schema.required ?? []) {
+      if (value[required] === undefined) {
+        issues.push({ path, message: `${label} is missing required property "${required}"` });
+      }
+    }
+
+    return issues;
+  }
+
+  /**
+   * Check `oneOf`/`anyOf`. When no alternative matches, report the problems of the
+   * closest one: an alternative accepting the value's type, with the fewest issues.
+   */
+  private validateAlternatives(value: unknown, alternatives: JSONSchema[], path: string, label: string): SchemaIssue[] {
+    let closest: SchemaIssue[] | undefined;
+
+    for (const alternative of alternatives) {
+      const resolved = this.resolve(alternative);
+      if (resolved.type && !matchesType(value, resolved.type)) continue;
+
+      const issues = this.validate(value, resolved, path);
+      if (issues.length === 0) {
+        return [];
+      }
+      if (!closest || issues.length < closest.length) {
+        closest = issues;
+      }
+    }
+
+    if (closest) {
+      return closest;
+    }
+
+    const types = alternatives.flatMap(alternative => {
+      const type = this.resolve(alternative).type;
+      return type === undefined ? [] : Array.isArray(type) ? type : [type];
+    });
+    return [{ path, message: `${label} must be ${describeTypes([...new Set(types)])}` }];
+  }
+
+  private resolve(schema: JSONSchema): JSONSchema {
+    let resolved = schema;
+    while (resolved.$ref) {
+      const name = resolved.$ref.replace(/^#\/definitions\//, '');
+      const target = this.root.definitions?.[name];
+      if (!target) {
+        throw new Error(`Unresolvable schema reference '${resolved.$ref}'`);
+      }
+      resolved = target;
+    }
+    return resolved;
+  }
+}
+
+function matchesType(value: unknown, type: JSONSchemaType | JSONSchemaType[]): boolean {
+  return (Array.isArray(type) ? type : [type]).some(candidate => {
+    switch (candidate) {
+      case 'string':
+        return typeof value === 'string';
+      case 'number':
+        return typeof value === 'number';
+      case 'integer':
+        return typeof value === 'number' && Number.isInteger(value);
+      case 'boolean':
+        return typeof value === 'boolean';
+      case 'object':
+        return isMapping(value);
+      case 'array':
+        return Array.isArray(value);
+      case 'null':
+        return value === null;
+    }
+  });
+}
+
+function describeTypes(type: JSONSchemaType | JSONSchemaType[]): string {
+  const names = (Array.isArray(type) ? type : [type]).map(candidate => TYPE_NAMES[candidate]);
+  return names.length > 1 ? `${names.slice(0, -1).join(', ')} or ${names[names.length - 1]}` : names[0] ?? 'valid';
+}
+
+function isMapping(value: unknown): value is Record<string, unknown> {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function editDistance(a: string, b: string): number {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const substitution = (previous[j - 1] ?? 0) + (a[i - 1] === b[j - 1] ? 0 : 1);
+      current.push(Math.min((previous[j] ?? 0) + 1, (current[j - 1] ?? 0) + 1, substitution));
+    }
+    previous = current;
+  }
+
+  return previous[b.length] ?? 0;
+}
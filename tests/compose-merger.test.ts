@@ -0,0 +1,121 @@
+import { mergeComposeFiles } from '../src/loader/compose-merger';
+import { parseComposeYAML } from '../src/loader/compose-parser';
+
+describe('mergeComposeFiles', () => {
+  const merge = (...documents: string[]) => mergeComposeFiles(documents.map(doc => parseComposeYAML(doc)));
+
+  it('should merge mappings deeply', () => {
+    const merged = merge(`
+services:
+  web:
+    image: nginx
+    environment:
+      LOG_LEVEL: info
+      PORT: "80"
+`, `
+services:
+  web:
+    image: nginx:1.25
+    environment:
+      - LOG_LEVEL=debug
+`);
+
+    expect(merged.services!.web!.image).toBe('nginx:1.25');
+    expect(merged.services!.web!.environment).toEqual({ LOG_LEVEL: 'debug', PORT: '80' });
+  });
+
+  it('should append ports, expose and dns sequences', () => {
+    const merged = merge(`
+services:
+  web:
+    image: nginx
+    ports: ["80:80"]
+    expose: ["9000"]
+    dns: 8.8.8.8
+`, `
+services:
+  web:
+    ports: ["443:443", "80:80"]
+    expose: ["9001"]
+    dns: [1.1.1.1]
+`);
+
+    const web = merged.services!.web!;
+    expect(web.ports).toEqual(['80:80', '443:443']);
+    expect(web.expose).toEqual(['9000', '9001']);
+    expect(web.dns).toEqual(['8.8.8.8', '1.1.1.1']);
+  });
+
+  it('should replace command and entrypoint', () => {
+    const merged = merge(`
+services:
+  app:
+    image: app
+    command: ["npm", "start"]
+    entrypoint: ["/init"]
+`, `
+services:
+  app:
+    command: ["npm", "run", "prod"]
+    entrypoint: /entry.sh
+`);
+
+    expect(merged.services!.app!.command).toEqual(['npm', 'run', 'prod']);
+    expect(merged.services!.app!.entrypoint).toBe('/entry.sh');
+  });
+
+  it('should replace volumes by target path', () => {
+    const merged = merge(`
+services:
+  db:
+    image: postgres
+    volumes:
+      - data:/var/lib/postgresql/data
+      - ./conf:/etc/postgresql
+`, `
+services:
+  db:
+    volumes:
+      - /mnt/fast:/var/lib/postgresql/data
+`);
+
+    expect(merged.services!.db!.volumes).toEqual([
+      '/mnt/fast:/var/lib/postgresql/data',
+      './conf:/etc/postgresql',
+    ]);
+  });
+
+  it('should honour !reset and !override tags', () => {
+    const merged = merge(`
+services:
+  web:
+    image: nginx
+    ports: ["80:80", "443:443"]
+    labels:
+      tier: frontend
+      team: web
+`, `
+services:
+  web:
+    ports: !reset []
+    labels: !override
+      tier: edge
+`);
+
+    expect(merged.services!.web!.ports).toBeUndefined();
+    expect(merged.services!.web!.labels).toEqual({ tier: 'edge' });
+  });
+
+  it('should strip merge tags from a single file', () => {
+    const merged = merge(`
+services:
+  web:
+    image: nginx
+    command: !override ["nginx", "-g", "daemon off;"]
+    user: !reset null
+`);
+
+    expect(merged.services!.web!.command).toEqual(['nginx', '-g', 'daemon off;']);
+    expect('user' in merged.services!.web!).toBe(false);
+  });
+});
@@ -0,0 +1,106 @@
+import { validateComposeFile } from '../src/validation/compose-validator';
+import { suggestClosest } from '../src/validation/schema-validator';
+import { parseComposeYAML } from '../src/loader/compose-parser';
+
+describe('validateComposeFile', () => {
+  const validate = (content: string) => validateComposeFile(parseComposeYAML(content));
+
+  it('should accept a valid compose file', () => {
+    const result = validate(`
+name: shop
+services:
+  web:
+    image: nginx:1.27
+    ports: ["80:80", {target: 443, published: "8443"}]
+    environment:
+      - LOG_LEVEL=info
+    depends_on:
+      db:
+        condition: service_healthy
+    healthcheck:
+      test: ["CMD", "curl", "-f", "http://localhost"]
+      interval: 30s
+  db:
+    image: postgres:16
+    volumes:
+      - db_data:/var/lib/postgresql/data
+volumes:
+  db_data: {}
+x-common:
+  restart: always
+`);
+
+    expect(result.errors).toEqual([]);
+    expect(result.isValid).toBe(true);
+  });
+
+  it('should suggest the closest property for typos', () => {
+    const result = validate(`
+services:
+  web:
+    image: nginx
+    enviroment:
+      DEBUG: "1"
+    healtcheck:
+      test: ["CMD", "true"]
+`);
+
+    expect(result.isValid).toBe(false);
+    expect(result.diagnostics).toEqual(expect.arrayContaining([
+      expect.objectContaining({
+        severity: 'error',
+        path: 'services.web.enviroment',
+        message: '"services.web" has unknown property "enviroment" - did you mean "environment"?',
+      }),
+      expect.objectContaining({
+        path: 'services.web.healtcheck',
+        message: '"services.web" has unknown property "healtcheck" - did you mean "healthcheck"?',
+      }),
+    ]));
+  });
+
+  it('should report type, enum and required property errors', () => {
+    const result = validate(`
+services:
+  web:
+    image: nginx
+    cap_add: NET_ADMIN
+    volumes:
+      - type: bnd
+        source: ./data
+        target: /data
+    depends_on:
+      db:
+        required: true
+  db:
+    image: postgres
+`);
+
+    expect(result.errors).toEqual(expect.arrayContaining([
+      '"services.web.cap_add" must be a list',
+      '"services.web.volumes[0].type" must be one of: bind, volume, tmpfs, cluster, npipe, image - did you mean "bind"?',
+      '"services.web.depends_on.db" is missing required property "condition"',
+    ]));
+  });
+
+  it('should keep the Nomad specific checks', () => {
+    const result = validate(`
+services:
+  web:
+    image: nginx
+    privileged: true
+    depends_on: [cache]
+`);
+
+    expect(result.errors).toContain("Service 'web' depends on undefined service 'cache'");
+    expect(result.warnings).toContain("Service 'web' uses privileged mode - ensure Nomad client allows this");
+  });
+});
+
+describe('suggestClosest', () => {
+  it('should only suggest likely typos', () => {
+    expect(suggestClosest('volumnes', ['volumes', 'networks'])).toBe('volumes');
+    expect(suggestClosest('Ports', ['ports', 'expose'])).toBe('ports');
+    expect(suggestClosest('frobnicate', ['ports', 'expose'])).toBeUndefined();
+  });
+});
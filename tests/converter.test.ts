@@ -1,4 +1,8 @@
-import { Compose2HCLConverter } from '../src/converter';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { Compose2HCLConverter, ConversionResult } from '../src/converter';
+import { formatBuildScript } from '../src/generators/build-plan';
 
 describe('Compose2HCLConverter', () => {
   let converter: Compose2HCLConverter;
@@ -83,7 +87,7 @@ volumes:
       const result = await converter.convert(composeYaml);
 
       expect(result.errors).toHaveLength(0);
-      expect(result.hcl).toContain('volume "volume_0"');
+      expect(result.hcl).toContain('volume "db_data"');
       expect(result.hcl).toContain('volume_mount {');
     });
   });
@@ -130,8 +134,9 @@ services:
 
       expect(result.errors).toHaveLength(0);
       expect(result.hcl).toContain('resources {');
-      expect(result.hcl).toContain('cpu = 500'); // 0.5 * 1000
-      expect(result.hcl).toContain('memory = 512');
+      expect(result.hcl).toContain('cpu = 250'); // 0.25 * 1000
+      expect(result.hcl).toContain('memory = 256');
+      expect(result.hcl).toContain('memory_max = 512');
     });
 
     it('should convert restart policies', async () => {
@@ -180,6 +185,1454 @@ services:
 
       expect(result.errors.length).toBeGreaterThan(0);
     });
+
+    it('should point diagnostics to their source location', async () => {
+      const composeYaml = `services:
+  web:
+    image: nginx
+    ports:
+      - "80:80"
+      - "not-a-port"
+    depends_on:
+      - cache
+`;
+
+      const result = await converter.convert(composeYaml);
+
+      expect(result.diagnostics).toEqual(expect.arrayContaining([
+        expect.objectContaining({
+          severity: 'error',
+          path: 'services.web.ports[1]',
+          line: 6,
+          column: 9,
+        }),
+        expect.objectContaining({
+          severity: 'error',
+          message: "Service 'web' depends on undefined service 'cache'",
+          path: 'services.web.depends_on[0]',
+          line: 8,
+          column: 9,
+        }),
+      ]));
+    });
+
+    it('should locate YAML syntax errors', async () => {
+      const result = await converter.convert('services:\n  web:\n    image: [nginx\n');
+
+      expect(result.diagnostics[0]).toMatchObject({ severity: 'error', line: 4 });
+    });
+  });
+
+  describe('Ports', () => {
+    it('should expand ranges and keep host IPs and protocols', async () => {
+      const converter = new Compose2HCLConverter({ hostNetworks: { '10.0.0.5': 'private' } });
+      const result = await converter.convert(`
+services:
+  web:
+    image: nginx
+    ports:
+      - "10.0.0.5:8080:80"
+      - "8000-8001:9000-9001"
+      - "9090:9090/udp"
+      - "9090:9090/tcp"
+      - target: 443
+        published: "8443"
+        host_ip: 10.0.0.5
+        name: https
+`);
+
+      expect(result.errors).toEqual([]);
+      expect(result.nomadJob.job!['docker-compose']!.group!['web']!.network!.port).toEqual({
+        port_0: { static: 8080, to: 80, host_network: 'private' },
+        port_1_0: { static: 8000, to: 9000 },
+        port_1_1: { static: 8001, to: 9001 },
+        port_2: { static: 9090, to: 9090 },
+        https: { static: 8443, to: 443, host_network: 'private' },
+      });
+      expect(result.hcl).toContain('host_network = "private"');
+      expect(result.hcl).toContain('ports = ["port_0", "port_1_0", "port_1_1", "port_2", "https"]');
+    });
+
+    it('should report host IPs and ranges Nomad cannot represent', async () => {
+      const converter = new Compose2HCLConverter();
+      const result = await converter.convert(`
+services:
+  web:
+    image: nginx
+    ports:
+      - "127.0.0.1:8080:80"
+      - "8000-8010:80"
+`);
+
+      expect(result.diagnostics).toEqual(expect.arrayContaining([
+        expect.objectContaining({
+          severity: 'warning',
+          path: 'services.web.ports[0]',
+          message: expect.stringContaining('--host-network 127.0.0.1=<name>'),
+        }),
+        expect.objectContaining({
+          severity: 'warning',
+          path: 'services.web.ports[1]',
+          message: expect.stringContaining('using static port 8000'),
+        }),
+      ]));
+    });
+
+    it('should keep port labels unique when names collide', async () => {
+      const converter = new Compose2HCLConverter();
+      const result = await converter.convert(`
+services:
+  web:
+    image: nginx
+    ports:
+      - target: 80
+        name: web
+      - target: 81
+        name: web-ui
+      - target: 82
+        name: web_ui
+`);
+
+      expect(result.nomadJob.job!['docker-compose']!.group!['web']!.network!.port).toEqual({
+        web: { to: 80 },
+        web_ui: { to: 81 },
+        web_ui_2: { to: 82 },
+      });
+      expect(result.hcl).toContain('ports = ["web", "web_ui", "web_ui_2"]');
+      expect(result.diagnostics).toContainEqual(expect.objectContaining({
+        severity: 'warning',
+        path: 'services.web.ports[2]',
+        message: "Service 'web' port 2 label 'web_ui' is already taken by another port - using 'web_ui_2'",
+      }));
+    });
+
+    it('should reject mismatched port ranges', async () => {
+      const converter = new Compose2HCLConverter();
+      const result = await converter.convert('services:\n  web:\n    image: nginx\n    ports: ["8000-8002:80-81"]\n');
+
+      expect(result.diagnostics[0]).toMatchObject({
+        severity: 'error',
+        path: 'services.web.ports[0]',
+        message: "Service 'web' port 0 is invalid: host port range 8000-8002 and container port range 80-81 differ in size",
+      });
+    });
+  });
+
+  describe('Volumes', () => {
+    const compose = `
+services:
+  web:
+    image: nginx
+    tmpfs: /run:size=64m
+    volumes:
+      - ./data:/data:ro
+      - db:/var/lib/db
+      - shared:/shared:ro
+      - cache:/cache
+volumes:
+  db:
+  shared:
+    driver: rexray/ebs
+  cache:
+    driver_opts: {type: nfs, device: ":/exports"}
+`;
+
+    it('should classify bind mounts, named volumes and tmpfs', async () => {
+      const converter = new Compose2HCLConverter({ projectDirectory: '/srv/app' });
+      const result = await converter.convert(compose);
+
+      expect(result.errors).toEqual([]);
+      const group = result.nomadJob.job!['docker-compose']!.group!['web']!;
+      expect(group.volume).toEqual({
+        db: { type: 'host', source: 'db', read_only: false },
+        shared: {
+          type: 'csi',
+          source: 'shared',
+          read_only: true,
+          access_mode: 'single-node-reader-only',
+          attachment_mode: 'file-system',
+        },
+      });
+      expect(group.task!['web']!.config!.mount).toEqual([
+        { type: 'bind', target: '/data', source: '/srv/app/data', readonly: true },
+        {
+          type: 'volume',
+          target: '/cache',
+          source: 'cache',
+          readonly: false,
+          volume_options: { driver_config: { name: 'local', options: { type: 'nfs', device: ':/exports' } } },
+        },
+        { type: 'tmpfs', target: '/run', readonly: false, tmpfs_options: { size: 67108864 } },
+      ]);
+      expect(result.hcl).toContain('tmpfs_options {');
+      expect(result.diagnostics).toContainEqual(expect.objectContaining({
+        severity: 'warning',
+        path: 'services.web.volumes[1]',
+        message: 'Service \'web\' volume \'db\' needs a client host_volume "db", or the job cannot be placed',
+      }));
+    });
+
+    it('should map bind mounts to host volumes when asked to', async () => {
+      const converter = new Compose2HCLConverter({ projectDirectory: '/srv/app', bindMounts: 'host-volume' });
+      const result = await converter.convert(compose);
+
+      const group = result.nomadJob.job!['docker-compose']!.group!['web']!;
+      expect(group.volume!['srv_app_data']).toEqual({ type: 'host', source: 'srv_app_data', read_only: true });
+      expect(result.warnings).toContain(
+        'Service \'web\' bind mount \'/srv/app/data\' needs a client host_volume "srv_app_data" with path "/srv/app/data"'
+      );
+    });
+
+    it('should report undefined named volumes', async () => {
+      const converter = new Compose2HCLConverter();
+      const result = await converter.convert('services:\n  web:\n    image: nginx\n    volumes: ["data:/data"]\n');
+
+      expect(result.diagnostics[0]).toMatchObject({
+        severity: 'error',
+        path: 'services.web.volumes[0]',
+        message: "Service 'web' refers to undefined volume 'data'",
+      });
+    });
+  });
+
+  describe('Dependencies', () => {
+    const compose = `
+services:
+  web:
+    image: nginx
+    depends_on:
+      api: {condition: service_started}
+      migrate: {condition: service_completed_successfully}
+  api:
+    image: api
+    ports: ["8080:8080"]
+    depends_on:
+      db: {condition: service_healthy}
+  migrate:
+    image: api
+    command: ["migrate"]
+    depends_on:
+      db: {condition: service_healthy}
+  db:
+    image: postgres
+`;
+
+    it('should add prestart tasks waiting on Consul', async () => {
+      const converter = new Compose2HCLConverter();
+      const result = await converter.convert(compose);
+
+      expect(result.errors).toEqual([]);
+      const groups = result.nomadJob.job!['docker-compose']!.group!;
+      expect(Object.keys(groups)).toEqual(['web', 'api', 'db']);
+      expect(groups['api']!.task!['wait-for-db']).toMatchObject({
+        lifecycle: { hook: 'prestart', sidecar: false },
+        config: {
+          args: ['-c', 'until curl -sf "http://${attr.unique.network.ip-address}:8500/v1/health/service/db?passing=true" | grep -q ServiceName; do sleep 2; done'],
+        },
+      });
+      expect(groups['web']!.task!['wait-for-api']!.config!.args[1]).toContain('/v1/catalog/service/api-0');
+      expect(groups['web']!.task!['migrate']).toMatchObject({
+        lifecycle: { hook: 'prestart', sidecar: false },
+        config: {
+          image: 'api',
+          entrypoint: [
+            '/bin/sh',
+            '-c',
+            'until curl -sf "http://${attr.unique.network.ip-address}:8500/v1/health/service/db?passing=true" | grep -q ServiceName; do sleep 2; done; exec "$@"',
+            'sh',
+          ],
+          command: 'migrate',
+        },
+      });
+      expect(groups['web']!.task!['migrate']!.config!.args).toBeUndefined();
+      expect(groups['web']!.task!['wait-for-db']).toBeUndefined();
+      expect(result.diagnostics).toContainEqual(expect.objectContaining({
+        severity: 'info',
+        path: 'services.web.depends_on.migrate',
+        message: "Service 'migrate' waits for db itself before it runs as a prestart task of 'web', so its image needs sh and curl",
+      }));
+    });
+
+    it('should report one-shots whose waits cannot be ordered', async () => {
+      const converter = new Compose2HCLConverter();
+      const result = await converter.convert(`
+services:
+  web:
+    image: nginx
+    depends_on:
+      migrate: {condition: service_completed_successfully}
+  migrate:
+    image: api
+    depends_on:
+      db: {condition: service_healthy}
+      seed: {condition: service_completed_successfully}
+  seed:
+    image: api
+    command: ["seed"]
+  db:
+    image: postgres
+`);
+
+      expect(result.errors).toEqual(expect.arrayContaining([
+        "Service 'web' cannot run 'migrate' as a prestart task, as 'migrate' waits for another service to complete first",
+      ]));
+
+      const noCommand = await converter.convert(`
+services:
+  web:
+    image: nginx
+    depends_on:
+      migrate: {condition: service_completed_successfully}
+  migrate:
+    image: api
+    depends_on:
+      db: {condition: service_healthy}
+  db:
+    image: postgres
+`);
+
+      expect(noCommand.errors).toEqual(expect.arrayContaining([
+        "Service 'migrate' waits for db and needs an explicit command or entrypoint to run as a prestart task of 'web'",
+      ]));
+    });
+
+    it('should poll Nomad service discovery with the nomad strategy', async () => {
+      const converter = new Compose2HCLConverter({ dependsOnStrategy: 'nomad' });
+      const result = await converter.convert(compose);
+
+      const groups = result.nomadJob.job!['docker-compose']!.group!;
+      expect(groups['db']!.service![0]!.provider).toBe('nomad');
+      expect(groups['api']!.task!['wait-for-db']!.identity).toEqual({ env: true });
+      expect(result.hcl).toContain('http://localhost/v1/service/db');
+      expect(result.warnings).toContain(
+        "Service 'api' waits for 'db' to be registered - Nomad service discovery does not expose health, use the 'consul' strategy to wait for passing checks"
+      );
+    });
+
+    it('should only report dependencies with the none strategy', async () => {
+      const converter = new Compose2HCLConverter({ dependsOnStrategy: 'none' });
+      const result = await converter.convert(compose);
+
+      expect(Object.keys(result.nomadJob.job!['docker-compose']!.group!)).toEqual(['web', 'api', 'migrate', 'db']);
+      expect(result.diagnostics).toEqual(expect.arrayContaining([
+        expect.objectContaining({
+          path: 'services.web.depends_on.migrate',
+          message: "Service 'web' depends on 'migrate' (service_completed_successfully), which is not enforced with the 'none' depends_on strategy",
+        }),
+      ]));
+    });
+  });
+
+  describe('Consul Connect', () => {
+    const compose = `
+services:
+  web:
+    image: nginx
+    ports: ["80:80"]
+    environment:
+      API_URL: http://api:8080/v1
+      DATABASE_URL: postgres://app:secret@db:5432/app
+      DB_HOST: database
+      POSTGRES_DB: db
+  api:
+    image: api
+    expose: ["80"]
+  db:
+    image: postgres
+    expose: ["5432"]
+    networks:
+      default:
+        aliases: [database]
+`;
+
+    it('should add upstreams and rewrite hostnames in the environment', async () => {
+      const converter = new Compose2HCLConverter({ connect: true });
+      const result = await converter.convert(compose);
+
+      expect(result.errors).toEqual([]);
+      const groups = result.nomadJob.job!['docker-compose']!.group!;
+      expect(groups['web']!.service![0]!.connect).toEqual({
+        sidecar_service: {
+          proxy: {
+            upstreams: [
+              { destination_name: 'api-0', local_bind_port: 81 },
+              { destination_name: 'db-0', local_bind_port: 5432 },
+            ],
+          },
+        },
+      });
+      expect(groups['db']!.service![0]!.connect).toEqual({ sidecar_service: {} });
+      expect(groups['web']!.task!['web']!.env).toEqual({
+        API_URL: 'http://api:8080/v1',
+        DATABASE_URL: 'postgres://app:secret@${NOMAD_UPSTREAM_ADDR_db_0}/app',
+        DB_HOST: '${NOMAD_UPSTREAM_IP_db_0}',
+        POSTGRES_DB: 'db',
+      });
+      expect(result.warnings).toContain(
+        "Service 'web' environment API_URL uses api:8080, which is not a port of 'api' - left unchanged"
+      );
+    });
+
+    it('should keep bare hostnames on the port of moved upstreams', async () => {
+      const converter = new Compose2HCLConverter({ connect: true });
+      const result = await converter.convert(`
+services:
+  web:
+    image: web
+    expose: ["5432", "6379"]
+    environment:
+      DB_HOST: db
+      CACHE_URL: redis://cache/0
+  db:
+    image: postgres
+    expose: ["5432"]
+  cache:
+    image: redis
+    expose: ["6379"]
+`);
+
+      const web = result.nomadJob.job!['docker-compose']!.group!['web']!;
+      expect(web.service![0]!.connect!.sidecar_service!.proxy!.upstreams).toEqual([
+        { destination_name: 'db-0', local_bind_port: 5433 },
+        { destination_name: 'cache-0', local_bind_port: 6380 },
+      ]);
+      expect(web.task!['web']!.env).toEqual({
+        DB_HOST: '${NOMAD_UPSTREAM_IP_db_0}',
+        CACHE_URL: 'redis://${NOMAD_UPSTREAM_ADDR_cache_0}/0',
+      });
+      expect(result.warnings).toContain(
+        "Service 'web' environment DB_HOST names 'db', whose upstream listens on local port 5433 instead of 5432 - " +
+          'set the port to ${NOMAD_UPSTREAM_PORT_db_0}'
+      );
+    });
+
+    it('should leave services on separate networks alone', async () => {
+      const converter = new Compose2HCLConverter({ connect: true });
+      const result = await converter.convert(`
+services:
+  web:
+    image: nginx
+    networks: [front]
+    depends_on: [db]
+  db:
+    image: postgres
+    expose: ["5432"]
+    networks: [back]
+networks:
+  front: {}
+  back: {}
+`);
+
+      expect(result.nomadJob.job!['docker-compose']!.group!['web']!.service![0]!.connect).toBeUndefined();
+      expect(result.warnings).toContain("Service 'web' uses 'db', but they share no network - no upstream added");
+    });
+
+    it('should not proxy udp ports', async () => {
+      const converter = new Compose2HCLConverter({ connect: true });
+      const result = await converter.convert(`
+services:
+  app:
+    image: app
+    depends_on: [dns]
+  dns:
+    image: coredns
+    ports: ["53:53/udp", "8080:8080"]
+`);
+
+      const groups = result.nomadJob.job!['docker-compose']!.group!;
+      expect(groups['dns']!.service!.map(service => service.connect)).toEqual([undefined, { sidecar_service: {} }]);
+      expect(groups['app']!.service![0]!.connect!.sidecar_service!.proxy!.upstreams).toEqual([
+        { destination_name: 'dns-1', local_bind_port: 8080 },
+      ]);
+      expect(result.warnings).toContain(
+        "Service 'dns' port port_0 is udp only, which Consul Connect cannot proxy - no sidecar or upstream for it"
+      );
+    });
+  });
+
+  describe('Task Groups', () => {
+    const compose = `
+services:
+  app:
+    image: app
+    ports: ["8080:8080"]
+    volumes: [data:/data]
+    depends_on:
+      init: {condition: service_completed_successfully}
+  proxy:
+    image: envoy
+    network_mode: service:app
+    ports: ["8080"]
+  shipper:
+    image: fluent-bit
+    volumes_from: ["app:ro"]
+  init:
+    image: busybox
+    x-nomad: {group: app}
+  db:
+    image: postgres
+volumes:
+  data:
+`;
+
+    it('should co-locate linked services with the auto strategy', async () => {
+      const converter = new Compose2HCLConverter({ grouping: 'auto' });
+      const result = await converter.convert(compose);
+
+      const groups = result.nomadJob.job!['docker-compose']!.group!;
+      expect(Object.keys(groups)).toEqual(['app', 'db']);
+      expect(Object.keys(groups['app']!.task!)).toEqual(['app', 'proxy', 'shipper', 'init']);
+      expect(groups['app']!.network!.port).toEqual({
+        port_0: { static: 8080, to: 8080 },
+        proxy_port_0: { to: 8080 },
+      });
+      expect(groups['app']!.task!['proxy']!.config!.ports).toEqual(['proxy_port_0']);
+      expect(groups['app']!.task!['init']!.lifecycle).toEqual({ hook: 'prestart', sidecar: false });
+      expect(groups['app']!.task!['shipper']!.volume_mount).toEqual({
+        app_mount_0: { volume: 'data', destination: '/data', read_only: true },
+      });
+      expect(groups['app']!.task!['app']!.config!.extra_hosts).toEqual(['proxy:127.0.0.1', 'shipper:127.0.0.1', 'init:127.0.0.1']);
+      expect(result.warnings).toContain("Services of task group 'app' share localhost but both listen on port 8080");
+    });
+
+    it('should point health checks at renamed port labels', async () => {
+      const converter = new Compose2HCLConverter({ grouping: 'auto' });
+      const result = await converter.convert(`
+services:
+  app:
+    image: app
+    ports: ["8080:80"]
+  shipper:
+    image: fluent-bit
+    network_mode: service:app
+    ports: ["9000"]
+    healthcheck:
+      test: ["CMD", "curl", "-f", "http://localhost:9000/health"]
+`);
+
+      const group = result.nomadJob.job!['docker-compose']!.group!['app']!;
+      const shipper = group.service!.find(service => service.name === 'shipper-0')!;
+      expect(shipper.port).toBe('shipper_port_0');
+      expect(shipper.check![0]!.port).toBe('shipper_port_0');
+    });
+
+    it('should put every service into one group with the single-group strategy', async () => {
+      const converter = new Compose2HCLConverter({ grouping: 'single-group', jobName: 'shop' });
+      const result = await converter.convert(compose);
+
+      const groups = result.nomadJob.job!['shop']!.group!;
+      expect(Object.keys(groups)).toEqual(['shop']);
+      expect(Object.keys(groups['shop']!.task!)).toEqual(['app', 'proxy', 'shipper', 'init', 'db']);
+    });
+
+    it('should keep one group per service by default', async () => {
+      const converter = new Compose2HCLConverter();
+      const result = await converter.convert(compose);
+
+      expect(Object.keys(result.nomadJob.job!['docker-compose']!.group!)).toEqual(['app', 'proxy', 'shipper', 'db']);
+      expect(result.warnings).toContain(
+        "Service 'proxy' shares the namespace or volumes of 'app', which needs both in one task group - use the auto grouping strategy"
+      );
+    });
+  });
+
+  describe('Health Checks', () => {
+    it('should infer native checks from probe commands', async () => {
+      const converter = new Compose2HCLConverter();
+      const result = await converter.convert(`
+services:
+  web:
+    image: nginx
+    ports: ["8080:80"]
+    healthcheck:
+      test: ["CMD", "curl", "-f", "http://localhost/health"]
+      interval: 10s
+  db:
+    image: postgres
+    expose: ["5432"]
+    healthcheck:
+      test: pg_isready -U postgres
+  worker:
+    image: worker
+    healthcheck:
+      test: ["CMD-SHELL", "curl -f http://localhost:9000/health || exit 1"]
+`);
+
+      const groups = result.nomadJob.job!['docker-compose']!.group!;
+      expect(groups['web']!.service![0]!.check).toEqual([
+        { type: 'http', port: 'port_0', path: '/health', interval: '10s', timeout: '5s', check_restart: { limit: 3 } },
+      ]);
+      expect(groups['db']!.service![0]!.check![0]).toMatchObject({ type: 'tcp', port: 'expose_0', interval: '30s', timeout: '5s' });
+      expect(groups['worker']!.service![0]!.check![0]).toMatchObject({ type: 'script', command: '/bin/sh' });
+      expect(result.warnings).toContain(
+        "Service 'worker' healthcheck probes port 9000, which is not in ports or expose - using a script check"
+      );
+    });
+
+    it('should report http probes accepting any status', async () => {
+      const converter = new Compose2HCLConverter();
+      const result = await converter.convert(`
+services:
+  web:
+    image: nginx
+    expose: ["80"]
+    healthcheck:
+      test: ["CMD", "curl", "-s", "http://localhost/health"]
+`);
+
+      expect(result.nomadJob.job!['docker-compose']!.group!['web']!.service![0]!.check![0]).toMatchObject({ type: 'http', path: '/health' });
+      expect(result.diagnostics).toContainEqual(expect.objectContaining({
+        severity: 'warning',
+        path: 'services.web.healthcheck.test',
+        message: "Service 'web' healthcheck passes on any HTTP status (curl without --fail), but the Nomad http check only passes on 2xx",
+      }));
+    });
+
+    it('should restart unhealthy tasks and gate deployments on checks', async () => {
+      const converter = new Compose2HCLConverter();
+      const result = await converter.convert(`
+services:
+  api:
+    image: api
+    expose: ["8080"]
+    healthcheck:
+      test: ["CMD", "curl", "-f", "http://localhost:8080/health"]
+      retries: 5
+      start_period: 40s
+  worker:
+    image: worker
+    healthcheck:
+      test: ["NONE"]
+  cache:
+    image: redis
+    healthcheck:
+      test: redis-cli ping
+      disable: true
+`);
+
+      const groups = result.nomadJob.job!['docker-compose']!.group!;
+      expect(groups['api']!.service![0]!.check![0]!.check_restart).toEqual({ limit: 5, grace: '40s' });
+      expect(groups['api']!.update).toEqual({ health_check: 'checks', min_healthy_time: '40s' });
+      expect(groups['worker']!.service![0]!.check).toBeUndefined();
+      expect(groups['worker']!.update).toBeUndefined();
+      expect(groups['cache']!.service![0]!.check).toBeUndefined();
+
+      expect(result.hcl).toMatch(/check_restart \{\s+limit = 5\s+grace = "40s"\s+\}/);
+      expect(result.hcl).toMatch(/update \{\s+health_check = "checks"\s+min_healthy_time = "40s"\s+\}/);
+    });
+  });
+
+  describe('Update Strategy', () => {
+    it('should map update_config to the group update block', async () => {
+      const converter = new Compose2HCLConverter();
+      const result = await converter.convert(`
+services:
+  web:
+    image: nginx
+    deploy:
+      replicas: 4
+      update_config:
+        parallelism: 2
+        delay: 10s
+        failure_action: rollback
+        monitor: 2m
+        order: start-first
+  worker:
+    image: worker
+    deploy:
+      replicas: 3
+      update_config:
+        parallelism: 0
+        failure_action: continue
+        max_failure_ratio: 0.2
+      rollback_config:
+        parallelism: 1
+`);
+
+      const groups = result.nomadJob.job!['docker-compose']!.group!;
+      expect(groups['web']!.update).toEqual({
+        max_parallel: 2,
+        stagger: '10s',
+        auto_revert: true,
+        healthy_deadline: '2m',
+        canary: 2,
+        auto_promote: true,
+      });
+      expect(groups['worker']!.update).toEqual({ max_parallel: 3 });
+      expect(result.hcl).toMatch(/update \{\s+max_parallel = 2\s+healthy_deadline = "2m"\s+auto_revert = true\s+auto_promote = true\s+canary = 2\s+stagger = "10s"\s+\}/);
+
+      expect(result.warnings).toEqual(expect.arrayContaining([
+        "Service 'worker' update failure_action 'continue' is not supported by Nomad - failed deployments stop like 'pause'",
+        "Service 'worker' update max_failure_ratio is not supported by Nomad - any unhealthy allocation fails the deployment",
+        "Service 'worker' rollback_config parallelism cannot differ from update_config in Nomad - rollbacks use the update settings",
+      ]));
+    });
+
+    it('should keep healthy_deadline beyond the start period', async () => {
+      const converter = new Compose2HCLConverter();
+      const result = await converter.convert(`
+services:
+  api:
+    image: api
+    healthcheck:
+      test: ["CMD", "true"]
+      start_period: 1m
+    deploy:
+      update_config:
+        monitor: 30s
+`);
+
+      expect(result.nomadJob.job!['docker-compose']!.group!['api']!.update).toEqual({
+        health_check: 'checks',
+        min_healthy_time: '1m',
+      });
+      expect(result.warnings).toContain(
+        "Service 'api' update monitor 30s must be longer than the healthcheck start_period - using Nomad's default healthy_deadline"
+      );
+    });
+  });
+
+  describe('Job Types', () => {
+    it('should split global, one-shot and cron services into their own jobs', async () => {
+      const converter = new Compose2HCLConverter({ batchOneShots: true });
+      const result = await converter.convert(`
+services:
+  web:
+    image: nginx
+    ports: ["80:80"]
+    labels:
+      ofelia.job-exec.cleanup.schedule: "0 0 3 * * *"
+      ofelia.job-exec.cleanup.command: "rm -rf /tmp/cache"
+  agent:
+    image: datadog/agent
+    deploy:
+      mode: global
+  migrate:
+    image: app
+    restart: "no"
+  report:
+    image: app
+    x-nomad:
+      cron: "*/15 * * * *"
+`);
+
+      const jobs = result.nomadJob.job;
+      expect(Object.keys(jobs)).toEqual([
+        'docker-compose',
+        'docker-compose-system',
+        'docker-compose-batch',
+        'docker-compose-report',
+        'docker-compose-cleanup',
+      ]);
+      expect(Object.keys(jobs['docker-compose']!.group!)).toEqual(['web']);
+      expect(jobs['docker-compose-system']!.type).toBe('system');
+      expect(jobs['docker-compose-system']!.group!['agent']!.count).toBeUndefined();
+      expect(jobs['docker-compose-batch']!.type).toBe('batch');
+      expect(Object.keys(jobs['docker-compose-batch']!.group!)).toEqual(['migrate']);
+      expect(jobs['docker-compose-report']!.periodic).toEqual({ cron: '*/15 * * * *', prohibit_overlap: true });
+
+      const cleanup = jobs['docker-compose-cleanup']!;
+      expect(cleanup.periodic).toEqual({ cron: '0 3 * * *', prohibit_overlap: true });
+      expect(cleanup.group!['cleanup']!.task!['cleanup']!.config).toMatchObject({
+        image: 'nginx',
+        command: '/bin/sh',
+        args: ['-c', 'rm -rf /tmp/cache'],
+      });
+      expect(cleanup.group!['cleanup']!.task!['cleanup']!.config!.ports).toBeUndefined();
+      expect(result.warnings).toContain(
+        "Service 'web' ofelia job 'cleanup' runs in a new container of the service's task, not in the running one"
+      );
+
+      expect(Object.keys(result.jobs)).toEqual(Object.keys(jobs));
+      expect(result.jobs['docker-compose-system']).toContain('type = "system"');
+      expect(result.jobs['docker-compose-system']).not.toContain('job "docker-compose"');
+    });
+
+    it('should run ofelia jobs without the Connect upstreams and registry auth of the service', async () => {
+      const converter = new Compose2HCLConverter({
+        connect: true,
+        registryAuth: [{ registry: 'ghcr.io/acme', path: 'registries/ghcr', backend: 'nomad-variables' }],
+      });
+      const result = await converter.convert(`
+services:
+  app:
+    image: ghcr.io/acme/app
+    environment:
+      DATABASE_URL: postgres://db:5432/app
+    labels:
+      ofelia.job-exec.vacuum.schedule: "0 0 * * *"
+      ofelia.job-exec.vacuum.command: "vacuum"
+      ofelia.job-run.report.schedule: "0 6 * * *"
+      ofelia.job-run.report.image: "busybox"
+  db:
+    image: postgres
+    expose: ["5432"]
+`);
+
+      const app = result.nomadJob.job!['docker-compose']!.group!['app']!.task!['app']!;
+      expect(app.env).toEqual({ DATABASE_URL: 'postgres://${NOMAD_UPSTREAM_ADDR_db_0}/app' });
+
+      const vacuum = result.nomadJob.job!['docker-compose-vacuum']!.group!['vacuum']!.task!['vacuum']!;
+      expect(vacuum.env).toEqual({ DATABASE_URL: 'postgres://db:5432/app' });
+      expect(vacuum.config!.auth).toEqual({ username: '${REGISTRY_AUTH_USERNAME}', password: '${REGISTRY_AUTH_PASSWORD}' });
+
+      const report = result.nomadJob.job!['docker-compose-report']!.group!['report']!.task!['report']!;
+      expect(report.env).toEqual({ DATABASE_URL: 'postgres://db:5432/app' });
+      expect(report.config!.image).toBe('busybox');
+      expect(report.config!.auth).toBeUndefined();
+      expect(report.template).toBeUndefined();
+    });
+
+    it('should keep one-shots in the service job unless asked', async () => {
+      const converter = new Compose2HCLConverter();
+      const result = await converter.convert(`
+services:
+  migrate:
+    image: app
+    restart: "no"
+  worker:
+    image: app
+    labels:
+      - ofelia.job-run.tick.schedule=@every 5m
+`);
+
+      expect(Object.keys(result.nomadJob.job)).toEqual(['docker-compose']);
+      expect(result.warnings).toContain("Service 'worker' ofelia job 'tick' schedule '@every 5m' has no Nomad cron equivalent - skipping it");
+    });
+  });
+
+  describe('Placement', () => {
+    it('should translate Swarm placement to Nomad constraints and spreads', async () => {
+      const converter = new Compose2HCLConverter();
+      const result = await converter.convert(`
+services:
+  web:
+    image: nginx
+    deploy:
+      replicas: 6
+      placement:
+        constraints:
+          - node.labels.zone == eu-west
+          - node.hostname!=build-01
+          - node.platform.arch == aarch64
+          - node.role == manager
+          - engine.version >= 20
+        preferences:
+          - spread: node.labels.rack
+        max_replicas_per_node: 2
+  cache:
+    image: redis
+    deploy:
+      placement:
+        max_replicas_per_node: 1
+`);
+
+      const groups = result.nomadJob.job!['docker-compose']!.group!;
+      expect(groups['web']!.task!['web']!.constraint).toEqual([
+        { attribute: '${meta.zone}', operator: '=', value: 'eu-west' },
+        { attribute: '${node.unique.name}', operator: '!=', value: 'build-01' },
+        { attribute: '${attr.cpu.arch}', operator: '=', value: 'arm64' },
+        { attribute: '${meta.role}', operator: '=', value: 'manager' },
+      ]);
+      expect(groups['web']!.spread).toEqual([{ attribute: '${meta.rack}' }]);
+      expect(groups['web']!.constraint).toEqual([
+        { attribute: '${node.unique.id}', operator: 'distinct_property', value: '2' },
+      ]);
+      expect(groups['cache']!.constraint).toEqual([{ operator: 'distinct_hosts', value: 'true' }]);
+
+      expect(result.warnings).toEqual(expect.arrayContaining([
+        "Service 'web' placement constraint 'node.role == manager' uses Swarm node roles - set meta.role on the Nomad clients",
+        "Service 'web' placement constraint 'engine.version >= 20' has no Nomad equivalent - ignoring it",
+      ]));
+      expect(result.hcl).toContain('attribute = "${meta.rack}"');
+    });
+  });
+
+  describe('Devices', () => {
+    it('should reserve GPUs and generic resources as Nomad devices', async () => {
+      const converter = new Compose2HCLConverter({ deviceNames: { FPGA: 'xilinx/fpga' } });
+      const result = await converter.convert(`
+services:
+  trainer:
+    image: trainer
+    deploy:
+      resources:
+        reservations:
+          devices:
+            - capabilities: [gpu]
+              count: 2
+            - driver: nvidia
+              device_ids: ["GPU-1", "GPU-2"]
+              capabilities: [gpu, utility]
+          generic_resources:
+            - discrete_resource_spec:
+                kind: FPGA
+                value: 1
+            - discrete_resource_spec:
+                kind: SSD
+                value: 2
+  inference:
+    image: inference
+    gpus: all
+  tpu:
+    image: tpu
+    deploy:
+      resources:
+        reservations:
+          devices:
+            - driver: tpu
+              capabilities: [tpu]
+`);
+
+      const groups = result.nomadJob.job!['docker-compose']!.group!;
+      expect(groups['trainer']!.task!['trainer']!.resources!.device).toEqual([
+        { name: 'nvidia/gpu', count: 2 },
+        {
+          name: 'nvidia/gpu',
+          count: 2,
+          constraint: [{ attribute: '${device.ids}', operator: 'set_contains', value: 'GPU-1,GPU-2' }],
+        },
+        { name: 'xilinx/fpga', count: 1 },
+      ]);
+      expect(groups['inference']!.task!['inference']!.resources!.device).toEqual([{ name: 'nvidia/gpu', count: 1 }]);
+      expect(groups['tpu']!.task!['tpu']!.resources!.device).toBeUndefined();
+
+      expect(result.warnings).toEqual(expect.arrayContaining([
+        "Service 'trainer' generic resource 'SSD' has no known Nomad device - add --device-name SSD=<vendor/type>",
+        "Service 'inference' reserves all devices, Nomad needs a count - reserving 1 nvidia/gpu",
+        "Service 'tpu' reserves devices of driver 'tpu' without a known Nomad device - add --device-name tpu=<vendor/type>",
+      ]));
+      expect(result.hcl).toMatch(/device "nvidia\/gpu" \{\s+count = 2\s+\}/);
+      expect(result.warnings).not.toContainEqual(expect.stringContaining('ensure Nomad supports required devices'));
+      expect(result.warnings).not.toContainEqual(expect.stringContaining('may need custom Nomad configuration'));
+    });
+
+    it('should reject generic resource values that are not a device count', async () => {
+      const converter = new Compose2HCLConverter();
+      const result = await converter.convert(`
+services:
+  trainer:
+    image: trainer
+    deploy:
+      resources:
+        reservations:
+          generic_resources:
+            - discrete_resource_spec:
+                kind: gpu
+                value: many
+            - discrete_resource_spec:
+                kind: gpu
+                value: 0
+`);
+
+      expect(result.diagnostics).toEqual(expect.arrayContaining([
+        expect.objectContaining({
+          severity: 'error',
+          path: 'services.trainer.deploy.resources.reservations.generic_resources[0]',
+          message: "Service 'trainer' generic resource 'gpu' value 'many' is not a positive integer - skipping it",
+        }),
+        expect.objectContaining({
+          severity: 'error',
+          path: 'services.trainer.deploy.resources.reservations.generic_resources[1]',
+          message: "Service 'trainer' generic resource 'gpu' value '0' is not a positive integer - skipping it",
+        }),
+      ]));
+      expect(result.hcl).not.toContain('NaN');
+    });
+  });
+
+  describe('Secrets', () => {
+    const compose = `
+services:
+  api:
+    image: api
+    secrets:
+      - db-password
+      - source: api_key
+        target: key.txt
+secrets:
+  db-password:
+    file: ./db-password.txt
+  api_key:
+    environment: API_KEY
+`;
+
+    const secretTemplates = (result: ConversionResult) =>
+      result.nomadJob.job!['docker-compose']!.group!['api']!.task!['api']!.template!.map(template => template.embedded_tmpl);
+
+    it('should read secrets from Vault KV v2 by default', async () => {
+      const result = await new Compose2HCLConverter().convert(compose);
+
+      expect(secretTemplates(result)).toEqual([
+        '{{ with secret "secret/data/db-password" }}{{ .Data.data.value }}{{ end }}',
+        '{{ with secret "secret/data/api_key" }}{{ .Data.data.value }}{{ end }}',
+      ]);
+      expect(result.nomadJob.job!['docker-compose']!.group!['api']!.task!['api']!.vault).toEqual({});
+    });
+
+    it('should use the configured path and key templates', async () => {
+      const kv1 = await new Compose2HCLConverter({ secretsBackend: 'vault-kv1', secretsPath: 'kv/{service}', secretsKey: '{secret}' }).convert(compose);
+      expect(secretTemplates(kv1)).toEqual([
+        '{{ with secret "kv/api" }}{{ index .Data "db-password" }}{{ end }}',
+        '{{ with secret "kv/api" }}{{ .Data.api_key }}{{ end }}',
+      ]);
+
+      const variables = await new Compose2HCLConverter({ secretsBackend: 'nomad-variables' }).convert(compose);
+      expect(secretTemplates(variables)).toEqual([
+        '{{ with nomadVar (printf "nomad/jobs/%s" (or (env "NOMAD_JOB_PARENT_ID") (env "NOMAD_JOB_ID"))) }}{{ index . "db-password" }}{{ end }}',
+        '{{ with nomadVar (printf "nomad/jobs/%s" (or (env "NOMAD_JOB_PARENT_ID") (env "NOMAD_JOB_ID"))) }}{{ .api_key }}{{ end }}',
+      ]);
+      expect(variables.nomadJob.job!['docker-compose']!.group!['api']!.task!['api']!.vault).toBeUndefined();
+    });
+
+    it('should inline secret files and environment values with inline-file', async () => {
+      const projectDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'compose2hcl-'));
+      try {
+        fs.writeFileSync(path.join(projectDirectory, 'db-password.txt'), 'p@ss{{word}}');
+        const converter = new Compose2HCLConverter({
+          secretsBackend: 'inline-file',
+          projectDirectory,
+          environment: { API_KEY: 'abc${1}' },
+        });
+        const result = await converter.convert(compose);
+
+        expect(secretTemplates(result)).toEqual(['p@ss{{ "{{" }}word}}', 'abc$${1}']);
+        expect(result.warnings).toContain(
+          "Service 'api' secret 'db-password' is embedded in the job with the inline-file secrets backend - use it for development only"
+        );
+      } finally {
+        fs.rmSync(projectDirectory, { recursive: true, force: true });
+      }
+    });
+
+    it('should keep multi-line inlined secrets verbatim', async () => {
+      const projectDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'compose2hcl-'));
+      try {
+        fs.writeFileSync(path.join(projectDirectory, 'db-password.txt'), '-----BEGIN KEY-----\nabc\nEOH\n-----END KEY-----\n');
+        const converter = new Compose2HCLConverter({ secretsBackend: 'inline-file', projectDirectory });
+        const result = await converter.convert(compose);
+
+        expect(result.hcl).toContain('data = <<EOH_\n-----BEGIN KEY-----\nabc\nEOH\n-----END KEY-----\n        EOH_\n');
+
+        const disabled = await new Compose2HCLConverter({ secretsBackend: 'inline-file', projectDirectory, fileAccess: false }).convert(compose);
+        expect(disabled.errors).toContain(
+          "Service 'api' secret 'db-password' cannot use the inline-file secrets backend: reading files is disabled"
+        );
+        expect(disabled.hcl).not.toContain('BEGIN KEY');
+      } finally {
+        fs.rmSync(projectDirectory, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('Docker Driver Options', () => {
+    it('should map runtime options to the docker driver and task', async () => {
+      const converter = new Compose2HCLConverter();
+      const result = await converter.convert(`
+services:
+  db:
+    image: postgres
+    init: true
+    pid: host
+    ipc: host
+    pull_policy: always
+    stop_signal: SIGINT
+    stop_grace_period: 1m30s
+    shm_size: 256m
+    sysctls:
+      net.core.somaxconn: 1024
+    ulimits:
+      nproc: 65535
+      nofile:
+        soft: 20000
+        hard: 40000
+    group_add: [audio, 1001]
+    mac_address: "02:42:ac:11:65:43"
+    oom_score_adj: 500
+    storage_opt:
+      size: 20G
+    userns_mode: host
+    dns_opt: [use-vc]
+    labels:
+      com.example.team: data
+`);
+
+      const task = result.nomadJob.job!['docker-compose']!.group!['db']!.task!['db']!;
+      expect(task.kill_signal).toBe('SIGINT');
+      expect(task.kill_timeout).toBe('1m30s');
+      expect(task.config).toMatchObject({
+        init: true,
+        pid_mode: 'host',
+        ipc_mode: 'host',
+        force_pull: true,
+        shm_size: 268435456,
+        sysctl: { 'net.core.somaxconn': '1024' },
+        ulimit: { nproc: '65535', nofile: '20000:40000' },
+        group_add: ['audio', '1001'],
+        mac_address: '02:42:ac:11:65:43',
+        oom_score_adj: 500,
+        storage_opt: { size: '20G' },
+        userns_mode: 'host',
+        dns_options: ['use-vc'],
+      });
+      expect(result.warnings).toEqual([]);
+
+      expect(result.hcl).toMatch(/sysctl = \{\n\s+"net.core.somaxconn" = "1024"\n\s+\}/);
+      expect(result.hcl).toMatch(/labels = \{\n\s+"com.example.team" = "data"\n\s+\}/);
+    });
+
+    it('should report options the docker driver cannot express', async () => {
+      const converter = new Compose2HCLConverter();
+      const result = await converter.convert(`
+services:
+  app:
+    image: app
+    pid: "service:db"
+    pull_policy: never
+    cgroup_parent: m-executor
+    volumes_from: [db]
+  db:
+    image: postgres
+`);
+
+      expect(result.warnings).toEqual(expect.arrayContaining([
+        "Service 'app' pid 'service:db' is unsupported by Nomad docker driver - ignoring it",
+        "Service 'app' pull_policy 'never' is unsupported by Nomad docker driver - ignoring it",
+        "Service 'app' cgroup_parent is unsupported by Nomad docker driver - ignoring it",
+        "Service 'app' volumes_from 'db' is unsupported by Nomad docker driver across task groups - use --grouping auto to share its volumes",
+      ]));
+      expect(result.diagnostics).toContainEqual(expect.objectContaining({ path: 'services.app.cgroup_parent', line: 7 }));
+    });
+  });
+
+  describe('Resources', () => {
+    const resourcesOf = (result: ConversionResult, name: string) =>
+      result.nomadJob.job!['docker-compose']!.group![name]!.task![name]!;
+
+    it('should reserve the reservation and burst up to the limit', async () => {
+      const converter = new Compose2HCLConverter();
+      const result = await converter.convert(`
+services:
+  api:
+    image: api
+    deploy:
+      resources:
+        limits:
+          cpus: '2'
+          memory: 1G
+        reservations:
+          cpus: '2'
+          memory: 256M
+  worker:
+    image: worker
+    mem_limit: 512m
+    mem_reservation: 128m
+    cpu_quota: 50000
+    cpu_period: 50000
+  cache:
+    image: redis
+    mem_limit: 64m
+    cpu_shares: 512
+`);
+
+      expect(resourcesOf(result, 'api').resources).toEqual({ cpu: 2000, memory: 256, memory_max: 1024 });
+      expect(resourcesOf(result, 'api').config).toMatchObject({ cpu_hard_limit: true });
+
+      expect(resourcesOf(result, 'worker').resources).toEqual({ cpu: 1000, memory: 128, memory_max: 512 });
+      expect(resourcesOf(result, 'worker').config).toMatchObject({ cpu_hard_limit: true, cpu_cfs_period: 50000 });
+
+      expect(resourcesOf(result, 'cache').resources).toEqual({ cpu: 500, memory: 64 });
+      expect(resourcesOf(result, 'cache').config!.cpu_hard_limit).toBeUndefined();
+      expect(result.warnings).toEqual([]);
+    });
+
+    it('should report limits Nomad cannot enforce', async () => {
+      const converter = new Compose2HCLConverter();
+      const result = await converter.convert(`
+services:
+  app:
+    image: app
+    memswap_limit: 2g
+    deploy:
+      resources:
+        limits:
+          cpus: '1'
+          memory: 128M
+        reservations:
+          cpus: '0.5'
+          memory: 256M
+`);
+
+      expect(resourcesOf(result, 'app').resources).toEqual({ cpu: 500, memory: 256 });
+      expect(resourcesOf(result, 'app').config!.cpu_hard_limit).toBeUndefined();
+      expect(result.warnings).toEqual(expect.arrayContaining([
+        "Service 'app' memory limit (128 MB) is below its reservation (256 MB) - ignoring the limit",
+        "Service 'app' memswap_limit is unsupported by Nomad docker driver - ignoring it",
+        "Service 'app' CPU limit (1) is above its reservation (0.5) - Nomad can only cap CPU at the reservation, so the limit is not enforced",
+      ]));
+    });
+
+    it('should reserve a CPU limit below the reservation', async () => {
+      const converter = new Compose2HCLConverter();
+      const result = await converter.convert(`
+services:
+  app:
+    image: app
+    deploy:
+      resources:
+        limits:
+          cpus: '0.5'
+        reservations:
+          cpus: '1'
+`);
+
+      expect(resourcesOf(result, 'app').resources).toEqual({ cpu: 500, memory: 128 });
+      expect(resourcesOf(result, 'app').config).toMatchObject({ cpu_hard_limit: true });
+      expect(result.warnings).toContain(
+        "Service 'app' CPU limit (0.5) is below its reservation (1) - reserving the limit, which the task is capped at"
+      );
+    });
+
+    it('should reserve whole cores with the cores CPU resource', async () => {
+      const converter = new Compose2HCLConverter({ cpuResource: 'cores' });
+      const result = await converter.convert(`
+services:
+  app:
+    image: app
+    cpus: 1.5
+  idle:
+    image: idle
+`);
+
+      expect(resourcesOf(result, 'app').resources).toEqual({ cores: 2, memory: 128 });
+      expect(resourcesOf(result, 'idle').resources).toEqual({ cpu: 100, memory: 128 });
+      expect(result.hcl).toContain('cores = 2');
+      expect(result.warnings).toContain("Service 'app' asks for 1.5 CPUs - reserving 2 whole cores");
+    });
+
+    it('should size CPUs for node class profiles and explain the decision', async () => {
+      const converter = new Compose2HCLConverter({
+        nodeClasses: { compute: { mhzPerCore: 2400, cores: 8 }, edge: { mhzPerCore: 1800, cores: 4 } },
+      });
+      const result = await converter.convert(`
+services:
+  api:
+    image: api
+    cpus: 0.5
+  edge:
+    image: proxy
+    cpus: 0.5
+    x-nomad:
+      node_class: edge
+  batch:
+    image: batch
+    cpus: 16
+  legacy:
+    image: legacy
+    cpus: 0.5
+    x-nomad:
+      node_class: gpu
+`);
+
+      expect(resourcesOf(result, 'api').resources).toMatchObject({ cpu: 1200 });
+      expect(resourcesOf(result, 'edge').resources).toMatchObject({ cpu: 900 });
+      expect(resourcesOf(result, 'edge').constraint).toEqual([{ attribute: '${node.class}', operator: '=', value: 'edge' }]);
+      expect(resourcesOf(result, 'batch').resources).toMatchObject({ cores: 16 });
+      expect(resourcesOf(result, 'legacy').resources).toMatchObject({ cpu: 1200 });
+
+      expect(result.warnings).toEqual([
+        "Service 'batch' reserves 16 cores but clients of node class 'compute' have at most 8",
+        "Service 'legacy' node class 'gpu' has no CPU profile - sizing it for the fastest node class",
+      ]);
+      expect(result.diagnostics).toEqual(expect.arrayContaining([
+        expect.objectContaining({
+          severity: 'info',
+          path: 'services.api',
+          message: "Service 'api' reserves 1200 MHz for 0.5 CPUs at 2400 MHz per core (fastest node class 'compute')",
+        }),
+        expect.objectContaining({
+          severity: 'info',
+          message: "Service 'edge' reserves 900 MHz for 0.5 CPUs at 1800 MHz per core (node class 'edge')",
+        }),
+        expect.objectContaining({ severity: 'info', message: "Service 'batch' reserves 16 dedicated cores for 16 CPUs" }),
+      ]));
+    });
+  });
+
+  describe('Build Plans', () => {
+    it('should publish build-only services to the registry', async () => {
+      const converter = new Compose2HCLConverter({ registry: 'registry.example.com/team/', buildTag: '1.4.0' });
+      const result = await converter.convert(`
+name: shop
+services:
+  api:
+    build:
+      context: ./api
+      dockerfile: docker/Dockerfile.prod
+      target: runtime
+      args:
+        NODE_ENV: production
+        NPM_TOKEN:
+      tags: ["registry.example.com/team/api:stable"]
+  worker:
+    build: ./worker
+    image: ghcr.io/acme/worker:2
+  web:
+    image: nginx
+`);
+
+      const group = result.nomadJob.job!['shop']!.group!;
+      expect(group['api']!.task!['api']!.config!.image).toBe('registry.example.com/team/shop-api:1.4.0');
+      expect(group['worker']!.task!['worker']!.config!.image).toBe('ghcr.io/acme/worker:2');
+
+      expect(result.buildPlan.builds).toEqual([
+        {
+          service: 'api',
+          image: 'registry.example.com/team/shop-api:1.4.0',
+          commands: [
+            [
+              'docker', 'build', '-f', 'api/docker/Dockerfile.prod', '--target', 'runtime',
+              '--build-arg', 'NODE_ENV=production', '--build-arg', 'NPM_TOKEN',
+              '-t', 'registry.example.com/team/shop-api:1.4.0', '-t', 'registry.example.com/team/api:stable', './api',
+            ],
+            ['docker', 'push', 'registry.example.com/team/shop-api:1.4.0'],
+            ['docker', 'push', 'registry.example.com/team/api:stable'],
+          ],
+        },
+        {
+          service: 'worker',
+          image: 'ghcr.io/acme/worker:2',
+          commands: [
+            ['docker', 'build', '-t', 'ghcr.io/acme/worker:2', './worker'],
+            ['docker', 'push', 'ghcr.io/acme/worker:2'],
+          ],
+        },
+      ]);
+      expect(result.warnings).toEqual([]);
+    });
+
+    it('should build multi-platform images with buildx and render a script', async () => {
+      const converter = new Compose2HCLConverter({ registry: 'registry.local', projectDirectory: '/srv/shop' });
+      const result = await converter.convert(`
+services:
+  api:
+    build:
+      context: .
+      platforms: [linux/amd64, linux/arm64]
+      labels:
+        org.opencontainers.image.title: "Shop API"
+`);
+
+      expect(formatBuildScript(result.buildPlan)).toBe(
+        [
+          '#!/bin/sh',
+          '# Generated by compose2hcl',
+          'set -e',
+          '',
+          'cd /srv/shop',
+          '',
+          '# api',
+          "docker buildx build --platform linux/amd64,linux/arm64 --label 'org.opencontainers.image.title=Shop API' " +
+            '-t registry.local/docker-compose-api:latest --push .',
+          '',
+        ].join('\n')
+      );
+    });
+
+    it('should warn about images no client can pull and unplanned build options', async () => {
+      const converter = new Compose2HCLConverter();
+      const result = await converter.convert(`
+services:
+  api:
+    build:
+      context: ./api
+      ssh: [default]
+`);
+
+      expect(result.nomadJob.job!['docker-compose']!.group!['api']!.task!['api']!.config!.image).toBe('docker-compose-api:latest');
+      expect(result.buildPlan.builds[0]!.commands).toEqual([['docker', 'build', '-t', 'docker-compose-api:latest', './api']]);
+      expect(result.warnings).toEqual([
+        "Service 'api' image 'docker-compose-api:latest' is only built locally - set a registry so Nomad clients can pull it",
+        "Service 'api' build ssh is not part of the build plan - ignoring it",
+      ]);
+    });
+  });
+
+  describe('Registry Auth', () => {
+    const taskOf = (result: ConversionResult, name: string) => result.nomadJob.job!['docker-compose']!.group![name]!.task![name]!;
+
+    it('should authenticate pulls with the longest matching registry prefix', async () => {
+      const converter = new Compose2HCLConverter({
+        registryAuth: [{ registry: 'ghcr.io/acme', path: 'nomad/jobs/{job}/ghcr', backend: 'nomad-variables', softFail: true }],
+      });
+      const result = await converter.convert(`
+services:
+  api:
+    image: ghcr.io/acme/api:1
+  tools:
+    image: ghcr.io/tools/cli
+  web:
+    image: nginx
+  cache:
+    image: ghcr.io.example.com/cache
+x-nomad:
+  registry_auth:
+    - registry: ghcr.io
+      path: secret/data/registries/ghcr
+      username_key: user
+`);
+
+      const api = taskOf(result, 'api');
+      expect(api.config).toMatchObject({
+        auth: { username: '${REGISTRY_AUTH_USERNAME}', password: '${REGISTRY_AUTH_PASSWORD}' },
+        auth_soft_fail: true,
+      });
+      expect(api.template).toEqual([
+        {
+          destination: 'secrets/registry-auth.env',
+          embedded_tmpl:
+            'REGISTRY_AUTH_USERNAME={{ with nomadVar (printf "nomad/jobs/%s/ghcr" (or (env "NOMAD_JOB_PARENT_ID") (env "NOMAD_JOB_ID"))) }}{{ .username | toJSON }}{{ end }}\n' +
+            'REGISTRY_AUTH_PASSWORD={{ with nomadVar (printf "nomad/jobs/%s/ghcr" (or (env "NOMAD_JOB_PARENT_ID") (env "NOMAD_JOB_ID"))) }}{{ .password | toJSON }}{{ end }}',
+          env: true,
+          change_mode: 'noop',
+        },
+      ]);
+      expect(api.vault).toBeUndefined();
+
+      const tools = taskOf(result, 'tools');
+      expect(tools.config!.auth_soft_fail).toBeUndefined();
+      expect(tools.template![0]!.embedded_tmpl).toContain('{{ with secret "secret/data/registries/ghcr" }}{{ .Data.data.user | toJSON }}{{ end }}');
+      expect(tools.vault).toEqual({});
+
+      expect(taskOf(result, 'web').config!.auth).toBeUndefined();
+      expect(taskOf(result, 'cache').config!.auth).toBeUndefined();
+      expect(result.hcl).toMatch(/auth \{\n\s+username = "\$\{REGISTRY_AUTH_USERNAME\}"/);
+      expect(result.warnings).toEqual([]);
+    });
+
+    it('should refuse plaintext credentials', async () => {
+      const converter = new Compose2HCLConverter({ secretsBackend: 'inline-file' });
+      const result = await converter.convert(`
+services:
+  api:
+    image: registry.example.com/api
+x-nomad:
+  registry_auth:
+    - registry: docker.io
+      username: bob
+      password: hunter2
+    - registry: registry.example.com
+      path: registries/example
+`);
+
+      expect(taskOf(result, 'api').config!.auth).toBeUndefined();
+      expect(result.hcl).not.toContain('hunter2');
+      expect(result.warnings).toEqual([
+        `Registry auth for 'docker.io' holds plaintext credentials - store them in Vault or Nomad Variables and set "path"`,
+        "Registry auth for 'registry.example.com' needs a Vault or Nomad Variables backend - credentials are never inlined",
+      ]);
+      expect(result.diagnostics).toContainEqual(expect.objectContaining({ path: 'x-nomad.registry_auth[0]' }));
+    });
   });
 
   describe('Configuration Options', () => {
@@ -304,4 +1757,309 @@ networks:
       expect(result.warnings.length).toBeGreaterThanOrEqual(0);
     });
   });
+
+  describe('Profiles', () => {
+    const composeYaml = `
+services:
+  web:
+    image: nginx
+  debugger:
+    image: busybox
+    profiles: ["debug"]
+  metrics:
+    image: prom/prometheus
+    profiles: ["monitoring", "debug"]
+`;
+
+    it('should leave out services of inactive profiles', async () => {
+      const result = await new Compose2HCLConverter({ environment: {} }).convert(composeYaml);
+
+      expect(result.errors).toHaveLength(0);
+      expect(result.hcl).toContain('group "web"');
+      expect(result.hcl).not.toContain('group "debugger"');
+      expect(result.hcl).not.toContain('group "metrics"');
+    });
+
+    it('should enable profiles from options and COMPOSE_PROFILES', async () => {
+      const fromOption = await new Compose2HCLConverter({ environment: {}, profiles: ['monitoring'] }).convert(composeYaml);
+      expect(fromOption.hcl).toContain('group "metrics"');
+      expect(fromOption.hcl).not.toContain('group "debugger"');
+
+      const fromEnv = await new Compose2HCLConverter({ environment: { COMPOSE_PROFILES: 'debug' } }).convert(composeYaml);
+      expect(fromEnv.hcl).toContain('group "debugger"');
+      expect(fromEnv.hcl).toContain('group "metrics"');
+    });
+
+    it('should reject dependencies on disabled services', async () => {
+      const result = await new Compose2HCLConverter({ environment: {} }).convert(`
+services:
+  web:
+    image: nginx
+    depends_on:
+      - debugger
+  debugger:
+    image: busybox
+    profiles: ["debug"]
+`);
+
+      expect(result.errors).toContain(
+        "Service 'web' depends on service 'debugger' which is disabled by inactive profile(s): debug"
+      );
+    });
+  });
+
+  describe('Multi-file Conversion', () => {
+    let projectDir: string;
+
+    beforeEach(() => {
+      projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'compose2hcl-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(projectDir, { recursive: true, force: true });
+    });
+
+    it('should merge override files before conversion', async () => {
+      const base = path.join(projectDir, 'docker-compose.yml');
+      const prod = path.join(projectDir, 'docker-compose.prod.yml');
+      fs.writeFileSync(base, `
+services:
+  web:
+    image: myapp:dev
+    ports:
+      - "8080:80"
+    command: ["npm", "run", "dev"]
+`);
+      fs.writeFileSync(prod, `
+services:
+  web:
+    image: myapp:1.0.0
+    ports:
+      - "443:443"
+    command: ["npm", "start"]
+`);
+
+      const result = await converter.convertFiles([base, prod]);
+
+      expect(result.errors).toHaveLength(0);
+      expect(result.hcl).toContain('image = "myapp:1.0.0"');
+      expect(result.hcl).toContain('static = 8080');
+      expect(result.hcl).toContain('static = 443');
+      expect(result.hcl).toContain('command = "npm"');
+      expect(result.hcl).toContain('args = ["start"]');
+    });
+
+    it('should interpolate variables from the project .env file', async () => {
+      const file = path.join(projectDir, 'docker-compose.yml');
+      fs.writeFileSync(path.join(projectDir, '.env'), 'TAG=2.0.0\n');
+      fs.writeFileSync(file, `
+services:
+  web:
+    image: myapp:\${TAG:-latest}
+    environment:
+      REGION: \${REGION:-eu-west-1}
+      PRICE: "$$5"
+`);
+
+      const result = await new Compose2HCLConverter({ environment: {} }).convertFiles([file]);
+
+      expect(result.errors).toHaveLength(0);
+      expect(result.hcl).toContain('image = "myapp:2.0.0"');
+      expect(result.hcl).toContain('REGION = "eu-west-1"');
+      expect(result.hcl).toContain('PRICE = "$5"');
+    });
+
+    it('should prefer --env-file values and report missing required variables', async () => {
+      const file = path.join(projectDir, 'docker-compose.yml');
+      fs.writeFileSync(path.join(projectDir, 'prod.env'), 'TAG=3.0.0\n');
+      fs.writeFileSync(file, `
+services:
+  web:
+    image: myapp:\${TAG}
+    environment:
+      API_KEY: \${API_KEY:?API_KEY must be set}
+`);
+
+      const converter = new Compose2HCLConverter({ environment: {}, envFiles: ['prod.env'] });
+      const result = await converter.convertFiles([file]);
+
+      expect(result.errors).toEqual(expect.arrayContaining([
+        expect.stringContaining("Required variable 'API_KEY' is missing a value: API_KEY must be set"),
+      ]));
+      expect(result.hcl).toContain('# ERROR:');
+    });
+
+    it('should warn about unset optional variables', async () => {
+      const result = await new Compose2HCLConverter({ environment: {} }).convert(`
+services:
+  web:
+    image: nginx:\${NGINX_TAG}
+`);
+
+      expect(result.errors).toHaveLength(0);
+      expect(result.warnings).toEqual(expect.arrayContaining([
+        expect.stringContaining("Variable 'NGINX_TAG' is not set"),
+      ]));
+    });
+
+    it('should not interpolate from process.env unless it is passed', async () => {
+      process.env.COMPOSE2HCL_TEST_SECRET = 'leaked';
+      try {
+        const result = await new Compose2HCLConverter().convert(`
+services:
+  web:
+    image: nginx:\${COMPOSE2HCL_TEST_SECRET:-latest}
+`);
+
+        expect(result.hcl).toContain('image = "nginx:latest"');
+        expect(result.hcl).not.toContain('leaked');
+      } finally {
+        delete process.env.COMPOSE2HCL_TEST_SECRET;
+      }
+    });
+
+    it('should convert services from included files', async () => {
+      const file = path.join(projectDir, 'docker-compose.yml');
+      fs.writeFileSync(path.join(projectDir, 'db.yml'), `
+services:
+  db:
+    image: postgres:16
+`);
+      fs.writeFileSync(file, `
+include:
+  - db.yml
+services:
+  web:
+    image: nginx
+    depends_on:
+      - db
+`);
+
+      const result = await converter.convertFiles([file]);
+
+      expect(result.errors).toHaveLength(0);
+      expect(result.hcl).toContain('group "web"');
+      expect(result.hcl).toContain('group "db"');
+      expect(result.hcl).toContain('image = "postgres:16"');
+    });
+
+    it('should not read files from disk without file access', async () => {
+      fs.writeFileSync(path.join(projectDir, '.env'), 'TAG=2.0.0\n');
+      fs.writeFileSync(path.join(projectDir, 'db.yml'), 'services:\n  db:\n    image: postgres:16\n');
+      fs.writeFileSync(path.join(projectDir, 'base.yml'), 'services:\n  base:\n    image: base\n');
+
+      const result = await new Compose2HCLConverter({ projectDirectory: projectDir, fileAccess: false }).convert(`
+include:
+  - db.yml
+services:
+  web:
+    image: myapp:\${TAG:-latest}
+    extends:
+      file: base.yml
+      service: base
+`);
+
+      expect(result.errors).toEqual(expect.arrayContaining([
+        "Cannot include 'db.yml': reading files is disabled",
+        "Failed to load 'base.yml' extended by 'web': reading files is disabled",
+      ]));
+      expect(result.hcl).not.toContain('postgres');
+      expect(result.hcl).not.toContain('2.0.0');
+    });
+
+    it('should inline env_file values into the task env', async () => {
+      fs.writeFileSync(path.join(projectDir, 'web.env'), 'LOG_LEVEL=info\nREGION=eu\n');
+
+      const result = await new Compose2HCLConverter({ projectDirectory: projectDir, environment: {} }).convert(`
+services:
+  web:
+    image: nginx
+    env_file:
+      - web.env
+      - path: ./optional.env
+        required: false
+    environment:
+      LOG_LEVEL: debug
+`);
+
+      expect(result.errors).toHaveLength(0);
+      expect(result.nomadJob.job['docker-compose']!.group!.web!.task!.web!.env).toEqual({
+        LOG_LEVEL: 'debug',
+        REGION: 'eu',
+      });
+    });
+
+    it('should render env_file values into an env template', async () => {
+      fs.writeFileSync(path.join(projectDir, 'web.env'), 'DB_PASSWORD="s3cret value"\nREGION=eu\n');
+
+      const result = await new Compose2HCLConverter({
+        projectDirectory: projectDir,
+        environment: {},
+        envFileMode: 'template',
+      }).convert(`
+services:
+  web:
+    image: nginx
+    env_file: web.env
+    environment:
+      REGION: us
+`);
+
+      const task = result.nomadJob.job['docker-compose']!.group!.web!.task!.web!;
+      expect(result.errors).toHaveLength(0);
+      expect(task.env).toEqual({ REGION: 'us' });
+      expect(task.template).toEqual([{
+        destination: 'secrets/.env',
+        embedded_tmpl: 'DB_PASSWORD="s3cret value"',
+        env: true,
+        change_mode: 'restart',
+      }]);
+      expect(result.hcl).toContain('env = true');
+    });
+
+    it('should report missing required env files', async () => {
+      const result = await new Compose2HCLConverter({ projectDirectory: projectDir, environment: {} }).convert(`
+services:
+  web:
+    image: nginx
+    env_file: missing.env
+`);
+
+      expect(result.errors).toContain("Service 'web' env_file 'missing.env' not found");
+    });
+
+    it('should not read env files outside the project directory or without file access', async () => {
+      fs.writeFileSync(path.join(projectDir, 'web.env'), 'LOG_LEVEL=info\n');
+      const composeYaml = `
+services:
+  web:
+    image: nginx
+    env_file:
+      - /proc/self/environ
+      - ../secrets.env
+`;
+
+      const outside = await new Compose2HCLConverter({ projectDirectory: projectDir }).convert(composeYaml);
+      expect(outside.errors).toEqual(expect.arrayContaining([
+        "Service 'web' env_file '/proc/self/environ' is outside the project directory",
+        "Service 'web' env_file '../secrets.env' is outside the project directory",
+      ]));
+
+      const disabled = await new Compose2HCLConverter({ projectDirectory: projectDir, fileAccess: false }).convert(`
+services:
+  web:
+    image: nginx
+    env_file: web.env
+`);
+      expect(disabled.errors).toContain("Service 'web' env_file 'web.env' cannot be read: reading files is disabled");
+      expect(disabled.hcl).not.toContain('LOG_LEVEL');
+    });
+
+    it('should report unreadable files', async () => {
+      const result = await converter.convertFiles([path.join(projectDir, 'missing.yml')]);
+
+      expect(result.errors[0]).toContain('missing.yml');
+      expect(result.hcl).toContain('# ERROR:');
+    });
+  });
 });
@@ -0,0 +1,104 @@
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { resolveExtends } from '../src/loader/extends-resolver';
+import { parseComposeYAML } from '../src/loader/compose-parser';
+
+describe('resolveExtends', () => {
+  let projectDir: string;
+
+  const resolve = (content: string) =>
+    resolveExtends(parseComposeYAML(content), { projectDirectory: projectDir, environment: { LEVEL: 'debug' } });
+
+  beforeEach(() => {
+    projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'compose2hcl-extends-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  });
+
+  it('should merge a same-file base service', () => {
+    const result = resolve(`
+services:
+  base:
+    image: myapp:1.0
+    environment:
+      LOG_LEVEL: info
+      REGION: eu
+    ports: ["8080:8080"]
+    command: ["serve"]
+  web:
+    extends: base
+    environment:
+      LOG_LEVEL: warn
+    ports: ["9090:9090"]
+    command: ["serve", "--web"]
+`);
+
+    expect(result.errors).toHaveLength(0);
+    const web = result.compose.services!.web!;
+    expect(web.extends).toBeUndefined();
+    expect(web.image).toBe('myapp:1.0');
+    expect(web.environment).toEqual({ LOG_LEVEL: 'warn', REGION: 'eu' });
+    expect(web.ports).toEqual(['8080:8080', '9090:9090']);
+    expect(web.command).toEqual(['serve', '--web']);
+  });
+
+  it('should resolve multi-level chains across files', () => {
+    fs.writeFileSync(path.join(projectDir, 'common.yml'), `
+services:
+  template:
+    image: base:latest
+    env_file: ./common.env
+    environment:
+      LOG_LEVEL: \${LEVEL}
+  worker-base:
+    extends: template
+    restart: always
+`);
+
+    const result = resolve(`
+services:
+  worker:
+    extends:
+      file: common.yml
+      service: worker-base
+    image: worker:2.0
+`);
+
+    expect(result.errors).toHaveLength(0);
+    const worker = result.compose.services!.worker!;
+    expect(worker.image).toBe('worker:2.0');
+    expect(worker.restart).toBe('always');
+    expect(worker.environment).toEqual({ LOG_LEVEL: 'debug' });
+    expect(worker.env_file).toBe(path.join(projectDir, 'common.env'));
+  });
+
+  it('should detect cycles', () => {
+    const result = resolve(`
+services:
+  a:
+    image: a
+    extends: b
+  b:
+    extends: a
+`);
+
+    expect(result.errors).toContain('Circular extends detected: a -> b -> a');
+  });
+
+  it('should name the chain when an extended service is missing', () => {
+    const result = resolve(`
+services:
+  web:
+    extends: middle
+  middle:
+    extends: base
+`);
+
+    expect(result.errors).toContain(
+      "Service 'middle' extends undefined service 'base' (chain: web -> middle -> base)"
+    );
+  });
+});
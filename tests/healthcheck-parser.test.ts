@@ -0,0 +1,58 @@
+import { parseHealthcheckTest } from '../src/parsers/healthcheck-parser';
+
+describe('parseHealthcheckTest', () => {
+  it('should recognise curl and wget HTTP probes', () => {
+    expect(parseHealthcheckTest(['CMD', 'curl', '-f', 'http://localhost:8080/health'])).toEqual({
+      type: 'http',
+      port: 8080,
+      path: '/health',
+      protocol: 'http',
+      expectedStatus: 'success',
+    });
+    expect(parseHealthcheckTest('curl -fsSk -X post -H "X-Probe: 1" https://127.0.0.1/ready?full=1 || exit 1')).toEqual({
+      type: 'http',
+      port: 443,
+      path: '/ready?full=1',
+      protocol: 'https',
+      expectedStatus: 'success',
+      method: 'POST',
+      headers: { 'X-Probe': ['1'] },
+      tlsSkipVerify: true,
+    });
+    expect(parseHealthcheckTest(['CMD-SHELL', 'wget --spider -q http://localhost/health || exit 1'])).toEqual({
+      type: 'http',
+      port: 80,
+      path: '/health',
+      protocol: 'http',
+      expectedStatus: 'success',
+    });
+    expect(parseHealthcheckTest('wget -qO- localhost:3000/')).toMatchObject({ type: 'http', port: 3000, path: '/' });
+  });
+
+  it('should tell whether a probe fails on error statuses', () => {
+    expect(parseHealthcheckTest(['CMD', 'curl', '--fail-with-body', 'localhost/health'])).toMatchObject({ expectedStatus: 'success' });
+    expect(parseHealthcheckTest(['CMD', 'curl', '-s', 'http://localhost/health'])).toMatchObject({ expectedStatus: 'any' });
+    expect(parseHealthcheckTest(['CMD', 'wget', '-q', '--spider', 'http://localhost/health'])).toMatchObject({ expectedStatus: 'success' });
+  });
+
+  it('should recognise TCP and gRPC probes', () => {
+    expect(parseHealthcheckTest(['CMD', 'nc', '-z', 'localhost', '6379'])).toEqual({ type: 'tcp', port: 6379 });
+    expect(parseHealthcheckTest(['CMD-SHELL', 'pg_isready -U postgres'])).toEqual({ type: 'tcp', port: 5432 });
+    expect(parseHealthcheckTest(['CMD', 'pg_isready', '-h', 'localhost', '-p', '5433'])).toEqual({ type: 'tcp', port: 5433 });
+    expect(parseHealthcheckTest(['CMD', '/bin/grpc_health_probe', '-addr=:50051', '-service=api', '-tls'])).toEqual({
+      type: 'grpc',
+      port: 50051,
+      service: 'api',
+      tls: true,
+    });
+  });
+
+  it('should leave anything else to script checks', () => {
+    expect(parseHealthcheckTest('curl -s http://localhost/health | grep ok')).toBeUndefined();
+    expect(parseHealthcheckTest(['CMD', 'curl', '-f', 'http://db:8080/health'])).toBeUndefined();
+    expect(parseHealthcheckTest('curl -f http://localhost:$PORT/health')).toBeUndefined();
+    expect(parseHealthcheckTest(['CMD', 'curl', '--unknown-option', 'http://localhost'])).toBeUndefined();
+    expect(parseHealthcheckTest(['CMD', 'redis-cli', 'ping'])).toBeUndefined();
+    expect(parseHealthcheckTest(['NONE'])).toBeUndefined();
+  });
+});
@@ -0,0 +1,131 @@
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { resolveIncludes } from '../src/loader/include-resolver';
+
+describe('resolveIncludes', () => {
+  let projectDir: string;
+
+  const write = (relativePath: string, content: string) => {
+    const filePath = path.join(projectDir, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+  };
+
+  beforeEach(() => {
+    projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'compose2hcl-include-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  });
+
+  it('should merge services, networks and volumes of included files', () => {
+    write('db/compose.yml', `
+services:
+  db:
+    image: postgres:\${PG_VERSION}
+    volumes:
+      - ./init:/docker-entrypoint-initdb.d
+      - db_data:/var/lib/postgresql/data
+networks:
+  backend: {}
+volumes:
+  db_data: {}
+`);
+    write('db/.env', 'PG_VERSION=16\n');
+
+    const result = resolveIncludes(
+      { include: ['db/compose.yml'], services: { web: { image: 'nginx' } } },
+      { projectDirectory: projectDir, environment: {} }
+    );
+
+    expect(result.errors).toHaveLength(0);
+    expect(result.compose.include).toBeUndefined();
+    expect(Object.keys(result.compose.services!)).toEqual(['web', 'db']);
+    expect(result.compose.services!.db!.image).toBe('postgres:16');
+    expect(result.compose.services!.db!.volumes).toEqual([
+      `${path.join(projectDir, 'db', 'init')}:/docker-entrypoint-initdb.d`,
+      'db_data:/var/lib/postgresql/data',
+    ]);
+    expect(result.compose.networks).toHaveProperty('backend');
+    expect(result.compose.volumes).toHaveProperty('db_data');
+  });
+
+  it('should honour project_directory and env_file', () => {
+    write('modules/cache.yml', `
+services:
+  cache:
+    image: redis:\${REDIS_TAG}
+    build: ./cache
+`);
+    write('cache.env', 'REDIS_TAG=7-alpine\n');
+
+    const result = resolveIncludes(
+      { include: [{ path: 'modules/cache.yml', project_directory: 'apps', env_file: 'cache.env' }] },
+      { projectDirectory: projectDir, environment: {} }
+    );
+
+    expect(result.errors).toHaveLength(0);
+    expect(result.compose.services!.cache!.image).toBe('redis:7-alpine');
+    expect(result.compose.services!.cache!.build).toBe(path.join(projectDir, 'apps', 'cache'));
+  });
+
+  it('should report resources defined by two includes', () => {
+    write('a.yml', 'services:\n  shared:\n    image: a\n');
+    write('b.yml', 'services:\n  shared:\n    image: b\nsecrets:\n  token:\n    file: ./token\n');
+
+    const result = resolveIncludes(
+      { include: ['a.yml', 'b.yml'] },
+      { projectDirectory: projectDir, environment: {} }
+    );
+
+    expect(result.errors).toEqual([
+      "Include conflict: service 'shared' is defined by both 'a.yml' and 'b.yml'",
+    ]);
+    expect(result.compose.services!.shared!.image).toBe('a');
+    expect(result.compose.secrets!.token!.file).toBe(path.join(projectDir, 'token'));
+  });
+
+  it('should report include cycles and missing files', () => {
+    write('loop.yml', 'include:\n  - loop.yml\nservices:\n  x:\n    image: x\n');
+
+    const cycle = resolveIncludes({ include: ['loop.yml'] }, { projectDirectory: projectDir, environment: {} });
+    expect(cycle.errors[0]).toContain('Include cycle detected');
+
+    const missing = resolveIncludes({ include: ['nope.yml'] }, { projectDirectory: projectDir, environment: {} });
+    expect(missing.errors[0]).toContain("Failed to include 'nope.yml'");
+  });
+
+  it('should reject includes outside the project directory', () => {
+    write('app/nested.yml', 'include:\n  - ../../outside.yml\n');
+    const app = path.join(projectDir, 'app');
+
+    const absolute = resolveIncludes({ include: ['/etc/compose.yml'] }, { projectDirectory: app, environment: {} });
+    expect(absolute.errors).toEqual(["Cannot include '/etc/compose.yml': '/etc/compose.yml' is outside the project directory"]);
+
+    const parent = resolveIncludes({ include: ['../db.yml'] }, { projectDirectory: app, environment: {} });
+    expect(parent.errors).toEqual(["Cannot include '../db.yml': '../db.yml' is outside the project directory"]);
+
+    const envFile = resolveIncludes(
+      { include: [{ path: 'nested.yml', env_file: '../../secrets.env' }] },
+      { projectDirectory: app, environment: {} }
+    );
+    expect(envFile.errors).toEqual(["Cannot include 'nested.yml': '../../secrets.env' is outside the project directory"]);
+
+    const nested = resolveIncludes({ include: ['app/nested.yml'] }, { projectDirectory: projectDir, environment: {} });
+    expect(nested.errors).toEqual(["Cannot include '../../outside.yml': '../../outside.yml' is outside the project directory"]);
+  });
+
+  it('should not read files without file access', () => {
+    write('db.yml', 'services:\n  db:\n    image: postgres\n');
+
+    const result = resolveIncludes(
+      { include: ['db.yml'] },
+      { projectDirectory: projectDir, environment: {}, fileAccess: false }
+    );
+
+    expect(result.errors).toEqual(["Cannot include 'db.yml': reading files is disabled"]);
+    expect(result.compose.services).toBeUndefined();
+  });
+});
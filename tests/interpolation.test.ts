@@ -0,0 +1,74 @@
+import { interpolateCompose, interpolateString, InterpolationError } from '../src/loader/interpolation';
+import { parseEnvFile } from '../src/loader/env-file';
+
+describe('interpolateString', () => {
+  const environment = { TAG: '1.2.3', EMPTY: '', HOST: 'db' };
+
+  it('should substitute braced and unbraced variables', () => {
+    expect(interpolateString('myapp:${TAG}', environment)).toBe('myapp:1.2.3');
+    expect(interpolateString('postgres://$HOST:5432', environment)).toBe('postgres://db:5432');
+  });
+
+  it('should apply default values', () => {
+    expect(interpolateString('${MISSING:-latest}', environment)).toBe('latest');
+    expect(interpolateString('${EMPTY:-latest}', environment)).toBe('latest');
+    expect(interpolateString('${EMPTY-latest}', environment)).toBe('');
+    expect(interpolateString('${MISSING:-${TAG}}', environment)).toBe('1.2.3');
+  });
+
+  it('should apply alternative values', () => {
+    expect(interpolateString('${TAG:+set}', environment)).toBe('set');
+    expect(interpolateString('${EMPTY:+set}', environment)).toBe('');
+    expect(interpolateString('${EMPTY+set}', environment)).toBe('set');
+  });
+
+  it('should throw for missing required variables', () => {
+    expect(() => interpolateString('${MISSING:?must be set}', environment)).toThrow(InterpolationError);
+    expect(() => interpolateString('${EMPTY:?must be set}', environment)).toThrow('must be set');
+    expect(interpolateString('${EMPTY?must be set}', environment)).toBe('');
+  });
+
+  it('should unescape $$', () => {
+    expect(interpolateString('echo $$HOME', environment)).toBe('echo $HOME');
+  });
+});
+
+describe('interpolateCompose', () => {
+  it('should report missing and unset variables with their path', () => {
+    const result = interpolateCompose({
+      services: {
+        app: {
+          image: 'myapp:${TAG}',
+          environment: ['DB_PASSWORD=${DB_PASSWORD:?set a password}'],
+        },
+      },
+    }, {});
+
+    expect(result.compose.services!.app!.image).toBe('myapp:');
+    expect(result.warnings).toEqual([expect.objectContaining({ variable: 'TAG', path: 'services.app.image' })]);
+    expect(result.errors).toEqual([
+      expect.objectContaining({ variable: 'DB_PASSWORD', path: 'services.app.environment[0]' }),
+    ]);
+  });
+});
+
+describe('parseEnvFile', () => {
+  it('should parse dotenv syntax', () => {
+    const values = parseEnvFile(`
+# comment
+export TAG=1.0.0
+NAME='literal $TAG'
+GREETING="hello\\nworld"
+IMAGE=myapp:\${TAG} # trailing comment
+EMPTY=
+`);
+
+    expect(values).toEqual({
+      TAG: '1.0.0',
+      NAME: 'literal $TAG',
+      GREETING: 'hello\nworld',
+      IMAGE: 'myapp:1.0.0',
+      EMPTY: '',
+    });
+  });
+});
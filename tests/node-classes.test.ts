@@ -0,0 +1,36 @@
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { NodeClassError, loadNodeClasses, parseNodeClasses } from '../src/loader/node-classes';
+
+describe('parseNodeClasses', () => {
+  it('should accept profiles keyed by node class', () => {
+    expect(parseNodeClasses({ compute: { mhzPerCore: 2400, cores: 32 }, edge: { mhzPerCore: 1800 } })).toEqual({
+      compute: { mhzPerCore: 2400, cores: 32 },
+      edge: { mhzPerCore: 1800 },
+    });
+  });
+
+  it('should reject malformed profiles', () => {
+    expect(() => parseNodeClasses([])).toThrow(NodeClassError);
+    expect(() => parseNodeClasses({ compute: { cores: 8 } })).toThrow(`node class 'compute' must have a positive "mhzPerCore"`);
+    expect(() => parseNodeClasses({ compute: { mhzPerCore: 2400, cores: 1.5 } })).toThrow(
+      `node class 'compute' "cores" must be a positive integer`
+    );
+  });
+});
+
+describe('loadNodeClasses', () => {
+  it('should read profiles from a JSON file', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'node-classes-'));
+    const file = path.join(directory, 'classes.json');
+    fs.writeFileSync(file, JSON.stringify({ compute: { mhzPerCore: 2400 } }));
+
+    try {
+      expect(loadNodeClasses(file)).toEqual({ compute: { mhzPerCore: 2400 } });
+      expect(() => loadNodeClasses(path.join(directory, 'missing.json'))).toThrow(/cannot read node classes from/);
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+});
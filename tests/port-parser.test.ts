@@ -0,0 +1,44 @@
+import { parsePortSpec, PortSpecError } from '../src/parsers/port-parser';
+
+describe('parsePortSpec', () => {
+  it('should parse short syntax with host IPs and protocols', () => {
+    expect(parsePortSpec('127.0.0.1:8080:80').mappings).toEqual([
+      { hostIp: '127.0.0.1', published: 8080, target: 80, protocol: 'tcp' },
+    ]);
+    expect(parsePortSpec('9090:9090/udp').mappings).toEqual([
+      { published: 9090, target: 9090, protocol: 'udp' },
+    ]);
+    expect(parsePortSpec('[::1]:53:53/udp').mappings).toEqual([
+      { hostIp: '::1', published: 53, target: 53, protocol: 'udp' },
+    ]);
+    expect(parsePortSpec('127.0.0.1::5000').mappings).toEqual([
+      { hostIp: '127.0.0.1', published: undefined, target: 5000, protocol: 'tcp' },
+    ]);
+    expect(parsePortSpec(3000).mappings).toEqual([{ published: undefined, target: 3000, protocol: 'tcp' }]);
+  });
+
+  it('should expand port ranges', () => {
+    expect(parsePortSpec('8000-8002:9000-9002').mappings.map(({ published, target }) => [published, target])).toEqual([
+      [8000, 9000],
+      [8001, 9001],
+      [8002, 9002],
+    ]);
+    expect(parsePortSpec('3000-3001').mappings.map(mapping => mapping.target)).toEqual([3000, 3001]);
+  });
+
+  it('should parse the long syntax', () => {
+    expect(parsePortSpec({ target: 80, published: '8080-8081', host_ip: '10.0.0.1', protocol: 'udp', name: 'web' })).toEqual({
+      mappings: [
+        expect.objectContaining({ target: 80, published: 8080, hostIp: '10.0.0.1', protocol: 'udp', name: 'web' }),
+      ],
+      warnings: ['host port range 8080-8081 cannot be allocated from in Nomad - using static port 8080'],
+    });
+  });
+
+  it('should reject invalid specs', () => {
+    expect(() => parsePortSpec('not-a-port')).toThrow(PortSpecError);
+    expect(() => parsePortSpec('70000:80')).toThrow('port 70000 is out of range (1-65535)');
+    expect(() => parsePortSpec('80:80/icmp')).toThrow("unknown protocol 'icmp'");
+    expect(() => parsePortSpec('8000-8002:80-81')).toThrow('differ in size');
+  });
+});
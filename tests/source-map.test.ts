@@ -0,0 +1,65 @@
+import { parseComposeYAMLWithSourceMap, ComposeParseError } from '../src/loader/compose-parser';
+import { findSourceLocation, formatPath } from '../src/loader/source-map';
+
+describe('parseComposeYAMLWithSourceMap', () => {
+  const content = `# web stack
+services:
+  web:
+    image: nginx
+    ports:
+      - "80:80"
+      - 443:443
+    labels: {traefik.enable: "true"}
+  db: &db
+    <<: {restart: always}
+    image: postgres
+`;
+
+  it('should record the line and column of keys and sequence items', () => {
+    const { sourceMap } = parseComposeYAMLWithSourceMap(content, 'compose.yml');
+
+    expect(sourceMap.get('services')).toEqual({ line: 2, column: 1 });
+    expect(sourceMap.get('services.web.image')).toEqual({ line: 4, column: 5 });
+    expect(sourceMap.get('services.web.ports[1]')).toEqual({ line: 7, column: 9 });
+    expect(sourceMap.get('services.web.labels["traefik.enable"]')).toEqual({ line: 8, column: 14 });
+    expect(sourceMap.get('services.db.restart')).toEqual({ line: 10, column: 10 });
+  });
+
+  it('should report the position of syntax errors', () => {
+    expect.assertions(2);
+    try {
+      parseComposeYAMLWithSourceMap('services:\n  web:\n    image: [nginx\n', 'broken.yml');
+    } catch (error) {
+      expect(error).toBeInstanceOf(ComposeParseError);
+      expect((error as ComposeParseError).location).toMatchObject({ file: 'broken.yml', line: 4 });
+    }
+  });
+});
+
+describe('findSourceLocation', () => {
+  const base = parseComposeYAMLWithSourceMap('services:\n  web:\n    image: nginx\n    ports: ["80:80"]\n').sourceMap;
+  const override = parseComposeYAMLWithSourceMap('services:\n  web:\n    image: nginx:1.27\n').sourceMap;
+  const documents = [
+    { file: 'compose.yml', sourceMap: base },
+    { file: 'compose.override.yml', sourceMap: override },
+  ];
+
+  it('should prefer the last file defining the path', () => {
+    expect(findSourceLocation('services.web.image', documents)).toEqual({ file: 'compose.override.yml', line: 3, column: 5 });
+    expect(findSourceLocation('services.web.ports[0]', documents)).toEqual({ file: 'compose.yml', line: 4, column: 13 });
+  });
+
+  it('should fall back to the closest ancestor below the top-level section', () => {
+    expect(findSourceLocation('services.web.deploy.resources', documents)).toEqual({
+      file: 'compose.override.yml',
+      line: 2,
+      column: 3,
+    });
+    expect(findSourceLocation('services.api.image', documents)).toBeUndefined();
+  });
+
+  it('should format paths with quoted keys and indexes', () => {
+    expect(formatPath(['services', 'web', 'labels', 'traefik.enable'])).toBe('services.web.labels["traefik.enable"]');
+    expect(formatPath(['services', 'web', 'ports', 2])).toBe('services.web.ports[2]');
+  });
+});
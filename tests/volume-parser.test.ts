@@ -0,0 +1,45 @@
+import { parseByteSize, parseTmpfsSpec, parseVolumeSpec, VolumeSpecError } from '../src/parsers/volume-parser';
+
+describe('parseVolumeSpec', () => {
+  it('should tell bind mounts from named volumes', () => {
+    expect(parseVolumeSpec('./data:/data')).toEqual({ type: 'bind', source: './data', target: '/data' });
+    expect(parseVolumeSpec('~/conf:/etc/app:ro')).toEqual({ type: 'bind', source: '~/conf', target: '/etc/app', read_only: true });
+    expect(parseVolumeSpec('C:\\data:/data')).toEqual({ type: 'bind', source: 'C:\\data', target: '/data' });
+    expect(parseVolumeSpec('db_data:/var/lib/db:nocopy')).toEqual({
+      type: 'volume',
+      source: 'db_data',
+      target: '/var/lib/db',
+      volume: { nocopy: true },
+    });
+    expect(parseVolumeSpec('/cache')).toEqual({ type: 'volume', target: '/cache' });
+  });
+
+  it('should parse bind options from the mode', () => {
+    expect(parseVolumeSpec('/src:/dst:ro,z,rshared')).toEqual({
+      type: 'bind',
+      source: '/src',
+      target: '/dst',
+      read_only: true,
+      bind: { selinux: 'z', propagation: 'rshared' },
+    });
+  });
+
+  it('should default the long syntax type', () => {
+    expect(parseVolumeSpec({ source: './data', target: '/data' })).toMatchObject({ type: 'bind' });
+    expect(parseVolumeSpec({ type: 'tmpfs', target: '/tmp' })).toMatchObject({ type: 'tmpfs' });
+  });
+
+  it('should reject invalid specs', () => {
+    expect(() => parseVolumeSpec('a:b:c:d')).toThrow(VolumeSpecError);
+    expect(() => parseVolumeSpec('/src:/dst:rx')).toThrow("unknown volume mode 'rx' in '/src:/dst:rx'");
+    expect(() => parseVolumeSpec({ source: 'data' })).toThrow('long syntax volume is missing "target"');
+  });
+});
+
+describe('parseTmpfsSpec', () => {
+  it('should parse size and octal mode', () => {
+    expect(parseTmpfsSpec('/run:size=64m,mode=1777')).toEqual({ type: 'tmpfs', target: '/run', tmpfs: { size: '64m', mode: 0o1777 } });
+    expect(parseByteSize('64m')).toBe(67108864);
+    expect(() => parseByteSize('lots')).toThrow("invalid size 'lots'");
+  });
+});